@@ -0,0 +1,100 @@
+import { authService } from '../services/auth.service.js';
+import { permissionService } from '../services/permission.service.js';
+
+// Resolve a identidade do chamador a partir do header Authorization (Bearer).
+// Papel e status vêm da conta atual (não do token): rebaixamento, exclusão ou troca de senha
+// valem para tokens já emitidos. Não bloqueia a requisição: rotas protegidas usam requireAuth/requirePermission.
+export const authenticate = async (req, res, next) => {
+    req.user = null;
+
+    const token = authService.extractBearerToken(req.headers.authorization);
+    if (!token) {
+        return next();
+    }
+
+    try {
+        const payload = authService.verifyToken(token);
+        const conta = await authService.loadAccount(payload.sub);
+
+        if (!conta) {
+            throw new Error('Conta não encontrada');
+        }
+        if (conta.status !== 'ativo') {
+            throw new Error('Conta inativa');
+        }
+        if ((payload.ver ?? 0) !== conta.versaoToken) {
+            throw new Error('Sessão encerrada: faça login novamente');
+        }
+
+        const role = permissionService.normalizeRole(conta.role);
+
+        req.user = {
+            id: conta.id,
+            ra: conta.ra,
+            nome: conta.nome,
+            role: role,
+            permissoes: permissionService.getPermissions(role)
+        };
+    } catch (error) {
+        console.warn(`⚠️ Token rejeitado: ${error.message}`);
+        req.authError = error.message;
+    }
+
+    next();
+};
+
+export const requireAuth = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            error: 'Não autenticado',
+            details: req.authError || 'Faça login para acessar este recurso'
+        });
+    }
+
+    next();
+};
+
+// Ex.: app.put('/api/cursos/:id', requirePermission('cursos:editar'), ...)
+export const requirePermission = (permissao) => (req, res, next) => {
+    requireAuth(req, res, () => {
+        if (!permissionService.can(req.user, permissao)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Não autorizado',
+                details: `Permissão necessária: ${permissao}`,
+                permissao: permissao
+            });
+        }
+
+        next();
+    });
+};
+
+// Permite acesso ao próprio usuário (identificado pelo parâmetro da rota) ou a quem tem a permissão
+export const requireSelfOrPermission = (paramName = 'usuarioId', permissao = 'alunos:acompanhar') => (req, res, next) => {
+    requireAuth(req, res, () => {
+        const alvoId = parseInt(req.params[paramName]);
+
+        if (alvoId !== req.user.id && !permissionService.can(req.user, permissao)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Não autorizado',
+                details: 'Você só pode acessar os seus próprios dados'
+            });
+        }
+
+        next();
+    });
+};
+
+// Usuário alvo de uma operação: quem acompanha alunos pode agir em nome de outro usuário,
+// os demais sempre agem sobre si mesmos, independente do ID enviado pelo cliente.
+export const resolveTargetUserId = (req, requestedId, permissao = 'alunos:acompanhar') => {
+    if (requestedId && permissionService.can(req.user, permissao)) {
+        const numId = parseInt(requestedId);
+        return !isNaN(numId) && numId > 0 ? numId : null;
+    }
+
+    return req.user?.id || null;
+};
@@ -0,0 +1,37 @@
+// Campos que nunca devem sair da API, mesmo que uma rota esqueça o select
+const CAMPOS_PROIBIDOS = ['senha', 'codigoHash'];
+
+export const stripSensitiveFieldsMiddleware = (req, res, next) => {
+    const originalJson = res.json;
+
+    res.json = function(data) {
+        try {
+            data = stripSensitiveFields(data);
+        } catch (error) {
+            console.error('❌ Erro ao remover campos sensíveis da resposta:', error);
+        }
+
+        return originalJson.call(this, data);
+    };
+
+    next();
+};
+
+function stripSensitiveFields(valor) {
+    if (Array.isArray(valor)) {
+        return valor.map(stripSensitiveFields);
+    }
+
+    // Só objetos simples (Date, Buffer etc. seguem intactos)
+    if (!valor || typeof valor !== 'object' || Object.getPrototypeOf(valor) !== Object.prototype) {
+        return valor;
+    }
+
+    const limpo = {};
+    for (const [chave, item] of Object.entries(valor)) {
+        if (CAMPOS_PROIBIDOS.includes(chave)) continue;
+        limpo[chave] = stripSensitiveFields(item);
+    }
+
+    return limpo;
+}
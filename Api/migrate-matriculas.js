@@ -0,0 +1,84 @@
+import { PrismaClient } from '@prisma/client';
+import permissionService from './services/permission.service.js';
+
+const prisma = new PrismaClient();
+
+// Mapeamento usado antes das matrículas (Usuario.curso → matérias). Fica só aqui para a migração.
+const mapeamentoCursos = {
+  'programacao': ['python', 'javascript', 'web', 'html', 'css', 'programacao', 'desenvolvimento'],
+  'robotica': ['arduino', 'robotica', 'eletronica', 'automatizacao'],
+  'games': ['unity', 'blender', 'game', 'games', 'pixelart', 'desenvolvimento de games'],
+  'reforco': ['algebra', 'geometria', 'matematica', 'quimica', 'fisica', 'biologia', 'ciencias'],
+  'preparatorio': ['historia', 'geografia', 'gramatica', 'redacao', 'literatura', 'portugues'],
+  'informatica': ['word', 'excel', 'powerpoint', 'windows', 'pacote office', 'informatica basica'],
+  'outros': []
+};
+
+function categoriaDaMateria(materia) {
+  const materiaLower = materia.toLowerCase().trim();
+
+  for (const [categoria, materias] of Object.entries(mapeamentoCursos)) {
+    if (materias.some(m => materiaLower.includes(m) || m.includes(materiaLower))) {
+      return categoria;
+    }
+  }
+
+  return 'outros';
+}
+
+async function migrateLegacyEnrollments() {
+  console.log('🔧 Criando matrículas a partir do mapeamento legado de cursos...');
+
+  let criadas = 0;
+  let erros = 0;
+
+  try {
+    const cursos = await prisma.curso.findMany({
+      select: { id: true, titulo: true, materia: true }
+    });
+
+    const usuarios = await prisma.usuario.findMany({
+      select: { id: true, nome: true, curso: true, role: true }
+    });
+
+    console.log(`📚 ${cursos.length} cursos e 👥 ${usuarios.length} usuários encontrados`);
+
+    for (const usuario of usuarios) {
+      // Equipe acessa todos os cursos pelo papel, não precisa de matrícula
+      if (permissionService.can(usuario, 'cursos:ver_todos')) continue;
+
+      const categorias = usuario.curso.map(c => c.toLowerCase().trim());
+      const cursosPermitidos = cursos.filter(curso => categorias.includes(categoriaDaMateria(curso.materia)));
+
+      if (cursosPermitidos.length === 0) continue;
+
+      try {
+        const { count } = await prisma.matricula.createMany({
+          data: cursosPermitidos.map(curso => ({
+            usuarioId: usuario.id,
+            cursoId: curso.id,
+            observacao: 'Migrada do mapeamento legado de cursos'
+          })),
+          skipDuplicates: true
+        });
+
+        criadas += count;
+        console.log(`✅ Usuário ${usuario.id} (${usuario.nome}): ${count} matrículas`);
+      } catch (error) {
+        erros++;
+        console.error(`❌ Erro ao migrar usuário ${usuario.id}:`, error);
+      }
+    }
+
+    console.log('🎉 Migração concluída!');
+    console.log(`📊 Matrículas criadas: ${criadas} | Erros: ${erros}`);
+
+  } catch (error) {
+    console.error('❌ Erro na migração:', error);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Executar migração
+migrateLegacyEnrollments();
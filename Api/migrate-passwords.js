@@ -0,0 +1,53 @@
+import { PrismaClient } from '@prisma/client';
+import passwordService from './services/password.service.js';
+
+const prisma = new PrismaClient();
+
+async function migrateExistingPasswords() {
+  console.log('🔧 Migrando senhas em texto puro para hash...');
+
+  let migrados = 0;
+  let ignorados = 0;
+  let erros = 0;
+
+  try {
+    const usuarios = await prisma.usuario.findMany({
+      select: { id: true, nome: true, senha: true }
+    });
+
+    console.log(`👥 ${usuarios.length} usuários encontrados`);
+
+    for (const usuario of usuarios) {
+      if (passwordService.isHashed(usuario.senha)) {
+        ignorados++;
+        continue;
+      }
+
+      try {
+        const senhaHash = await passwordService.hash(usuario.senha.trim());
+
+        await prisma.usuario.update({
+          where: { id: usuario.id },
+          data: { senha: senhaHash }
+        });
+
+        migrados++;
+        console.log(`✅ Usuário ${usuario.id} (${usuario.nome}) migrado`);
+      } catch (error) {
+        erros++;
+        console.error(`❌ Erro ao migrar usuário ${usuario.id}:`, error);
+      }
+    }
+
+    console.log('🎉 Migração concluída!');
+    console.log(`📊 Migrados: ${migrados} | Já com hash: ${ignorados} | Erros: ${erros}`);
+
+  } catch (error) {
+    console.error('❌ Erro na migração:', error);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Executar migração
+migrateExistingPasswords();
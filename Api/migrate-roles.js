@@ -0,0 +1,61 @@
+import { PrismaClient } from '@prisma/client';
+import permissionService from './services/permission.service.js';
+
+const prisma = new PrismaClient();
+
+async function migrateLegacyRoles() {
+  console.log('🔧 Migrando marcadores de admin em curso/status para o campo role...');
+
+  let migrados = 0;
+  let ignorados = 0;
+  let erros = 0;
+
+  try {
+    const usuarios = await prisma.usuario.findMany({
+      select: { id: true, nome: true, curso: true, status: true, role: true }
+    });
+
+    console.log(`👥 ${usuarios.length} usuários encontrados`);
+
+    for (const usuario of usuarios) {
+      const possuiMarcador = usuario.status === 'admin' ||
+        usuario.curso.some(c => permissionService.isLegacyRoleMarker(c));
+
+      if (!possuiMarcador) {
+        ignorados++;
+        continue;
+      }
+
+      try {
+        const role = permissionService.deriveLegacyRole(usuario.curso, usuario.status);
+        const cursos = usuario.curso.filter(c => !permissionService.isLegacyRoleMarker(c));
+
+        await prisma.usuario.update({
+          where: { id: usuario.id },
+          data: {
+            role: role,
+            curso: cursos.length > 0 ? cursos : ['sem_curso'],
+            status: usuario.status === 'admin' ? 'ativo' : usuario.status
+          }
+        });
+
+        migrados++;
+        console.log(`✅ Usuário ${usuario.id} (${usuario.nome}) → ${role}`);
+      } catch (error) {
+        erros++;
+        console.error(`❌ Erro ao migrar usuário ${usuario.id}:`, error);
+      }
+    }
+
+    console.log('🎉 Migração concluída!');
+    console.log(`📊 Migrados: ${migrados} | Sem marcadores: ${ignorados} | Erros: ${erros}`);
+
+  } catch (error) {
+    console.error('❌ Erro na migração:', error);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Executar migração
+migrateLegacyRoles();
@@ -0,0 +1,47 @@
+import { PrismaClient } from '@prisma/client';
+import courseVersionService from './services/course-version.service.js';
+
+const prisma = new PrismaClient();
+
+// Cursos criados antes do fluxo de rascunho/publicação estavam visíveis para os alunos:
+// publica a versão 1 de cada um para que continuem visíveis.
+async function publishExistingCourses() {
+  console.log('🔧 Publicando versão inicial dos cursos existentes...');
+
+  let publicados = 0;
+  let erros = 0;
+
+  try {
+    const cursos = await prisma.curso.findMany({
+      where: { ativo: true, versaoPublicadaId: null },
+      select: { id: true, titulo: true }
+    });
+
+    console.log(`📚 ${cursos.length} cursos sem versão publicada`);
+
+    for (const curso of cursos) {
+      try {
+        const versao = await prisma.$transaction(tx => courseVersionService.publish(tx, curso.id, {
+          observacao: 'Versão inicial (migração)'
+        }));
+
+        publicados++;
+        console.log(`✅ Curso ${curso.id} (${curso.titulo}) publicado como versão ${versao.numero}`);
+      } catch (error) {
+        erros++;
+        console.error(`❌ Erro ao publicar curso ${curso.id}:`, error);
+      }
+    }
+
+    console.log('🎉 Migração concluída!');
+    console.log(`📊 Publicados: ${publicados} | Erros: ${erros}`);
+
+  } catch (error) {
+    console.error('❌ Erro na migração:', error);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Executar migração
+publishExistingCourses();
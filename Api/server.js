@@ -3,6 +3,20 @@ import cors from 'cors';
 import { PrismaClient } from '@prisma/client';
 import encryptionService from './services/encryption.service.js';
 import { encryptResponseMiddleware, encryptRequestBodyMiddleware } from './middlewares/encryption.middleware.js';
+import authService from './services/auth.service.js';
+import passwordService from './services/password.service.js';
+import { authenticate, requireAuth, requirePermission, requireSelfOrPermission, resolveTargetUserId } from './middlewares/auth.middleware.js';
+import permissionService from './services/permission.service.js';
+import loginAttemptService from './services/login-attempt.service.js';
+import passwordResetService from './services/password-reset.service.js';
+import { stripSensitiveFieldsMiddleware } from './middlewares/sanitize.middleware.js';
+import courseVersionService from './services/course-version.service.js';
+import authorizationExpiryService from './services/authorization-expiry.service.js';
+import authorizationRequestService from './services/authorization-request.service.js';
+import lessonAccessPolicy from './services/lesson-access-policy.service.js';
+import videoWatchService from './services/video-watch.service.js';
+import eventBus from './services/event-bus.service.js';
+import progressService from './services/progress.service.js';
 
 const app = express();
 const PORT = process.env.PORT || 10000;
@@ -22,6 +36,24 @@ const prisma = new PrismaClient({
   }
 });
 
+// Atrás do proxy do Render o IP real vem em X-Forwarded-For (ex.: TRUST_PROXY=1)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', isNaN(trustProxy) ? process.env.TRUST_PROXY : trustProxy);
+}
+
+// Contadores de tentativas de login: memória do processo ou Postgres (LOGIN_ATTEMPTS_STORE=postgres)
+if (process.env.LOGIN_ATTEMPTS_STORE === 'postgres') {
+  loginAttemptService.usePrisma(prisma);
+}
+
+authService.usePrisma(prisma);
+authorizationRequestService.usePrisma(prisma);
+lessonAccessPolicy.usePrisma(prisma);
+videoWatchService.usePrisma(prisma);
+eventBus.usePrisma(prisma);
+progressService.usePrisma(prisma);
+
 // ========== DIAGNÓSTICO INICIAL ========== //
 console.log('🔍 DIAGNÓSTICO DO AMBIENTE:');
 console.log('1. Node Version:', process.version);
@@ -148,6 +180,12 @@ app.use(async (req, res, next) => {
   next();
 });
 
+// ========== MIDDLEWARE DE AUTENTICAÇÃO ========== //
+app.use('/api', authenticate);
+
+// Nenhuma resposta inclui senha (nem hash), mesmo que a rota retorne o registro completo
+app.use('/api', stripSensitiveFieldsMiddleware);
+
 // ========== UTILITÁRIOS ========== //
 const validateId = (id) => {
   if (!id) return null;
@@ -197,174 +235,241 @@ const handleError = (res, error, message = 'Erro interno do servidor') => {
   });
 };
 
-// Função auxiliar para atualizar progresso do módulo
-async function atualizarProgressoModulo(usuarioId, moduloId) {
-  try {
-    const modulo = await prisma.modulo.findUnique({
-      where: { id: moduloId },
-      include: {
-        curso: true,
-        aulas: {
-          where: { ativo: true }
-        }
-      }
-    });
+// ========== VALIDAÇÃO DE CURSOS, MÓDULOS E AULAS ========== //
+// Regras compartilhadas pelo cadastro completo (POST/PUT /api/cursos) e pelos endpoints granulares.
+// Retornam { error, details } ou null; com parcial = true só validam os campos enviados.
 
-    if (!modulo) return;
+function validarAula(aula, posicao, tituloModulo, { parcial = false } = {}) {
+  if (!parcial || aula.titulo !== undefined) {
+    if (!aula.titulo || aula.titulo.toString().trim() === '') {
+      return {
+        error: 'Aula sem título',
+        details: tituloModulo
+          ? `Aula ${posicao} do módulo "${tituloModulo}" precisa de um título`
+          : 'A aula precisa de um título'
+      };
+    }
+  }
 
-    // Contar aulas concluídas neste módulo
-    const aulasConcluidas = await prisma.progressoAula.count({
-      where: {
-        usuarioId: usuarioId,
-        aulaId: {
-          in: modulo.aulas.map(a => a.id)
-        },
-        concluida: true
-      }
-    });
+  if (!parcial || aula.duracao !== undefined) {
+    if (!aula.duracao || parseInt(aula.duracao) <= 0) {
+      return {
+        error: 'Duração inválida',
+        details: `Aula "${aula.titulo || posicao}" deve ter uma duração válida`
+      };
+    }
+  }
 
-    const totalAulasModulo = modulo.aulas.length;
-    const progressoModulo = totalAulasModulo > 0 ? 
-      Math.round((aulasConcluidas / totalAulasModulo) * 100) : 0;
+  return null;
+}
 
-    // Verificar/atualizar progresso do módulo
-    const progressoModuloExistente = await prisma.progressoModulo.findFirst({
-      where: {
-        usuarioId: usuarioId,
-        moduloId: moduloId
-      }
-    });
+function validarModulo(modulo, posicao, { parcial = false } = {}) {
+  if (!parcial || modulo.titulo !== undefined) {
+    if (!modulo.titulo || modulo.titulo.toString().trim() === '') {
+      return {
+        error: 'Módulo sem título',
+        details: `O módulo ${posicao} precisa de um título`
+      };
+    }
+  }
 
-    if (progressoModuloExistente) {
-      await prisma.progressoModulo.update({
-        where: { id: progressoModuloExistente.id },
-        data: {
-          progresso: progressoModulo,
-          atualizadoEm: new Date()
-        }
-      });
-    } else {
-      await prisma.progressoModulo.create({
-        data: {
-          usuarioId: usuarioId,
-          moduloId: moduloId,
-          progresso: progressoModulo
-        }
-      });
+  if (parcial) return null;
+
+  if (!modulo.aulas || !Array.isArray(modulo.aulas) || modulo.aulas.length === 0) {
+    return {
+      error: 'Módulo sem aulas',
+      details: `O módulo "${modulo.titulo}" deve ter pelo menos uma aula`
+    };
+  }
+
+  for (let j = 0; j < modulo.aulas.length; j++) {
+    const erro = validarAula(modulo.aulas[j], j + 1, modulo.titulo);
+    if (erro) return erro;
+  }
+
+  return null;
+}
+
+function validarEstruturaCurso(body) {
+  const { titulo, materia, categoria, nivel, duracao, modulos } = body;
+
+  if (!titulo || titulo.trim() === '') {
+    return { error: 'Título obrigatório', details: 'O curso precisa de um título' };
+  }
+
+  if (!materia || materia.trim() === '') {
+    return { error: 'Matéria obrigatória', details: 'Selecione a matéria do curso' };
+  }
+
+  if (!categoria || categoria.trim() === '') {
+    return { error: 'Categoria obrigatória', details: 'Selecione a categoria do curso' };
+  }
+
+  if (!nivel || nivel.trim() === '') {
+    return { error: 'Nível obrigatório', details: 'Selecione o nível do curso' };
+  }
+
+  if (!duracao || parseInt(duracao) <= 0) {
+    return { error: 'Duração inválida', details: 'A duração deve ser maior que zero' };
+  }
+
+  if (!modulos || !Array.isArray(modulos) || modulos.length === 0) {
+    return { error: 'Módulos obrigatórios', details: 'O curso deve ter pelo menos um módulo' };
+  }
+
+  for (let i = 0; i < modulos.length; i++) {
+    const erro = validarModulo(modulos[i], i + 1);
+    if (erro) return erro;
+  }
+
+  return null;
+}
+
+const MODOS_PROGRESSO = ['auto', 'controlado', 'misto'];
+
+function validarConfiguracaoCurso(config, { parcial = false } = {}) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return { error: 'Configuração inválida', details: 'A configuração do curso deve ser um objeto' };
+  }
+
+  if (!parcial || config.modoProgresso !== undefined) {
+    if (!MODOS_PROGRESSO.includes(config.modoProgresso)) {
+      return { error: 'Modo de progresso inválido', details: `Use um destes valores: ${MODOS_PROGRESSO.join(', ')}` };
     }
+  }
 
-    // Atualizar progresso geral do curso
-    const todosModulosCurso = await prisma.modulo.findMany({
-      where: {
-        cursoId: modulo.cursoId,
-        ativo: true
-      },
-      include: {
-        aulas: {
-          where: { ativo: true }
-        }
-      }
-    });
+  for (const campo of ['permiteAvancar', 'requerAutorizacao']) {
+    if (config[campo] !== undefined && typeof config[campo] !== 'boolean') {
+      return { error: 'Configuração inválida', details: `O campo ${campo} deve ser true ou false` };
+    }
+  }
 
-    let totalAulasCurso = 0;
-    let totalConcluidasCurso = 0;
+  if (config.limiteDiasAula !== undefined && config.limiteDiasAula !== null) {
+    if (!Number.isInteger(config.limiteDiasAula) || config.limiteDiasAula <= 0) {
+      return { error: 'Configuração inválida', details: 'limiteDiasAula deve ser um número inteiro positivo ou null' };
+    }
+  }
 
-    for (const mod of todosModulosCurso) {
-      const concluidas = await prisma.progressoAula.count({
-        where: {
-          usuarioId: usuarioId,
-          aulaId: {
-            in: mod.aulas.map(a => a.id)
-          },
-          concluida: true
-        }
-      });
-      
-      totalAulasCurso += mod.aulas.length;
-      totalConcluidasCurso += concluidas;
+  if (config.percentualMinimoVideo !== undefined) {
+    const percentual = config.percentualMinimoVideo;
+    if (!Number.isInteger(percentual) || percentual < 0 || percentual > 100) {
+      return { error: 'Configuração inválida', details: 'percentualMinimoVideo deve ser um número inteiro entre 0 e 100' };
     }
+  }
 
-    const progressoCurso = totalAulasCurso > 0 ? 
-      Math.round((totalConcluidasCurso / totalAulasCurso) * 100) : 0;
+  return null;
+}
 
-    const progressoCursoExistente = await prisma.progressoCurso.findFirst({
-      where: {
-        usuarioId: usuarioId,
-        cursoId: modulo.cursoId
-      }
+// Recalcula módulo e curso de todos os usuários com progresso registrado no curso
+async function recalcularProgressoCurso(cursoId) {
+  try {
+    const resultado = await progressService.recomputeCourse(cursoId);
+
+    console.log(`📊 Progresso recalculado para ${resultado.usuarios} usuários do curso ${cursoId} (${resultado.correcoes.length} linhas corrigidas)`);
+    return resultado.usuarios;
+  } catch (error) {
+    console.error('❌ Erro ao recalcular progresso do curso:', error);
+    return 0;
+  }
+}
+
+// Edição em curso já publicado: sinaliza que o rascunho difere da versão dos alunos
+async function marcarAlteracoesPendentes(cursoId) {
+  try {
+    await prisma.curso.updateMany({
+      where: { id: cursoId, status: 'publicado' },
+      data: { alteracoesPendentes: true }
     });
+  } catch (error) {
+    console.error('❌ Erro ao marcar alterações pendentes:', error);
+  }
+}
 
-    if (progressoCursoExistente) {
-      await prisma.progressoCurso.update({
-        where: { id: progressoCursoExistente.id },
-        data: {
-          progresso: progressoCurso,
-          atualizadoEm: new Date()
-        }
-      });
-    } else {
-      await prisma.progressoCurso.create({
-        data: {
-          usuarioId: usuarioId,
-          cursoId: modulo.cursoId,
-          progresso: progressoCurso
-        }
-      });
+// Confere se os IDs de módulos/aulas enviados no PUT do curso pertencem a ele (e não se repetem)
+function validarIdsEstruturaCurso(modulos, modulosPorId, aulasPorId) {
+  const modulosVistos = new Set();
+  const aulasVistas = new Set();
+
+  for (const modulo of modulos) {
+    if (modulo.id !== undefined && modulo.id !== null) {
+      const moduloId = validateId(modulo.id);
+      if (!moduloId || !modulosPorId.has(moduloId)) {
+        return `Módulo ${modulo.id} não pertence a este curso`;
+      }
+      if (modulosVistos.has(moduloId)) {
+        return `Módulo ${moduloId} enviado mais de uma vez`;
+      }
+      modulosVistos.add(moduloId);
     }
 
-    console.log(`📊 Progresso atualizado - Usuário ${usuarioId}, Módulo ${moduloId}: ${progressoModulo}%, Curso ${modulo.cursoId}: ${progressoCurso}%`);
+    for (const aula of modulo.aulas) {
+      if (aula.id === undefined || aula.id === null) continue;
 
-  } catch (error) {
-    console.error('❌ Erro ao atualizar progresso do módulo:', error);
+      const aulaId = validateId(aula.id);
+      if (!aulaId || !aulasPorId.has(aulaId)) {
+        return `Aula ${aula.id} não pertence a este curso`;
+      }
+      if (aulasVistas.has(aulaId)) {
+        return `Aula ${aulaId} enviada mais de uma vez`;
+      }
+      aulasVistas.add(aulaId);
+    }
   }
+
+  return null;
 }
 
-function verificarPermissaoCurso(cursosUsuario, materiaCurso) {
-    console.log(`🔐 Backend: Usuário tem cursos = [${cursosUsuario}], Matéria = ${materiaCurso}`);
-    
-    if (!cursosUsuario || cursosUsuario.length === 0) {
-        console.log(`ℹ️ Usuário sem cursos definidos.`);
-        return false;
+// Papéis que só um administrador atribui e cujas contas só um administrador (ou a própria conta) altera
+const PAPEIS_RESTRITOS = ['admin', 'coordenador'];
+
+// Valida se quem está autenticado pode atribuir o papel informado
+function validarAtribuicaoRole(solicitante, role) {
+    if (!permissionService.isValidRole(role)) {
+        return {
+            status: 400,
+            error: 'Papel inválido',
+            details: `Use um dos papéis: ${permissionService.roles.join(', ')}`
+        };
     }
     
-    if (cursosUsuario.some(curso => 
-        curso.toLowerCase().trim() === 'admin' || 
-        curso.toLowerCase().trim() === 'administrador'
-    )) {
-        console.log('👑 Usuário é admin, permitindo acesso total');
-        return true;
+    // Só administradores podem criar outros administradores ou coordenadores
+    if (PAPEIS_RESTRITOS.includes(role) && solicitante?.role !== 'admin') {
+        return {
+            status: 403,
+            error: 'Não autorizado',
+            details: `Apenas administradores podem atribuir o papel ${role}`
+        };
     }
     
-    const mapeamentoCursos = {
-        'programacao': ['python', 'javascript', 'web', 'html', 'css', 'programacao', 'desenvolvimento'],
-        'robotica': ['arduino', 'robotica', 'eletronica', 'automatizacao'],
-        'games': ['unity', 'blender', 'game', 'games', 'pixelart', 'desenvolvimento de games'],
-        'reforco': ['algebra', 'geometria', 'matematica', 'quimica', 'fisica', 'biologia', 'ciencias'],
-        'preparatorio': ['historia', 'geografia', 'gramatica', 'redacao', 'literatura', 'portugues'],
-        'informatica': ['word', 'excel', 'powerpoint', 'windows', 'pacote office', 'informatica basica'],
-        'outros': []
+    return null;
+}
+
+// Conta de administrador ou coordenador só é alterada, rebaixada ou excluída por um administrador
+// (ou por ela mesma): a mesma regra de quem pode atribuir esses papéis
+function erroAlvoRestrito(solicitante, alvo, acao) {
+    if (!PAPEIS_RESTRITOS.includes(alvo.role) || alvo.id === solicitante.id || solicitante.role === 'admin') return null;
+
+    return {
+        status: 403,
+        error: 'Não autorizado',
+        details: `Apenas administradores podem ${acao} um ${alvo.role === 'admin' ? 'administrador' : 'coordenador'}`
     };
-    
-    const materiaCursoLower = materiaCurso.toLowerCase().trim();
-    
-    let categoriaDaMateria = 'outros';
-    for (const [categoria, materias] of Object.entries(mapeamentoCursos)) {
-        if (materias.some(materia => materiaCursoLower.includes(materia) || materia.includes(materiaCursoLower))) {
-            categoriaDaMateria = categoria;
-            break;
-        }
-    }
-    
-    console.log(`📋 Matéria "${materiaCurso}" pertence à categoria: "${categoriaDaMateria}"`);
-    
-    const temAcesso = cursosUsuario.some(cursoUsuario => {
-        const cursoUsuarioLower = cursoUsuario.toLowerCase().trim();
-        return cursoUsuarioLower === categoriaDaMateria;
+}
+
+// ========== CONTROLE DE ACESSO POR MATRÍCULA ========== //
+const STATUS_MATRICULA = ['ativa', 'trancada', 'concluida', 'cancelada'];
+
+// Status que dão acesso ao conteúdo e o filtro de matrícula vigente ficam na política de acesso
+// (services/lesson-access-policy.service.js), junto com a decisão de cada aula
+
+// IDs dos cursos em que o usuário tem matrícula vigente
+async function buscarCursosMatriculados(usuarioId) {
+    const matriculas = await prisma.matricula.findMany({
+        where: { usuarioId: usuarioId, ...lessonAccessPolicy.enrollmentFilter() },
+        select: { cursoId: true }
     });
-    
-    console.log(`🔓 Resultado: ${temAcesso ? 'PERMITIDO' : 'BLOQUEADO'}`);
-    
-    return temAcesso;
+
+    return new Set(matriculas.map(m => m.cursoId));
 }
 
 // ========== ROTAS BÁSICAS ========== //
@@ -420,7 +525,7 @@ app.get('/api/health', async (req, res) => {
 // ========== SISTEMA DE USUÁRIOS ========== //
 
 // ✅ GET TODOS OS USUÁRIOS
-app.get('/api/usuarios', async (req, res) => {
+app.get('/api/usuarios', requirePermission('usuarios:listar'), async (req, res) => {
   try {
     console.log('👥 Buscando todos os usuários...');
     
@@ -431,6 +536,7 @@ app.get('/api/usuarios', async (req, res) => {
         ra: true,
         serie: true,
         curso: true,
+        role: true,
         pontuacao: true,
         desafiosCompletados: true,
         status: true,
@@ -448,37 +554,58 @@ app.get('/api/usuarios', async (req, res) => {
   }
 });
 
-// ✅ GET USUÁRIO POR ID (COM SUPORTE A ADMIN)
-app.get('/api/usuarios/:id', async (req, res) => {
+// ✅ GET ADMINISTRADORES
+app.get('/api/usuarios/admins', requirePermission('usuarios:listar'), async (req, res) => {
+    try {
+        // Papéis que podem processar autorizações (professor, coordenador, admin)
+        const admins = await prisma.usuario.findMany({
+            where: {
+                role: { in: permissionService.rolesWithPermission('autorizacoes:gerenciar') }
+            },
+            select: {
+                id: true,
+                nome: true,
+                ra: true,
+                curso: true,
+                role: true,
+                status: true
+            }
+        });
+        
+        res.json({
+            success: true,
+            admins: admins,
+            total: admins.length
+        });
+        
+    } catch (error) {
+        console.error('❌ Erro ao buscar admins:', error);
+        res.json({
+            success: false,
+            admins: [],
+            error: error.message
+        });
+    }
+});
+
+// ✅ GET USUÁRIO POR ID
+// Senha nunca é retornada: quem esqueceu recebe um código de redefinição (POST /api/usuarios/:id/codigo-redefinicao)
+app.get('/api/usuarios/:id', requireSelfOrPermission('id'), async (req, res) => {
   try {
     const userId = validateId(req.params.id);
     if (!userId) {
       return res.status(400).json({ error: 'ID do usuário inválido' });
     }
 
-    // Verificar se é uma requisição de admin (opcional)
-    const isAdmin = req.query.admin === 'true' || req.headers['x-admin'] === 'true';
-    
-    console.log(`👤 Buscando usuário ID: ${userId} ${isAdmin ? '(modo admin)' : ''}`);
+    console.log(`👤 Buscando usuário ID: ${userId}`);
 
-    const select = isAdmin ? {
-      id: true,
-      nome: true,
-      ra: true,
-      senha: true,  // ✅ SÓ INCLUI SE FOR ADMIN
-      serie: true,
-      curso: true,
-      pontuacao: true,
-      desafiosCompletados: true,
-      status: true,
-      criadoEm: true,
-      atualizadoEm: true
-    } : {
+    const select = {
       id: true,
       nome: true,
       ra: true,
       serie: true,
       curso: true,
+      role: true,
       pontuacao: true,
       desafiosCompletados: true,
       status: true,
@@ -499,9 +626,6 @@ app.get('/api/usuarios/:id', async (req, res) => {
     }
 
     console.log(`✅ Usuário encontrado: ${usuario.nome}`);
-    if (isAdmin) {
-      console.log(`🔑 Senha: ${usuario.senha ? '********' : 'N/A'}`);
-    }
     
     res.json({
       success: true,
@@ -514,7 +638,7 @@ app.get('/api/usuarios/:id', async (req, res) => {
 });
 
 // ✅ POST CRIAR USUÁRIO
-app.post('/api/usuarios', async (req, res) => {
+app.post('/api/usuarios', requirePermission('usuarios:gerenciar'), async (req, res) => {
     try {
         console.log('📝 Recebendo requisição POST /api/usuarios');
         
@@ -524,9 +648,14 @@ app.post('/api/usuarios', async (req, res) => {
             });
         }
 
-        const { nome, ra, serie, senha, curso, status = 'ativo' } = req.body;
+        const { nome, ra, serie, senha, curso, role = 'aluno', status = 'ativo' } = req.body;
+
+        console.log('🔍 Dados recebidos:', { nome, ra, serie, curso, role, status });
 
-        console.log('🔍 Dados recebidos:', { nome, ra, serie, curso, status });
+        const erroRole = validarAtribuicaoRole(req.user, role);
+        if (erroRole) {
+            return res.status(erroRole.status).json({ error: erroRole.error, details: erroRole.details });
+        }
 
         const missingFields = [];
         if (!nome || nome.trim() === '') missingFields.push('nome');
@@ -579,8 +708,9 @@ app.post('/api/usuarios', async (req, res) => {
                 nome: nome.trim(),
                 ra: ra.toString().trim(),
                 serie: serie.trim(),
-                senha: senha.trim(),
+                senha: await passwordService.hash(senha.trim()),
                 curso: cursosArray, 
+                role: role,
                 status: status,
                 pontuacao: 0,
                 desafiosCompletados: 0,
@@ -625,11 +755,31 @@ app.post('/api/login', async (req, res) => {
             });
         }
 
-        console.log('🔍 Buscando usuário com RA:', ra);
+        const raNormalizado = ra.toString().trim();
+        const ip = req.ip;
+
+        // Bloqueio temporário por RA/IP após falhas seguidas
+        const tentativa = await loginAttemptService.check(raNormalizado, ip);
+        if (tentativa.bloqueado) {
+            console.log(`🚫 Login bloqueado (RA ${raNormalizado}, IP ${ip}) por mais ${tentativa.retryAfter}s`);
+            res.set('Retry-After', String(tentativa.retryAfter));
+            return res.status(429).json({
+                success: false,
+                error: 'Muitas tentativas de login. Tente novamente mais tarde.',
+                retryAfter: tentativa.retryAfter
+            });
+        }
+
+        // Atraso progressivo a cada falha recente
+        if (tentativa.atraso > 0) {
+            await new Promise(resolve => setTimeout(resolve, tentativa.atraso));
+        }
+
+        console.log('🔍 Buscando usuário com RA:', raNormalizado);
 
         const usuario = await prisma.usuario.findUnique({
             where: { 
-                ra: ra.toString().trim() 
+                ra: raNormalizado 
             },
             select: {
                 id: true,
@@ -637,6 +787,7 @@ app.post('/api/login', async (req, res) => {
                 ra: true,
                 serie: true,
                 curso: true,
+                role: true,
                 senha: true,
                 status: true,
                 pontuacao: true,
@@ -645,14 +796,35 @@ app.post('/api/login', async (req, res) => {
             }
         });
 
-        if (!usuario) {
-            console.log('❌ Usuário não encontrado para RA:', ra);
-            return res.status(404).json({
+        // RA inexistente e senha incorreta recebem a mesma resposta (evita enumeração de RAs)
+        const senhaValida = usuario
+            ? await passwordService.verify(senha.toString().trim(), usuario.senha)
+            : await passwordService.verifyDummy(senha.toString().trim());
+
+        if (!senhaValida) {
+            console.log(usuario
+                ? `❌ Senha incorreta para usuário: ${usuario.nome}`
+                : `❌ Usuário não encontrado para RA: ${raNormalizado}`);
+
+            const { bloqueadoAte } = await loginAttemptService.registerFailure(raNormalizado, ip);
+            if (bloqueadoAte) {
+                const retryAfter = Math.ceil((bloqueadoAte - new Date()) / 1000);
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    success: false,
+                    error: 'Muitas tentativas de login. Tente novamente mais tarde.',
+                    retryAfter: retryAfter
+                });
+            }
+
+            return res.status(401).json({
                 success: false,
-                error: 'Usuário não encontrado'
+                error: 'RA ou senha inválidos'
             });
         }
 
+        await loginAttemptService.registerSuccess(raNormalizado);
+
         if (usuario.status !== 'ativo') {
             console.log('❌ Usuário inativo tentou fazer login:', usuario.nome);
             return res.status(403).json({
@@ -663,21 +835,43 @@ app.post('/api/login', async (req, res) => {
 
         console.log('✅ Usuário encontrado:', usuario.nome);
 
-        if (usuario.senha !== senha.trim()) {
-            console.log('❌ Senha incorreta para usuário:', usuario.nome);
-            return res.status(401).json({
-                success: false,
-                error: 'Senha incorreta'
-            });
+        // Senha legada em texto puro (ou hash com parâmetros antigos): regravar com hash atual
+        if (passwordService.needsRehash(usuario.senha)) {
+            try {
+                await prisma.usuario.update({
+                    where: { id: usuario.id },
+                    data: { senha: await passwordService.hash(senha.toString().trim()) }
+                });
+                console.log('🔒 Senha do usuário atualizada para hash:', usuario.nome);
+            } catch (rehashError) {
+                console.warn('⚠️ Não foi possível atualizar hash da senha:', rehashError.message);
+            }
         }
 
         console.log('✅ Login bem-sucedido para:', usuario.nome);
         const { senha: _, ...usuarioSemSenha } = usuario;
 
+        const role = permissionService.normalizeRole(usuario.role);
+        const { token, expiraEm } = authService.generateToken({
+            sub: usuario.id,
+            ra: usuario.ra,
+            nome: usuario.nome,
+            role,
+            ver: usuario.versaoToken
+        });
+
         res.json({
             success: true,
             message: 'Login realizado com sucesso!',
-            usuario: usuarioSemSenha
+            usuario: {
+                ...usuarioSemSenha,
+                role,
+                isAdmin: role === 'admin',
+                permissoes: permissionService.getPermissions(role)
+            },
+            token: token,
+            tokenType: 'Bearer',
+            expiraEm: expiraEm.toISOString()
         });
 
     } catch (error) {
@@ -685,8 +879,77 @@ app.post('/api/login', async (req, res) => {
     }
 });
 
+// ✅ USUÁRIO AUTENTICADO
+app.get('/api/auth/me', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        usuario: req.user
+    });
+});
+
+// ✅ LISTAR BLOQUEIOS DE LOGIN (RA/IP)
+app.get('/api/login/bloqueios', requirePermission('usuarios:gerenciar'), async (req, res) => {
+    try {
+        const bloqueios = await loginAttemptService.listLocked();
+
+        // Enriquecer bloqueios de RA com o usuário correspondente (se existir)
+        const ras = bloqueios.filter(b => b.tipo === 'ra').map(b => b.valor);
+        const usuarios = ras.length > 0 ? await prisma.usuario.findMany({
+            where: { ra: { in: ras } },
+            select: { id: true, nome: true, ra: true, serie: true }
+        }) : [];
+        const usuariosPorRa = new Map(usuarios.map(u => [u.ra, u]));
+
+        res.json({
+            success: true,
+            armazenamento: loginAttemptService.storeType,
+            total: bloqueios.length,
+            bloqueios: bloqueios.map(b => ({
+                ...b,
+                usuario: b.tipo === 'ra' ? usuariosPorRa.get(b.valor) || null : null
+            }))
+        });
+    } catch (error) {
+        handleError(res, error, 'Erro ao listar bloqueios de login');
+    }
+});
+
+// ✅ LIMPAR BLOQUEIO DE LOGIN (tipo = ra | ip)
+app.delete('/api/login/bloqueios/:tipo/:valor', requirePermission('usuarios:gerenciar'), async (req, res) => {
+    try {
+        const { tipo, valor } = req.params;
+
+        if (!['ra', 'ip'].includes(tipo)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Tipo inválido',
+                details: 'Use "ra" ou "ip"'
+            });
+        }
+
+        const removido = await loginAttemptService.clear(tipo, valor);
+
+        if (!removido) {
+            return res.status(404).json({
+                success: false,
+                error: 'Nenhum registro de tentativas encontrado',
+                details: `${tipo}: ${valor}`
+            });
+        }
+
+        console.log(`🔓 Bloqueio de login removido (${tipo}: ${valor}) por ${req.user.nome}`);
+
+        res.json({
+            success: true,
+            message: 'Bloqueio removido com sucesso'
+        });
+    } catch (error) {
+        handleError(res, error, 'Erro ao remover bloqueio de login');
+    }
+});
+
 // ✅ RANKING
-app.get('/api/ranking', async (req, res) => {
+app.get('/api/ranking', requireAuth, async (req, res) => {
   try {
     const usuarios = await prisma.usuario.findMany({
       where: {
@@ -714,15 +977,15 @@ app.get('/api/ranking', async (req, res) => {
 
 // ✅ PUT ATUALIZAR USUÁRIO
 
-app.put('/api/usuarios/:id', async (req, res) => {
+app.put('/api/usuarios/:id', requireSelfOrPermission('id'), async (req, res) => {
   try {
     const userId = validateId(req.params.id);
     if (!userId) {
       return res.status(400).json({ error: 'ID do usuário inválido' });
     }
 
-    const { nome, ra, serie, curso, pontuacao, desafiosCompletados, status } = req.body;
-    console.log(`✏️ Atualizando usuário ID: ${userId}`, req.body);
+    const { nome, ra, serie, senha, curso, role, pontuacao, desafiosCompletados, status } = req.body;
+    console.log(`✏️ Atualizando usuário ID: ${userId}`, { ...req.body, senha: senha !== undefined ? '********' : undefined });
 
     const usuarioExistente = await prisma.usuario.findUnique({
       where: { id: userId }
@@ -732,11 +995,31 @@ app.put('/api/usuarios/:id', async (req, res) => {
       return res.status(404).json({ error: 'Usuário não encontrado' });
     }
 
-    if (ra && ra !== usuarioExistente.ra) {
-      if (!/^\d{4}$/.test(ra.toString().trim())) {
-          return res.status(400).json({
-              error: 'RA inválido',
-              details: 'O RA deve conter exatamente 4 dígitos numéricos'
+    const erroAlvo = erroAlvoRestrito(req.user, usuarioExistente, 'alterar');
+    if (erroAlvo) {
+      return res.status(erroAlvo.status).json({ error: erroAlvo.error, details: erroAlvo.details });
+    }
+
+    if (!permissionService.can(req.user, 'usuarios:gerenciar')) {
+      // Nome e senha de outra conta só com gestão de usuários (senão um professor assumiria a conta).
+      // Série também: regras de aprovação automática usam a série do aluno
+      const camposRestritos = ['ra', 'serie', 'curso', 'role', 'pontuacao', 'desafiosCompletados', 'status',
+        ...(usuarioExistente.id !== req.user.id ? ['nome', 'senha'] : [])]
+        .filter(campo => req.body[campo] !== undefined);
+
+      if (camposRestritos.length > 0) {
+        return res.status(403).json({
+          error: 'Não autorizado',
+          details: `Apenas administradores podem alterar: ${camposRestritos.join(', ')}`
+        });
+      }
+    }
+
+    if (ra && ra !== usuarioExistente.ra) {
+      if (!/^\d{4}$/.test(ra.toString().trim())) {
+          return res.status(400).json({
+              error: 'RA inválido',
+              details: 'O RA deve conter exatamente 4 dígitos numéricos'
           });
       }
       
@@ -758,6 +1041,16 @@ app.put('/api/usuarios/:id', async (req, res) => {
     if (nome !== undefined) updateData.nome = nome.trim();
     if (ra !== undefined) updateData.ra = ra.toString().trim();
     if (serie !== undefined) updateData.serie = serie.trim();
+
+    if (senha !== undefined) {
+        if (!senha || senha.toString().trim() === '') {
+            return res.status(400).json({
+                error: 'Senha inválida',
+                details: 'A nova senha não pode ser vazia'
+            });
+        }
+        updateData.senha = await passwordService.hash(senha.toString().trim());
+    }
     
     if (curso !== undefined) {
         if (typeof curso === 'string') {
@@ -771,21 +1064,49 @@ app.put('/api/usuarios/:id', async (req, res) => {
         }
     }
     
+    if (role !== undefined) {
+        const erroRole = validarAtribuicaoRole(req.user, role);
+        if (erroRole) {
+            return res.status(erroRole.status).json({ error: erroRole.error, details: erroRole.details });
+        }
+        updateData.role = role;
+    }
+    
     if (pontuacao !== undefined) updateData.pontuacao = parseInt(pontuacao);
     if (desafiosCompletados !== undefined) updateData.desafiosCompletados = parseInt(desafiosCompletados);
     if (status !== undefined) updateData.status = status;
 
-    const usuarioAtualizado = await prisma.usuario.update({
+    // Nova senha, papel ou status derrubam as sessões abertas da conta
+    const encerraSessoes = updateData.senha !== undefined ||
+      (updateData.role !== undefined && updateData.role !== usuarioExistente.role) ||
+      (updateData.status !== undefined && updateData.status !== usuarioExistente.status);
+    if (encerraSessoes) updateData.versaoToken = { increment: 1 };
+
+    const { senha: _, versaoToken, ...usuarioAtualizado } = await prisma.usuario.update({
       where: { id: userId },
       data: updateData
     });
 
+    authService.forgetAccount(userId);
+
+    // Quem alterou a própria senha recebe um token novo para continuar logado
+    const novaSessao = encerraSessoes && userId === req.user.id && usuarioAtualizado.status === 'ativo'
+      ? authService.generateToken({
+        sub: usuarioAtualizado.id,
+        ra: usuarioAtualizado.ra,
+        nome: usuarioAtualizado.nome,
+        role: permissionService.normalizeRole(usuarioAtualizado.role),
+        ver: versaoToken
+      })
+      : null;
+
     console.log(`✅ Usuário atualizado:`, usuarioAtualizado.nome);
     
     res.json({
       success: true,
       message: 'Usuário atualizado com sucesso!',
-      usuario: usuarioAtualizado
+      usuario: usuarioAtualizado,
+      ...(novaSessao ? { token: novaSessao.token, tokenType: 'Bearer', expiraEm: novaSessao.expiraEm.toISOString() } : {})
     });
   } catch (error) {
     handleError(res, error, 'Erro ao atualizar usuário');
@@ -793,7 +1114,7 @@ app.put('/api/usuarios/:id', async (req, res) => {
 });
 
 // ✅ DELETE USUÁRIO
-app.delete('/api/usuarios/:id', async (req, res) => {
+app.delete('/api/usuarios/:id', requirePermission('usuarios:gerenciar'), async (req, res) => {
   try {
     const userId = validateId(req.params.id);
     if (!userId) {
@@ -810,10 +1131,17 @@ app.delete('/api/usuarios/:id', async (req, res) => {
       return res.status(404).json({ error: 'Usuário não encontrado' });
     }
 
+    const erroAlvo = erroAlvoRestrito(req.user, usuarioExistente, 'excluir');
+    if (erroAlvo) {
+      return res.status(erroAlvo.status).json({ error: erroAlvo.error, details: erroAlvo.details });
+    }
+
     await prisma.usuario.delete({
       where: { id: userId }
     });
 
+    authService.forgetAccount(userId);
+
     console.log(`✅ Usuário excluído: ${usuarioExistente.nome}`);
     
     res.json({
@@ -830,44 +1158,257 @@ app.delete('/api/usuarios/:id', async (req, res) => {
   }
 });
 
-app.get('/api/usuarios/admins', async (req, res) => {
-    try {
-        const admins = await prisma.usuario.findMany({
-            where: {
-                OR: [
-                    { curso: { has: 'admin' } },
-                    { curso: { has: 'administrador' } },
-                    { status: 'admin' }
-                ]
-            },
-            select: {
-                id: true,
-                nome: true,
-                ra: true,
-                curso: true,
-                status: true
-            }
-        });
-        
-        res.json({
-            success: true,
-            admins: admins,
-            total: admins.length
+// ========== REDEFINIÇÃO DE SENHA ========== //
+
+// ✅ EMITIR CÓDIGO DE REDEFINIÇÃO (professor/admin entrega o código ao aluno)
+app.post('/api/usuarios/:id/codigo-redefinicao', requirePermission('usuarios:redefinir_senha'), async (req, res) => {
+  try {
+    const userId = validateId(req.params.id);
+    if (!userId) {
+      return res.status(400).json({ error: 'ID do usuário inválido' });
+    }
+
+    const usuario = await prisma.usuario.findUnique({
+      where: { id: userId },
+      select: { id: true, nome: true, ra: true, role: true, status: true }
+    });
+
+    if (!usuario) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+
+    // Professores só redefinem senhas de alunos; contas da equipe exigem gestão de usuários
+    const podeRedefinir = usuario.role === 'aluno' || usuario.id === req.user.id ||
+      (permissionService.can(req.user, 'usuarios:gerenciar') && !erroAlvoRestrito(req.user, usuario, 'redefinir a senha de'));
+
+    if (!podeRedefinir) {
+      return res.status(403).json({
+        success: false,
+        error: 'Não autorizado',
+        details: `Você não pode redefinir a senha de um usuário com papel ${usuario.role}`
+      });
+    }
+
+    const codigo = passwordResetService.generateCode();
+    const expiraEm = passwordResetService.expirationDate();
+
+    const emitido = await prisma.$transaction(async (tx) => {
+      // Só o código mais recente vale
+      const { count: invalidados } = await tx.codigoRedefinicaoSenha.updateMany({
+        where: { usuarioId: usuario.id, usadoEm: null, invalidadoEm: null },
+        data: { invalidadoEm: new Date() }
+      });
+
+      const registro = await tx.codigoRedefinicaoSenha.create({
+        data: {
+          usuarioId: usuario.id,
+          codigoHash: passwordResetService.hashCode(codigo),
+          emitidoPorId: req.user.id,
+          expiraEm: expiraEm
+        }
+      });
+
+      await tx.logRedefinicaoSenha.create({
+        data: {
+          tipo: 'emitido',
+          usuarioId: usuario.id,
+          codigoId: registro.id,
+          adminId: req.user.id,
+          ip: req.ip,
+          detalhes: { expiraEm: expiraEm.toISOString(), codigosInvalidados: invalidados }
+        }
+      });
+
+      return registro;
+    });
+
+    console.log(`🔑 Código de redefinição ${emitido.id} emitido para ${usuario.nome} por ${req.user.nome}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Código de redefinição gerado. Ele só é exibido uma vez.',
+      codigo: codigo,
+      expiraEm: expiraEm,
+      validadeMinutos: passwordResetService.ttlMinutos,
+      usuario: { id: usuario.id, nome: usuario.nome, ra: usuario.ra }
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao gerar código de redefinição');
+  }
+});
+
+// ✅ RESGATAR CÓDIGO E DEFINIR NOVA SENHA (público: o aluno ainda não consegue logar)
+app.post('/api/senha/redefinir', async (req, res) => {
+  try {
+    const { ra, codigo, novaSenha } = req.body || {};
+
+    if (!ra || !codigo || !novaSenha || novaSenha.toString().trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'RA, código e nova senha são obrigatórios'
+      });
+    }
+
+    const raNormalizado = ra.toString().trim();
+    const ip = req.ip;
+
+    // Mesmos contadores do login: impede testar códigos em sequência
+    const tentativa = await loginAttemptService.check(raNormalizado, ip);
+    if (tentativa.bloqueado) {
+      res.set('Retry-After', String(tentativa.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Muitas tentativas. Tente novamente mais tarde.',
+        retryAfter: tentativa.retryAfter
+      });
+    }
+
+    const usuario = await prisma.usuario.findUnique({
+      where: { ra: raNormalizado },
+      select: { id: true, nome: true }
+    });
+
+    const registro = usuario ? await prisma.codigoRedefinicaoSenha.findFirst({
+      where: {
+        usuarioId: usuario.id,
+        usadoEm: null,
+        invalidadoEm: null,
+        expiraEm: { gt: new Date() }
+      },
+      orderBy: { criadoEm: 'desc' }
+    }) : null;
+
+    if (!registro || !passwordResetService.matches(codigo, registro.codigoHash)) {
+      await loginAttemptService.registerFailure(raNormalizado, ip);
+
+      // Incremento atômico: palpites simultâneos não passam de maxTentativas
+      const { count: contabilizada } = registro ? await prisma.codigoRedefinicaoSenha.updateMany({
+        where: { id: registro.id, usadoEm: null, invalidadoEm: null },
+        data: { tentativas: { increment: 1 } }
+      }) : { count: 0 };
+
+      if (contabilizada > 0) {
+        const { tentativas } = await prisma.codigoRedefinicaoSenha.findUnique({
+          where: { id: registro.id },
+          select: { tentativas: true }
         });
-        
-    } catch (error) {
-        console.error('❌ Erro ao buscar admins:', error);
-        res.json({
-            success: false,
-            admins: [],
-            error: error.message
+        const esgotado = tentativas >= passwordResetService.maxTentativas;
+
+        if (esgotado) {
+          await prisma.codigoRedefinicaoSenha.updateMany({
+            where: { id: registro.id, usadoEm: null, invalidadoEm: null },
+            data: { invalidadoEm: new Date() }
+          });
+        }
+
+        await prisma.logRedefinicaoSenha.create({
+          data: {
+            tipo: esgotado ? 'invalidado' : 'falha',
+            usuarioId: usuario.id,
+            codigoId: registro.id,
+            ip: ip,
+            detalhes: { tentativas }
+          }
         });
+      }
+
+      console.log(`❌ Código de redefinição inválido para RA ${raNormalizado}`);
+      return res.status(400).json({
+        success: false,
+        error: 'Código inválido ou expirado'
+      });
+    }
+
+    const senhaHash = await passwordService.hash(novaSenha.toString().trim());
+
+    // O código só é resgatado uma vez: quem marcar usadoEm primeiro troca a senha
+    const resgatado = await prisma.$transaction(async (tx) => {
+      const agora = new Date();
+      const { count } = await tx.codigoRedefinicaoSenha.updateMany({
+        where: {
+          id: registro.id,
+          usadoEm: null,
+          invalidadoEm: null,
+          expiraEm: { gt: agora },
+          tentativas: { lt: passwordResetService.maxTentativas }
+        },
+        data: { usadoEm: agora }
+      });
+
+      if (count === 0) return false;
+
+      await tx.usuario.update({
+        where: { id: usuario.id },
+        data: { senha: senhaHash, versaoToken: { increment: 1 } }
+      });
+
+      await tx.logRedefinicaoSenha.create({
+        data: {
+          tipo: 'resgatado',
+          usuarioId: usuario.id,
+          codigoId: registro.id,
+          adminId: registro.emitidoPorId,
+          ip: ip
+        }
+      });
+
+      return true;
+    });
+
+    if (!resgatado) {
+      console.log(`❌ Código de redefinição já utilizado ou invalidado para RA ${raNormalizado}`);
+      return res.status(400).json({
+        success: false,
+        error: 'Código inválido ou expirado'
+      });
+    }
+
+    authService.forgetAccount(usuario.id);
+    await loginAttemptService.registerSuccess(raNormalizado);
+
+    console.log(`✅ Senha redefinida via código para ${usuario.nome}`);
+
+    res.json({
+      success: true,
+      message: 'Senha redefinida com sucesso! Faça login com a nova senha.'
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao redefinir senha');
+  }
+});
+
+// ✅ HISTÓRICO DE REDEFINIÇÕES DE SENHA (auditoria)
+app.get('/api/usuarios/:id/redefinicoes-senha', requirePermission('usuarios:redefinir_senha'), async (req, res) => {
+  try {
+    const userId = validateId(req.params.id);
+    if (!userId) {
+      return res.status(400).json({ error: 'ID do usuário inválido' });
     }
+
+    const logs = await prisma.logRedefinicaoSenha.findMany({
+      where: { usuarioId: userId },
+      include: {
+        admin: { select: { id: true, nome: true } },
+        codigo: { select: { id: true, expiraEm: true, usadoEm: true, invalidadoEm: true, tentativas: true } }
+      },
+      orderBy: { criadoEm: 'desc' },
+      take: 100
+    });
+
+    res.json({
+      success: true,
+      total: logs.length,
+      logs: logs
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao buscar histórico de redefinições');
+  }
 });
+
 // ========== SISTEMA DE AMIGOS ========== //
 
 // ✅ GET LISTA DE AMIGOS DO USUÁRIO
-app.get('/api/amigos/usuarios/:usuarioId/amigos', async (req, res) => {
+app.get('/api/amigos/usuarios/:usuarioId/amigos', requireSelfOrPermission('usuarioId'), async (req, res) => {
   try {
     const usuarioId = validateId(req.params.usuarioId);
     if (!usuarioId) {
@@ -941,7 +1482,7 @@ app.get('/api/amigos/usuarios/:usuarioId/amigos', async (req, res) => {
 });
 
 // ✅ GET SOLICITAÇÕES DE AMIZADE PENDENTES
-app.get('/api/amigos/usuarios/:usuarioId/solicitacoes', async (req, res) => {
+app.get('/api/amigos/usuarios/:usuarioId/solicitacoes', requireSelfOrPermission('usuarioId'), async (req, res) => {
   try {
     const usuarioId = validateId(req.params.usuarioId);
     if (!usuarioId) {
@@ -983,7 +1524,7 @@ app.get('/api/amigos/usuarios/:usuarioId/solicitacoes', async (req, res) => {
 });
 
 // ✅ POST ENVIAR SOLICITAÇÃO DE AMIZADE
-app.post('/api/amigos/usuarios/:usuarioId/solicitar/:amigoId', async (req, res) => {
+app.post('/api/amigos/usuarios/:usuarioId/solicitar/:amigoId', requireSelfOrPermission('usuarioId'), async (req, res) => {
   try {
     const usuarioId = validateId(req.params.usuarioId);
     const amigoId = validateId(req.params.amigoId);
@@ -1088,7 +1629,7 @@ app.post('/api/amigos/usuarios/:usuarioId/solicitar/:amigoId', async (req, res)
 });
 
 // ✅ PUT ACEITAR SOLICITAÇÃO DE AMIZADE
-app.put('/api/amigos/usuarios/:usuarioId/aceitar/:amizadeId', async (req, res) => {
+app.put('/api/amigos/usuarios/:usuarioId/aceitar/:amizadeId', requireSelfOrPermission('usuarioId'), async (req, res) => {
     try {
         const usuarioId = validateId(req.params.usuarioId);
         const amizadeId = validateId(req.params.amizadeId);
@@ -1198,7 +1739,7 @@ app.put('/api/amigos/usuarios/:usuarioId/aceitar/:amizadeId', async (req, res) =
 });
 
 // ✅ PUT REJEITAR SOLICITAÇÃO DE AMIZADE
-app.put('/api/amigos/usuarios/:usuarioId/rejeitar/:amizadeId', async (req, res) => {
+app.put('/api/amigos/usuarios/:usuarioId/rejeitar/:amizadeId', requireSelfOrPermission('usuarioId'), async (req, res) => {
     try {
         const usuarioId = validateId(req.params.usuarioId);
         const amizadeId = validateId(req.params.amizadeId);
@@ -1274,7 +1815,7 @@ app.put('/api/amigos/usuarios/:usuarioId/rejeitar/:amizadeId', async (req, res)
 });
 
 // ✅ DELETE REMOVER AMIGO
-app.delete('/api/amigos/usuarios/:usuarioId/amigos/:amigoId', async (req, res) => {
+app.delete('/api/amigos/usuarios/:usuarioId/amigos/:amigoId', requireSelfOrPermission('usuarioId'), async (req, res) => {
   try {
     const usuarioId = validateId(req.params.usuarioId);
     const amigoId = validateId(req.params.amigoId);
@@ -1316,7 +1857,7 @@ app.delete('/api/amigos/usuarios/:usuarioId/amigos/:amigoId', async (req, res) =
 });
 
 // ✅ GET BUSCAR USUÁRIOS PARA ADICIONAR COMO AMIGOS
-app.get('/api/amigos/usuarios/buscar', async (req, res) => {
+app.get('/api/amigos/usuarios/buscar', requireAuth, async (req, res) => {
   try {
     const { query, usuarioId } = req.query;
     
@@ -1327,7 +1868,7 @@ app.get('/api/amigos/usuarios/buscar', async (req, res) => {
       });
     }
 
-    const currentUserId = validateId(usuarioId);
+    const currentUserId = resolveTargetUserId(req, usuarioId);
     
     console.log(`🔍 Buscando usuários com: "${query}"`);
 
@@ -1394,7 +1935,7 @@ app.get('/api/amigos/usuarios/buscar', async (req, res) => {
 });
 
 // ✅ GET NOTIFICAÇÕES DE AMIZADE
-app.get('/api/amigos/usuarios/:usuarioId/notificacoes', async (req, res) => {
+app.get('/api/amigos/usuarios/:usuarioId/notificacoes', requireSelfOrPermission('usuarioId'), async (req, res) => {
   try {
     const usuarioId = validateId(req.params.usuarioId);
     if (!usuarioId) {
@@ -1436,7 +1977,7 @@ app.get('/api/amigos/usuarios/:usuarioId/notificacoes', async (req, res) => {
 });
 
 // ✅ PUT MARCAR NOTIFICAÇÃO COMO LIDA
-app.put('/api/amigos/notificacoes/:notificacaoId/ler', async (req, res) => {
+app.put('/api/amigos/notificacoes/:notificacaoId/ler', requireAuth, async (req, res) => {
   try {
     const notificacaoId = validateId(req.params.notificacaoId);
     if (!notificacaoId) {
@@ -1453,6 +1994,13 @@ app.put('/api/amigos/notificacoes/:notificacaoId/ler', async (req, res) => {
       return res.status(404).json({ error: 'Notificação não encontrada' });
     }
 
+    if (notificacao.usuarioId !== req.user.id && !permissionService.can(req.user, 'usuarios:gerenciar')) {
+      return res.status(403).json({
+        error: 'Não autorizado',
+        details: 'Você só pode alterar as suas próprias notificações'
+      });
+    }
+
     await prisma.notificacaoAmizade.update({
       where: { id: notificacaoId },
       data: { lida: true }
@@ -1471,7 +2019,7 @@ app.put('/api/amigos/notificacoes/:notificacaoId/ler', async (req, res) => {
 });
 
 // ✅ GET AMIGOS ONLINE (SIMULADO)
-app.get('/api/amigos/usuarios/:usuarioId/amigos/online', async (req, res) => {
+app.get('/api/amigos/usuarios/:usuarioId/amigos/online', requireSelfOrPermission('usuarioId'), async (req, res) => {
   try {
     const usuarioId = validateId(req.params.usuarioId);
     if (!usuarioId) {
@@ -1542,7 +2090,7 @@ app.get('/api/amigos/usuarios/:usuarioId/amigos/online', async (req, res) => {
 
 // ========== SISTEMA DE CHAT ========== //
 
-app.get('/api/chat/mensagens', async (req, res) => {
+app.get('/api/chat/mensagens', requireAuth, async (req, res) => {
   try {
     console.log('💬 Buscando mensagens do chat...');
     
@@ -1585,7 +2133,7 @@ app.get('/api/chat/mensagens', async (req, res) => {
   }
 });
 
-app.get('/api/chat/mensagens/recentes', async (req, res) => {
+app.get('/api/chat/mensagens/recentes', requireAuth, async (req, res) => {
   try {
     console.log('💬 Buscando mensagens recentes do chat...');
     
@@ -1618,11 +2166,15 @@ app.get('/api/chat/mensagens/recentes', async (req, res) => {
 });
 
 // ✅ ROTA CORRIGIDA PARA ENVIO DE MENSAGENS
-app.post('/api/chat/mensagens', async (req, res) => {
+app.post('/api/chat/mensagens', requireAuth, async (req, res) => {
     try {
         console.log('📝 Recebendo nova mensagem...');
         
-        const { usuarioId, conteudo, tipo = 'texto', isAdmin = false } = req.body;
+        const { conteudo, tipo = 'texto' } = req.body;
+
+        // Mensagem administrativa só quando um moderador autenticado pede explicitamente
+        const isAdmin = permissionService.can(req.user, 'chat:moderar') && req.body.isAdmin === true;
+        const usuarioId = isAdmin ? null : req.user.id;
 
         // VALIDAÇÃO FLEXIBILIZADA
         if (!conteudo || conteudo.trim() === '') {
@@ -1723,18 +2275,39 @@ app.post('/api/chat/mensagens', async (req, res) => {
     }
 });
 
-app.delete('/api/chat/mensagens/:id', async (req, res) => {
+// ✅ LIMPAR CHAT (ADMIN) - antes de /:id para não ser capturada como ID
+app.delete('/api/chat/mensagens/todas', requirePermission('chat:moderar'), async (req, res) => {
+  try {
+    console.log('🗑️ Limpando todas as mensagens do chat...');
+    
+    const count = await prisma.mensagemChat.deleteMany({});
+    
+    console.log(`✅ ${count.count} mensagens excluídas`);
+    
+    res.json({
+      success: true,
+      message: `Chat limpo com sucesso! ${count.count} mensagens removidas.`,
+      count: count.count
+    });
+    
+  } catch (error) {
+    handleError(res, error, 'Erro ao limpar chat');
+  }
+});
+
+app.delete('/api/chat/mensagens/:id', requireAuth, async (req, res) => {
   try {
     const mensagemId = validateId(req.params.id);
     if (!mensagemId) {
       return res.status(400).json({ error: 'ID da mensagem inválido' });
     }
 
-    const { usuarioId, isAdmin = false } = req.body;
+    const usuarioId = req.user.id;
+    const isAdmin = permissionService.can(req.user, 'chat:moderar');
 
     const mensagem = await prisma.mensagemChat.findUnique({
       where: { id: mensagemId },
-      include: { usuario: true }
+      include: { usuario: { select: { id: true, nome: true } } }
     });
 
     if (!mensagem) {
@@ -1764,7 +2337,7 @@ app.delete('/api/chat/mensagens/:id', async (req, res) => {
   }
 });
 
-app.get('/api/chat/estatisticas', async (req, res) => {
+app.get('/api/chat/estatisticas', requireAuth, async (req, res) => {
   try {
     const [totalMensagens, usuariosAtivos, ultimaMensagem] = await Promise.all([
       prisma.mensagemChat.count(),
@@ -1799,43 +2372,15 @@ app.get('/api/chat/estatisticas', async (req, res) => {
   }
 });
 
-app.delete('/api/chat/mensagens/todas', async (req, res) => {
-  try {
-    console.log('🗑️ Limpando todas as mensagens do chat...');
-    
-    const { isAdmin } = req.body;
-    
-    if (!isAdmin) {
-      return res.status(403).json({
-        error: 'Não autorizado',
-        details: 'Apenas administradores podem limpar o chat'
-      });
-    }
-    
-    const count = await prisma.mensagemChat.deleteMany({});
-    
-    console.log(`✅ ${count.count} mensagens excluídas`);
-    
-    res.json({
-      success: true,
-      message: `Chat limpo com sucesso! ${count.count} mensagens removidas.`,
-      count: count.count
-    });
-    
-  } catch (error) {
-    handleError(res, error, 'Erro ao limpar chat');
-  }
-});
-
 // ✅ PUT ATUALIZAR MENSAGEM DO CHAT (nova)
-app.put('/api/chat/mensagens/:id', async (req, res) => {
+app.put('/api/chat/mensagens/:id', requirePermission('chat:moderar'), async (req, res) => {
   try {
     const mensagemId = validateId(req.params.id);
     if (!mensagemId) {
       return res.status(400).json({ error: 'ID da mensagem inválido' });
     }
 
-    const { conteudo, isAdmin } = req.body;
+    const { conteudo } = req.body;
 
     if (!conteudo || conteudo.trim() === '') {
       return res.status(400).json({
@@ -1844,13 +2389,6 @@ app.put('/api/chat/mensagens/:id', async (req, res) => {
       });
     }
 
-    if (!isAdmin) {
-      return res.status(403).json({
-        error: 'Não autorizado',
-        details: 'Apenas administradores podem editar mensagens'
-      });
-    }
-
     console.log(`✏️ Editando mensagem ID: ${mensagemId}`);
 
     const mensagem = await prisma.mensagemChat.findUnique({
@@ -1894,15 +2432,15 @@ app.put('/api/chat/mensagens/:id', async (req, res) => {
 // ========== SISTEMA DE CURSOS ========== //
 
 // ✅ GET TODOS OS CURSOS
-app.get('/api/cursos', async (req, res) => {
+app.get('/api/cursos', requireAuth, async (req, res) => {
   try {
     console.log('📚 Buscando todos os cursos...');
     
-    const { usuarioId, isAdmin, debug } = req.query;
-    const usuarioIdValidado = usuarioId ? validateId(usuarioId) : null;
+    const { usuarioId, debug } = req.query;
+    const usuarioIdValidado = resolveTargetUserId(req, usuarioId);
     
-    // ✅ CORREÇÃO: Se for admin OU não tiver usuarioId, retornar TODOS os cursos
-    const isAdminMode = isAdmin === 'true' || isAdmin === true || !usuarioIdValidado;
+    // ✅ Quem vê todos os cursos recebe a lista completa, a não ser que peça a visão de um aluno
+    const isAdminMode = permissionService.can(req.user, 'cursos:ver_todos') && !usuarioId;
     
     if (isAdminMode) {
       console.log('👑 Modo ADMIN ativado: retornando TODOS os cursos');
@@ -1910,9 +2448,10 @@ app.get('/api/cursos', async (req, res) => {
       console.log(`👤 Modo USUÁRIO: filtrando para usuário ID: ${usuarioIdValidado}`);
     }
     
+    // Modo admin recebe o rascunho de todos os cursos; os demais só a versão publicada
     let cursos = await prisma.curso.findMany({
-      where: { ativo: true },
-      include: {
+      where: isAdminMode ? { ativo: true } : { ativo: true, versaoPublicadaId: { not: null } },
+      include: isAdminMode ? {
         modulos: {
           where: { ativo: true },
           include: {
@@ -1923,10 +2462,16 @@ app.get('/api/cursos', async (req, res) => {
           },
           orderBy: { ordem: 'asc' }
         }
+      } : {
+        versaoPublicada: true
       },
       orderBy: { criadoEm: 'desc' }
     });
 
+    cursos = isAdminMode
+      ? cursos.map(curso => ({ ...curso, modulos: courseVersionService.decryptModules(curso.modulos) }))
+      : cursos.map(curso => courseVersionService.toPublishedCourse(curso));
+
     console.log(`📊 Total de cursos no banco: ${cursos.length}`);
     
     if (!isAdminMode && usuarioIdValidado) {
@@ -1934,15 +2479,14 @@ app.get('/api/cursos', async (req, res) => {
       
       const usuario = await prisma.usuario.findUnique({
         where: { id: usuarioIdValidado },
-        select: { curso: true, nome: true, ra: true }
+        select: { id: true, curso: true, role: true, nome: true, ra: true }
       });
 
-      if (usuario) {
+      if (usuario && !permissionService.can(usuario, 'cursos:ver_todos')) {
         const cursosAntes = cursos.length;
-        cursos = cursos.filter(curso => 
-          verificarPermissaoCurso(usuario.curso, curso.materia)
-        );
-        console.log(`✅ Cursos filtrados para ${usuario.nome} (${usuario.curso}): ${cursos.length} de ${cursosAntes} permitidos`);
+        const matriculados = await buscarCursosMatriculados(usuario.id);
+        cursos = cursos.filter(curso => matriculados.has(curso.id));
+        console.log(`✅ Cursos filtrados para ${usuario.nome} (matrículas): ${cursos.length} de ${cursosAntes} permitidos`);
         
         if (debug === 'true') {
           console.log('🔍 DEBUG - Cursos permitidos:');
@@ -1955,6 +2499,18 @@ app.get('/api/cursos', async (req, res) => {
       console.log('✅ Retornando todos os cursos (sem filtro)');
     }
 
+    // A listagem traz só a estrutura para alunos: conteúdo e vídeo saem pelas rotas que aplicam
+    // a política de acesso (GET /api/cursos/:id, /modulos, /aulas)
+    if (!permissionService.can(req.user, 'cursos:ver_todos')) {
+      cursos = cursos.map(curso => ({
+        ...curso,
+        modulos: curso.modulos.map(modulo => ({
+          ...modulo,
+          aulas: modulo.aulas.map(({ videoIv, videoTag, ...aula }) => ({ ...aula, conteudo: null, videoUrl: null }))
+        }))
+      }));
+    }
+
     try {
       const respostaJSON = JSON.stringify(cursos);
       JSON.parse(respostaJSON); 
@@ -1985,7 +2541,7 @@ app.get('/api/cursos', async (req, res) => {
 });
 
 // ✅ GET CURSO POR ID
-app.get('/api/cursos/:id', async (req, res) => {
+app.get('/api/cursos/:id', requireAuth, async (req, res) => {
   try {
     const cursoId = validateId(req.params.id);
     if (!cursoId) {
@@ -1995,17 +2551,21 @@ app.get('/api/cursos/:id', async (req, res) => {
       });
     }
 
+    // Equipe sem usuarioId recebe a visão sem progresso; alunos sempre recebem a própria
     const usuarioId = req.headers['usuarioid'] || req.query.usuarioId;
-    const usuarioIdValidado = usuarioId ? validateId(usuarioId) : null;
+    const usuarioIdValidado = permissionService.can(req.user, 'cursos:ver_todos') && !usuarioId ? null : resolveTargetUserId(req, usuarioId);
 
-    console.log(`🎯 Buscando curso ID: ${cursoId} para usuário: ${usuarioIdValidado || 'Não especificado'}`);
+    // ?preview=true mostra o rascunho para quem edita cursos; os demais veem a versão publicada
+    const preview = req.query.preview === 'true' && permissionService.can(req.user, 'cursos:editar');
 
-    const curso = await prisma.curso.findUnique({
+    console.log(`🎯 Buscando curso ID: ${cursoId} para usuário: ${usuarioIdValidado || 'Não especificado'}${preview ? ' (preview)' : ''}`);
+
+    const cursoRegistro = await prisma.curso.findUnique({
       where: { 
         id: cursoId, 
         ativo: true 
       },
-      include: {
+      include: preview ? {
         modulos: {
           where: { ativo: true },
           include: {
@@ -2016,72 +2576,79 @@ app.get('/api/cursos/:id', async (req, res) => {
           },
           orderBy: { ordem: 'asc' }
         }
+      } : {
+        versaoPublicada: true
       }
     });
 
+    const curso = preview
+      ? cursoRegistro && { ...cursoRegistro, modulos: courseVersionService.decryptModules(cursoRegistro.modulos) }
+      : cursoRegistro && courseVersionService.toPublishedCourse(cursoRegistro);
+
     if (!curso) {
       return res.status(404).json({ 
         success: false,
-        error: 'Curso não encontrado' 
+        error: 'Curso não encontrado',
+        details: cursoRegistro ? 'Curso ainda não publicado' : undefined
       });
     }
 
     if (usuarioIdValidado) {
       const usuario = await prisma.usuario.findUnique({
         where: { id: usuarioIdValidado },
-        select: { curso: true, nome: true }
+        select: { id: true, curso: true, role: true, nome: true }
       });
 
-      if (usuario && !verificarPermissaoCurso(usuario.curso, curso.materia)) {
+      if (!usuario) {
+        return res.status(404).json({
+          success: false,
+          error: 'Usuário não encontrado'
+        });
+      }
+
+      // Acesso de todas as aulas com as mesmas consultas (matrícula, autorizações, progresso)
+      const { contexto, decisoes } = await lessonAccessPolicy.evaluateCourse(usuario, curso.id);
+
+      if (!contexto.acessoTotal && !contexto.matriculado) {
         return res.status(403).json({
           success: false,
           error: 'Acesso negado',
-          message: `Usuários do curso ${usuario.curso} não podem acessar cursos de ${curso.materia}`,
-          cursoUsuario: usuario.curso,
-          materiaCurso: curso.materia
+          message: `${usuario.nome} não está matriculado no curso ${curso.titulo}`,
+          codigo: 'SEM_MATRICULA',
+          cursoId: curso.id
         });
       }
 
-      const progressoCurso = await prisma.progressoCurso.findFirst({
-        where: {
-          usuarioId: usuarioIdValidado,
-          cursoId: cursoId
-        }
-      });
+      const [progressoCurso, progressosModulos] = await Promise.all([
+        prisma.progressoCurso.findFirst({
+          where: {
+            usuarioId: usuarioIdValidado,
+            cursoId: cursoId
+          }
+        }),
+        prisma.progressoModulo.findMany({
+          where: {
+            usuarioId: usuarioIdValidado,
+            moduloId: { in: curso.modulos.map(m => m.id) }
+          }
+        })
+      ]);
 
-      const modulosComProgresso = await Promise.all(
-        curso.modulos.map(async (modulo) => {
-          const progressoModulo = await prisma.progressoModulo.findFirst({
-            where: {
-              usuarioId: usuarioIdValidado,
-              moduloId: modulo.id
-            }
-          });
-
-          const aulasComProgresso = await Promise.all(
-            modulo.aulas.map(async (aula) => {
-              const progressoAula = await prisma.progressoAula.findFirst({
-                where: {
-                  usuarioId: usuarioIdValidado,
-                  aulaId: aula.id
-                }
-              });
-
-              return {
-                ...aula,
-                concluida: progressoAula?.concluida || false,
-                dataConclusao: progressoAula?.dataConclusao
-              };
-            })
-          );
+      const progressoPorModulo = new Map(progressosModulos.map(p => [p.moduloId, p.progresso]));
 
+      const modulosComProgresso = curso.modulos.map(modulo => ({
+        ...modulo,
+        aulas: modulo.aulas.map(aula => {
+          const decisao = decisoes.get(aula.id) || lessonAccessPolicy.decide(contexto, aula.id);
           return {
-            ...modulo,
-            aulas: aulasComProgresso,
-            progresso: progressoModulo?.progresso || 0
+            ...ocultarConteudoBloqueado(aula, decisao, req.user),
+            concluida: contexto.concluidas.has(aula.id),
+            dataConclusao: contexto.concluidas.get(aula.id) || null,
+            acesso: lessonAccessPolicy.summarize(decisao)
           };
-        })
-      );
+        }),
+        progresso: progressoPorModulo.get(modulo.id) || 0
+      }));
 
       const cursoComProgresso = {
         ...curso,
@@ -2112,7 +2679,7 @@ app.get('/api/cursos/:id', async (req, res) => {
 });
 
 // ✅ GET MÓDULOS DE UM CURSO
-app.get('/api/cursos/:id/modulos', async (req, res) => {
+app.get('/api/cursos/:id/modulos', requireAuth, async (req, res) => {
   try {
     const cursoId = validateId(req.params.id);
     if (!cursoId) {
@@ -2122,12 +2689,21 @@ app.get('/api/cursos/:id/modulos', async (req, res) => {
       });
     }
 
+    // Equipe sem usuarioId recebe a visão sem progresso; alunos sempre recebem a própria
     const usuarioId = req.headers['usuarioid'] || req.query.usuarioId;
-    const usuarioIdValidado = usuarioId ? validateId(usuarioId) : null;
+    const usuarioIdValidado = permissionService.can(req.user, 'cursos:ver_todos') && !usuarioId ? null : resolveTargetUserId(req, usuarioId);
+
+    const preview = req.query.preview === 'true' && permissionService.can(req.user, 'cursos:editar');
 
-    console.log(`📚 Buscando módulos do curso ${cursoId} para usuário: ${usuarioIdValidado || 'Não especificado'}`);
+    console.log(`📚 Buscando módulos do curso ${cursoId} para usuário: ${usuarioIdValidado || 'Não especificado'}${preview ? ' (preview)' : ''}`);
 
-    const modulos = await prisma.modulo.findMany({
+    // Sem preview, os módulos vêm da versão publicada do curso
+    const cursoPublicado = preview ? null : await prisma.curso.findFirst({
+      where: { id: cursoId, ativo: true },
+      include: { versaoPublicada: true }
+    });
+
+    const modulos = !preview ? (courseVersionService.toPublishedCourse(cursoPublicado || {})?.modulos || []) : courseVersionService.decryptModules(await prisma.modulo.findMany({
       where: {
         cursoId: cursoId,
         ativo: true
@@ -2143,49 +2719,66 @@ app.get('/api/cursos/:id/modulos', async (req, res) => {
             duracao: true,
             ordem: true,
             videoUrl: true,
+            videoIv: true,
+            videoTag: true,
             conteudo: true,
             criadoEm: true
           }
         }
       },
       orderBy: { ordem: 'asc' }
-    });
+    }));
 
     let modulosComProgresso = modulos;
     if (usuarioIdValidado) {
-      modulosComProgresso = await Promise.all(
-        modulos.map(async (modulo) => {
-          const progressoAulas = await Promise.all(
-            modulo.aulas.map(async (aula) => {
-              const progresso = await prisma.progressoAula.findFirst({
-                where: {
-                  usuarioId: usuarioIdValidado,
-                  aulaId: aula.id,
-                  concluida: true
-                }
-              });
-              
-              return {
-                ...aula,
-                concluida: !!progresso,
-                dataConclusao: progresso?.dataConclusao
-              };
-            })
-          );
+      const usuario = await prisma.usuario.findUnique({
+        where: { id: usuarioIdValidado },
+        select: { id: true, curso: true, role: true, nome: true }
+      });
+
+      if (!usuario) {
+        return res.status(404).json({
+          success: false,
+          error: 'Usuário não encontrado'
+        });
+      }
+
+      // Matrícula, autorizações e conclusões com as mesmas consultas para todas as aulas
+      const { contexto, decisoes } = await lessonAccessPolicy.evaluateCourse(usuario, cursoId);
 
-          const aulasConcluidas = progressoAulas.filter(a => a.concluida).length;
-          const progresso = modulo.aulas.length > 0 ? 
-            Math.round((aulasConcluidas / modulo.aulas.length) * 100) : 0;
+      if (!contexto.acessoTotal && !contexto.matriculado) {
+        return res.status(403).json({
+          success: false,
+          error: 'Acesso negado',
+          message: `${usuario.nome} não está matriculado no curso`,
+          codigo: 'SEM_MATRICULA',
+          cursoId: cursoId
+        });
+      }
 
+      modulosComProgresso = modulos.map(modulo => {
+        const progressoAulas = modulo.aulas.map(aula => {
+          const decisao = decisoes.get(aula.id) || lessonAccessPolicy.decide(contexto, aula.id);
           return {
-            ...modulo,
-            aulas: progressoAulas,
-            progresso: progresso,
-            aulasConcluidas: aulasConcluidas,
-            totalAulas: modulo.aulas.length
+            ...ocultarConteudoBloqueado(aula, decisao, req.user),
+            concluida: contexto.concluidas.has(aula.id),
+            dataConclusao: contexto.concluidas.get(aula.id) || null,
+            acesso: lessonAccessPolicy.summarize(decisao)
           };
-        })
-      );
+        });
+
+        const aulasConcluidas = progressoAulas.filter(a => a.concluida).length;
+        const progresso = modulo.aulas.length > 0 ? 
+          Math.round((aulasConcluidas / modulo.aulas.length) * 100) : 0;
+
+        return {
+          ...modulo,
+          aulas: progressoAulas,
+          progresso: progresso,
+          aulasConcluidas: aulasConcluidas,
+          totalAulas: modulo.aulas.length
+        };
+      });
     }
 
     res.json({
@@ -2203,7 +2796,7 @@ app.get('/api/cursos/:id/modulos', async (req, res) => {
 });
 
 // ✅ POST CRIAR CURSO (NOVO - CORRIGIDO)
-app.post('/api/cursos', async (req, res) => {
+app.post('/api/cursos', requirePermission('cursos:editar'), async (req, res) => {
   try {
     console.log('📝 Recebendo requisição POST /api/cursos');
     console.log('📦 Body recebido:', {
@@ -2226,7 +2819,11 @@ app.post('/api/cursos', async (req, res) => {
       modulos 
     } = req.body;
 
-    // VALIDAÇÃO BÁSICA (mantenha igual)
+    // VALIDAÇÃO BÁSICA (mesmas regras do PUT)
+    const erroValidacao = validarEstruturaCurso(req.body);
+    if (erroValidacao) {
+      return res.status(400).json({ success: false, ...erroValidacao });
+    }
 
     console.log('✅ Validação passada. Criando curso...');
 
@@ -2286,7 +2883,7 @@ app.post('/api/cursos', async (req, res) => {
                 duracao: parseInt(aulaData.duracao) || 15,
                 ordem: aulaData.ordem || (j + 1),
                 moduloId: novoModulo.id,
-                videoUrl: aulaData.videoUrl ? aulaData.videoUrl.trim() : null,
+                ...dadosVideoAula(aulaData.videoUrl),
                 ativo: true,
                 criadoEm: new Date(),
                 atualizadoEm: new Date()
@@ -2335,10 +2932,25 @@ app.post('/api/cursos', async (req, res) => {
       console.log(`📊 Módulos criados: ${modulosCriados.length}`);
       console.log(`📊 Total de aulas: ${cursoCompleto?.modulos?.reduce((sum, mod) => sum + (mod.aulas?.length || 0), 0) || 0}`);
 
+      // Curso nasce como rascunho; { publicar: true } já publica a versão 1
+      let versao = null;
+      if (req.body.publicar === true) {
+        versao = await prisma.$transaction(tx => courseVersionService.publish(tx, curso.id, {
+          publicadoPorId: req.user.id,
+          observacao: 'Publicação inicial'
+        }));
+        console.log(`🚀 Curso ${curso.id} publicado (versão ${versao.numero})`);
+      }
+
       res.status(201).json({
         success: true,
-        message: 'Curso criado com sucesso!',
-        curso: cursoCompleto
+        message: versao ? 'Curso criado e publicado com sucesso!' : 'Curso criado como rascunho!',
+        curso: {
+          ...cursoCompleto,
+          modulos: courseVersionService.decryptModules(cursoCompleto?.modulos),
+          status: versao ? 'publicado' : cursoCompleto.status
+        },
+        versao: versao ? versao.numero : null
       });
 
     } catch (transactionError) {
@@ -2363,7 +2975,7 @@ app.post('/api/cursos', async (req, res) => {
   }
 });
 // ✅ PUT EDITAR CURSO (CORRIGIDO)
-app.put('/api/cursos/:id', async (req, res) => {
+app.put('/api/cursos/:id', requirePermission('cursos:editar'), async (req, res) => {
   try {
     const cursoId = validateId(req.params.id);
     if (!cursoId) return res.status(400).json({ 
@@ -2406,52 +3018,9 @@ app.put('/api/cursos/:id', async (req, res) => {
     } = req.body;
 
     // VALIDAÇÃO BÁSICA
-    if (!titulo || titulo.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        error: 'Título obrigatório',
-        details: 'O curso precisa de um título'
-      });
-    }
-
-    if (!materia || materia.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        error: 'Matéria obrigatória',
-        details: 'Selecione a matéria do curso'
-      });
-    }
-
-    if (!categoria || categoria.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        error: 'Categoria obrigatória',
-        details: 'Selecione a categoria do curso'
-      });
-    }
-
-    if (!nivel || nivel.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        error: 'Nível obrigatório',
-        details: 'Selecione o nível do curso'
-      });
-    }
-
-    if (!duracao || parseInt(duracao) <= 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Duração inválida',
-        details: 'A duração deve ser maior que zero'
-      });
-    }
-
-    if (!modulos || !Array.isArray(modulos) || modulos.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Módulos obrigatórios',
-        details: 'O curso deve ter pelo menos um módulo'
-      });
+    const erroValidacao = validarEstruturaCurso(req.body);
+    if (erroValidacao) {
+      return res.status(400).json({ success: false, ...erroValidacao });
     }
 
     // Verificar se o curso existe
@@ -2473,50 +3042,30 @@ app.put('/api/cursos/:id', async (req, res) => {
       });
     }
 
-    // VALIDAR CADA MÓDULO
-    for (let i = 0; i < modulos.length; i++) {
-      const modulo = modulos[i];
-      
-      if (!modulo.titulo || modulo.titulo.trim() === '') {
-        return res.status(400).json({
-          success: false,
-          error: 'Módulo sem título',
-          details: `O módulo ${i + 1} precisa de um título`
-        });
-      }
-
-      if (!modulo.aulas || !Array.isArray(modulo.aulas) || modulo.aulas.length === 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'Módulo sem aulas',
-          details: `O módulo "${modulo.titulo}" deve ter pelo menos uma aula`
-        });
-      }
-
-      // Validar cada aula
-      for (let j = 0; j < modulo.aulas.length; j++) {
-        const aula = modulo.aulas[j];
-        
-        if (!aula.titulo || aula.titulo.trim() === '') {
-          return res.status(400).json({
-            success: false,
-            error: 'Aula sem título',
-            details: `Aula ${j + 1} do módulo "${modulo.titulo}" precisa de um título`
-          });
-        }
+    // IDs enviados precisam pertencer a este curso e não podem se repetir
+    const modulosPorId = new Map(cursoExistente.modulos.map(m => [m.id, m]));
+    const aulasPorId = new Map(cursoExistente.modulos.flatMap(m => m.aulas).map(a => [a.id, a]));
+    const erroIds = validarIdsEstruturaCurso(modulos, modulosPorId, aulasPorId);
 
-        if (!aula.duracao || parseInt(aula.duracao) <= 0) {
-          return res.status(400).json({
-            success: false,
-            error: 'Duração inválida',
-            details: `Aula "${aula.titulo}" deve ter uma duração válida`
-          });
-        }
-      }
+    if (erroIds) {
+      return res.status(400).json({
+        success: false,
+        error: 'Estrutura inválida',
+        details: erroIds
+      });
     }
 
     console.log('✅ Validação passada. Atualizando curso...');
 
+    const alteracoes = {
+      modulosCriados: 0,
+      modulosAtualizados: 0,
+      modulosDesativados: 0,
+      aulasCriadas: 0,
+      aulasAtualizadas: 0,
+      aulasDesativadas: 0
+    };
+
     // ATUALIZAR CURSO COM MÓDULOS E AULAS (USANDO TRANSACTION)
     const cursoAtualizado = await prisma.$transaction(async (tx) => {
       // 1. Atualizar informações básicas do curso
@@ -2541,74 +3090,95 @@ app.put('/api/cursos/:id', async (req, res) => {
 
       console.log(`✅ Curso base atualizado: ${curso.titulo} (ID: ${curso.id})`);
 
-      // 2. OBTER IDs dos módulos existentes
-      const modulosExistentes = await tx.modulo.findMany({
-        where: { cursoId: cursoId },
-        select: { id: true }
-      });
-
-      const moduloIdsExistentes = modulosExistentes.map(m => m.id);
-      
-      // 3. DELETAR TODAS AS AULAS DOS MÓDULOS EXISTENTES
-      if (moduloIdsExistentes.length > 0) {
-        console.log(`🗑️ Deletando ${moduloIdsExistentes.length} módulos antigos...`);
-        await tx.aula.deleteMany({
-          where: { moduloId: { in: moduloIdsExistentes } }
-        });
-        
-        // Deletar os módulos
-        await tx.modulo.deleteMany({
-          where: { id: { in: moduloIdsExistentes } }
-        });
-      }
+      // 2. SINCRONIZAR MÓDULOS E AULAS POR ID (sem apagar: progresso e autorizações continuam ligados)
+      const moduloIdsMantidos = [];
+      const aulaIdsMantidas = [];
 
-      // 4. CRIAR NOVOS MÓDULOS E AULAS
-      console.log(`🔄 Criando ${modulos.length} novos módulos...`);
-      
       for (let i = 0; i < modulos.length; i++) {
         const moduloData = modulos[i];
-        
-        const novoModulo = await tx.modulo.create({
-          data: {
-            titulo: moduloData.titulo.trim(),
-            descricao: moduloData.descricao ? moduloData.descricao.trim() : '',
-            ordem: moduloData.ordem || (i + 1),
-            cursoId: curso.id,
-            ativo: true,
-            criadoEm: new Date(),
-            atualizadoEm: new Date()
-          }
-        });
+        const moduloId = validateId(moduloData.id);
 
-        console.log(`✅ Módulo criado: ${novoModulo.titulo} (ID: ${novoModulo.id})`);
+        const dadosModulo = {
+          titulo: moduloData.titulo.trim(),
+          descricao: moduloData.descricao ? moduloData.descricao.trim() : '',
+          ordem: moduloData.ordem || (i + 1),
+          ativo: true
+        };
 
-        // Criar aulas do módulo
-        if (moduloData.aulas && Array.isArray(moduloData.aulas)) {
-          console.log(`📝 Criando ${moduloData.aulas.length} aulas para o módulo...`);
-          
-          for (let j = 0; j < moduloData.aulas.length; j++) {
-            const aulaData = moduloData.aulas[j];
-            
-            await tx.aula.create({
+        let modulo;
+        if (moduloId && modulosPorId.has(moduloId)) {
+          modulo = await tx.modulo.update({
+            where: { id: moduloId },
+            data: dadosModulo
+          });
+          alteracoes.modulosAtualizados++;
+          console.log(`✏️ Módulo atualizado: ${modulo.titulo} (ID: ${modulo.id})`);
+        } else {
+          modulo = await tx.modulo.create({
+            data: { ...dadosModulo, cursoId: curso.id }
+          });
+          alteracoes.modulosCriados++;
+          console.log(`✅ Módulo criado: ${modulo.titulo} (ID: ${modulo.id})`);
+        }
+
+        moduloIdsMantidos.push(modulo.id);
+
+        for (let j = 0; j < moduloData.aulas.length; j++) {
+          const aulaData = moduloData.aulas[j];
+          const aulaId = validateId(aulaData.id);
+
+          const dadosAula = {
+            titulo: aulaData.titulo.trim(),
+            descricao: aulaData.descricao ? aulaData.descricao.trim() : '',
+            conteudo: aulaData.conteudo ? aulaData.conteudo.trim() : '',
+            duracao: parseInt(aulaData.duracao) || 15,
+            ordem: aulaData.ordem || (j + 1),
+            moduloId: modulo.id,
+            ativo: true
+          };
+
+          if (aulaId && aulasPorId.has(aulaId)) {
+            // Sem videoUrl no payload, mantém o vídeo atual
+            if (aulaData.videoUrl !== undefined) {
+              Object.assign(dadosAula, dadosVideoAula(aulaData.videoUrl));
+            }
+
+            await tx.aula.update({
+              where: { id: aulaId },
+              data: dadosAula
+            });
+            aulaIdsMantidas.push(aulaId);
+            alteracoes.aulasAtualizadas++;
+          } else {
+            const novaAula = await tx.aula.create({
               data: {
-                titulo: aulaData.titulo.trim(),
-                descricao: aulaData.descricao ? aulaData.descricao.trim() : '',
-                conteudo: aulaData.conteudo ? aulaData.conteudo.trim() : '',
-                duracao: parseInt(aulaData.duracao) || 15,
-                ordem: aulaData.ordem || (j + 1),
-                moduloId: novoModulo.id,
-                videoUrl: aulaData.videoUrl ? aulaData.videoUrl.trim() : null,
-                ativo: true,
-                criadoEm: new Date(),
-                atualizadoEm: new Date()
+                ...dadosAula,
+                ...dadosVideoAula(aulaData.videoUrl)
               }
             });
+            aulaIdsMantidas.push(novaAula.id);
+            alteracoes.aulasCriadas++;
           }
-          console.log(`✅ ${moduloData.aulas.length} aulas criadas para módulo ${novoModulo.titulo}`);
         }
       }
 
-      // 5. Retornar curso completo atualizado
+      // 3. DESATIVAR (soft delete) O QUE NÃO VEIO NO PAYLOAD
+      const { count: modulosDesativados } = await tx.modulo.updateMany({
+        where: { cursoId: cursoId, ativo: true, id: { notIn: moduloIdsMantidos } },
+        data: { ativo: false }
+      });
+
+      const { count: aulasDesativadas } = await tx.aula.updateMany({
+        where: { modulo: { cursoId: cursoId }, ativo: true, id: { notIn: aulaIdsMantidas } },
+        data: { ativo: false }
+      });
+
+      alteracoes.modulosDesativados = modulosDesativados;
+      alteracoes.aulasDesativadas = aulasDesativadas;
+
+      console.log('📊 Alterações na estrutura:', alteracoes);
+
+      // 4. Retornar curso completo atualizado
       const cursoCompleto = await tx.curso.findUnique({
         where: { id: cursoId },
         include: {
@@ -2634,10 +3204,14 @@ app.put('/api/cursos/:id', async (req, res) => {
       return cursoCompleto;
     });
 
+    // Alunos continuam na versão publicada; o progresso é recalculado ao publicar
+    await marcarAlteracoesPendentes(cursoId);
+
     res.json({
       success: true,
       message: 'Curso atualizado com sucesso!',
-      curso: cursoAtualizado
+      curso: { ...cursoAtualizado, modulos: courseVersionService.decryptModules(cursoAtualizado.modulos) },
+      alteracoes: alteracoes
     });
 
   } catch (error) {
@@ -2667,7 +3241,7 @@ app.put('/api/cursos/:id', async (req, res) => {
 });
 
 // ✅ DELETE CURSO
-app.delete('/api/cursos/:id', async (req, res) => {
+app.delete('/api/cursos/:id', requirePermission('cursos:editar'), async (req, res) => {
   try {
     const cursoId = validateId(req.params.id);
     if (!cursoId) return res.status(400).json({ error: 'ID do curso inválido' });
@@ -2693,94 +3267,1801 @@ app.delete('/api/cursos/:id', async (req, res) => {
   }
 });
 
-// ✅ GET AULA ESPECÍFICA
-app.get('/api/aulas/:id', async (req, res) => {
-  try {
-    const aulaId = validateId(req.params.id);
-    if (!aulaId) {
-      return res.status(400).json({ 
-        success: false,
-        error: 'ID da aula inválido' 
-      });
-    }
+// ========== MÓDULOS E AULAS (EDIÇÃO GRANULAR) ========== //
 
-    const usuarioId = req.headers['usuarioid'] || req.query.usuarioId;
-    const usuarioIdValidado = usuarioId ? validateId(usuarioId) : null;
+// Converte o videoUrl da aula para as colunas criptografadas (videoUrl/videoIv/videoTag).
+// Na raiz do body ele já chega criptografado pelo encryptRequestBodyMiddleware; aulas aninhadas
+// (POST de módulo com aulas) são criptografadas aqui pelo mesmo serviço.
+function dadosVideoAula(videoUrl) {
+  if (!videoUrl) {
+    return { videoUrl: null, videoIv: null, videoTag: null };
+  }
 
-    console.log(`🎓 Buscando aula ${aulaId} para usuário: ${usuarioIdValidado || 'Não especificado'}`);
+  const criptografado = typeof videoUrl === 'object'
+    ? videoUrl
+    : encryptionService.encryptYouTubeUrl(videoUrl.toString().trim());
 
-    const aula = await prisma.aula.findUnique({
-      where: { 
-        id: aulaId,
-        ativo: true 
-      },
-      include: {
-        modulo: {
-          include: {
-            curso: {
-              select: {
-                id: true,
-                titulo: true,
-                materia: true
-              }
-            }
-          }
-        }
+  return {
+    videoUrl: criptografado.encrypted,
+    videoIv: criptografado.iv,
+    videoTag: criptografado.tag
+  };
+}
+
+// Aula como sai para o cliente: URL do vídeo descriptografada
+function formatarAulaResposta(aula) {
+  return courseVersionService.decryptLesson(aula);
+}
+
+// Em listagens, aula não autorizada sai sem conteúdo nem vídeo (mesma regra do GET /api/aulas/:id);
+// a equipe continua vendo tudo
+function ocultarConteudoBloqueado(aula, decisao, solicitante) {
+  if (decisao.autorizada || permissionService.can(solicitante, 'cursos:ver_todos')) return aula;
+
+  const { videoIv, videoTag, ...dados } = aula;
+  return { ...dados, conteudo: null, videoUrl: null };
+}
+
+// ========== ORDENAÇÃO DE MÓDULOS E AULAS ========== //
+
+// Renumera 1..n na ordem recebida (dentro da transação)
+async function renumerarOrdem(tx, modelo, ids, dadosExtras = {}) {
+  for (let i = 0; i < ids.length; i++) {
+    await tx[modelo].update({
+      where: { id: ids[i] },
+      data: { ordem: i + 1, ...dadosExtras }
+    });
+  }
+}
+
+// Valida uma lista de IDs para reordenação: números válidos e sem repetição
+function validarListaIds(lista, nomeCampo) {
+  if (!Array.isArray(lista) || lista.length === 0) {
+    return { erro: `${nomeCampo} deve ser uma lista com pelo menos um ID` };
+  }
+
+  const ids = lista.map(validateId);
+  if (ids.some(id => !id)) {
+    return { erro: `${nomeCampo} contém IDs inválidos` };
+  }
+  if (new Set(ids).size !== ids.length) {
+    return { erro: `${nomeCampo} contém IDs repetidos` };
+  }
+
+  return { ids };
+}
+
+// Ordens repetidas ou fora da sequência 1..n em módulos e aulas ativos do curso
+async function analisarOrdemCurso(cursoId) {
+  const modulos = await prisma.modulo.findMany({
+    where: { cursoId: cursoId, ativo: true },
+    include: {
+      aulas: {
+        where: { ativo: true },
+        select: { id: true, titulo: true, ordem: true },
+        orderBy: [{ ordem: 'asc' }, { id: 'asc' }]
+      }
+    },
+    orderBy: [{ ordem: 'asc' }, { id: 'asc' }]
+  });
+
+  const problemas = [];
+  const verificarSequencia = (itens, tipo, contexto) => {
+    const vistas = new Map();
+    itens.forEach((item, i) => {
+      if (vistas.has(item.ordem)) {
+        problemas.push({ tipo, problema: 'ordem_duplicada', ordem: item.ordem, ids: [vistas.get(item.ordem), item.id], ...contexto });
+      } else {
+        vistas.set(item.ordem, item.id);
+      }
+      if (item.ordem !== i + 1) {
+        problemas.push({ tipo, problema: 'fora_de_sequencia', id: item.id, ordemAtual: item.ordem, ordemEsperada: i + 1, ...contexto });
       }
     });
+  };
 
-    if (!aula) {
-      return res.status(404).json({ 
-        success: false,
-        error: 'Aula não encontrada' 
-      });
+  verificarSequencia(modulos, 'modulo', { cursoId });
+  for (const modulo of modulos) {
+    verificarSequencia(modulo.aulas, 'aula', { moduloId: modulo.id });
+  }
+
+  return { modulos, problemas };
+}
+
+// ✅ REORDENAR MÓDULOS DO CURSO (lista completa dos módulos ativos na nova ordem)
+app.put('/api/cursos/:cursoId/modulos/ordem', requirePermission('cursos:editar'), async (req, res) => {
+  try {
+    const cursoId = validateId(req.params.cursoId);
+    if (!cursoId) {
+      return res.status(400).json({ success: false, error: 'ID do curso inválido' });
     }
 
-    let progresso = null;
-    if (usuarioIdValidado) {
-      progresso = await prisma.progressoAula.findFirst({
-        where: {
-          usuarioId: usuarioIdValidado,
-          aulaId: aulaId
-        }
+    const { ids, erro } = validarListaIds(req.body.moduloIds, 'moduloIds');
+    if (erro) {
+      return res.status(400).json({ success: false, error: erro });
+    }
+
+    const modulosAtivos = await prisma.modulo.findMany({
+      where: { cursoId: cursoId, ativo: true },
+      select: { id: true }
+    });
+    const idsAtivos = new Set(modulosAtivos.map(m => m.id));
+
+    if (ids.length !== idsAtivos.size || ids.some(id => !idsAtivos.has(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Lista de módulos incompleta ou inválida',
+        details: 'Envie todos os módulos ativos do curso, e somente eles',
+        modulosAtivos: [...idsAtivos]
       });
     }
 
-      res.json({
+    await prisma.$transaction(tx => renumerarOrdem(tx, 'modulo', ids));
+    await marcarAlteracoesPendentes(cursoId);
+
+    console.log(`🔀 Módulos do curso ${cursoId} reordenados: ${ids.join(', ')}`);
+
+    res.json({
       success: true,
-      aula: aulaDescriptografada
+      message: 'Módulos reordenados com sucesso!',
+      ordem: ids.map((id, i) => ({ id, ordem: i + 1 }))
     });
   } catch (error) {
-    console.error('❌ Erro ao carregar aula:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Erro ao carregar aula',
-      details: process.env.NODE_ENV === 'development' ? error.message : 'Erro interno'
-    });
+    handleError(res, error, 'Erro ao reordenar módulos');
   }
 });
 
-// ========== SISTEMA DE PROGRESSO ========== //
+// ✅ REORDENAR AULAS DO MÓDULO (aulas de outros módulos do mesmo curso são movidas para este)
+app.put('/api/modulos/:moduloId/aulas/ordem', requirePermission('cursos:editar'), async (req, res) => {
+  try {
+    const moduloId = validateId(req.params.moduloId);
+    if (!moduloId) {
+      return res.status(400).json({ success: false, error: 'ID do módulo inválido' });
+    }
 
-// ✅ POST SALVAR PROGRESSO - COM VALIDAÇÃO
-app.post('/api/progresso/aula', async (req, res) => {
-    try {
-        const { usuarioId, aulaId, concluida } = req.body;
+    const { ids, erro } = validarListaIds(req.body.aulaIds, 'aulaIds');
+    if (erro) {
+      return res.status(400).json({ success: false, error: erro });
+    }
 
-        if (!usuarioId || !aulaId) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'Dados incompletos',
-                details: 'Forneça usuarioId e aulaId'
-            });
-        }
+    const modulo = await prisma.modulo.findFirst({ where: { id: moduloId, ativo: true } });
+    if (!modulo) {
+      return res.status(404).json({ success: false, error: 'Módulo não encontrado' });
+    }
 
-        console.log(`📊 Salvando progresso - Usuário: ${usuarioId}, Aula: ${aulaId}`);
+    const aulas = await prisma.aula.findMany({
+      where: { id: { in: ids }, ativo: true, modulo: { cursoId: modulo.cursoId, ativo: true } },
+      select: { id: true, moduloId: true }
+    });
 
-        // 1. Verificar usuário
-        const usuario = await prisma.usuario.findUnique({
-            where: { id: parseInt(usuarioId) }
-        });
+    if (aulas.length !== ids.length) {
+      const encontradas = new Set(aulas.map(a => a.id));
+      return res.status(400).json({
+        success: false,
+        error: 'Aulas inválidas',
+        details: 'Todas as aulas devem estar ativas e pertencer ao mesmo curso',
+        aulasInvalidas: ids.filter(id => !encontradas.has(id))
+      });
+    }
+
+    // Todas as aulas atuais do módulo precisam estar na lista (senão a posição delas fica indefinida)
+    const aulasDoModulo = await prisma.aula.findMany({
+      where: { moduloId: moduloId, ativo: true },
+      select: { id: true }
+    });
+    const faltando = aulasDoModulo.map(a => a.id).filter(id => !ids.includes(id));
+
+    if (faltando.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Lista de aulas incompleta',
+        details: 'Envie todas as aulas ativas do módulo na nova ordem',
+        aulasFaltando: faltando
+      });
+    }
+
+    // Módulos de origem das aulas movidas não podem ficar vazios
+    const modulosOrigem = [...new Set(aulas.filter(a => a.moduloId !== moduloId).map(a => a.moduloId))];
+    const restantesPorOrigem = {};
+
+    for (const origemId of modulosOrigem) {
+      const restantes = await prisma.aula.findMany({
+        where: { moduloId: origemId, ativo: true, id: { notIn: ids } },
+        select: { id: true },
+        orderBy: [{ ordem: 'asc' }, { id: 'asc' }]
+      });
+
+      if (restantes.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Módulo sem aulas',
+          details: `Mover estas aulas deixaria o módulo ${origemId} sem aulas`
+        });
+      }
+
+      restantesPorOrigem[origemId] = restantes.map(a => a.id);
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await renumerarOrdem(tx, 'aula', ids, { moduloId: moduloId });
+
+      // Fechar os buracos deixados nos módulos de origem
+      for (const [origemId, restantes] of Object.entries(restantesPorOrigem)) {
+        await renumerarOrdem(tx, 'aula', restantes);
+        console.log(`🔀 Módulo ${origemId} renumerado após mover aulas`);
+      }
+    });
+
+    await marcarAlteracoesPendentes(modulo.cursoId);
+
+    console.log(`🔀 Aulas do módulo ${moduloId} reordenadas: ${ids.join(', ')}`);
+
+    res.json({
+      success: true,
+      message: modulosOrigem.length > 0 ? 'Aulas movidas e reordenadas com sucesso!' : 'Aulas reordenadas com sucesso!',
+      moduloId: moduloId,
+      ordem: ids.map((id, i) => ({ id, ordem: i + 1 })),
+      modulosOrigem: modulosOrigem
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao reordenar aulas');
+  }
+});
+
+// ✅ VERIFICAR CONSISTÊNCIA DA ORDEM (duplicadas / fora de sequência)
+app.get('/api/cursos/:cursoId/ordem', requirePermission('cursos:editar'), async (req, res) => {
+  try {
+    const cursoId = validateId(req.params.cursoId);
+    if (!cursoId) {
+      return res.status(400).json({ success: false, error: 'ID do curso inválido' });
+    }
+
+    const { problemas } = await analisarOrdemCurso(cursoId);
+
+    res.json({
+      success: true,
+      cursoId: cursoId,
+      consistente: problemas.length === 0,
+      totalProblemas: problemas.length,
+      problemas: problemas
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao verificar ordem do curso');
+  }
+});
+
+// ✅ REPARAR ORDEM (renumera 1..n mantendo a ordem atual; empate desfeito pelo ID)
+app.post('/api/cursos/:cursoId/ordem/reparar', requirePermission('cursos:editar'), async (req, res) => {
+  try {
+    const cursoId = validateId(req.params.cursoId);
+    if (!cursoId) {
+      return res.status(400).json({ success: false, error: 'ID do curso inválido' });
+    }
+
+    const { modulos, problemas } = await analisarOrdemCurso(cursoId);
+
+    if (problemas.length === 0) {
+      return res.json({
+        success: true,
+        message: 'Ordem já está consistente',
+        corrigidos: 0
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await renumerarOrdem(tx, 'modulo', modulos.map(m => m.id));
+      for (const modulo of modulos) {
+        await renumerarOrdem(tx, 'aula', modulo.aulas.map(a => a.id));
+      }
+    });
+    await marcarAlteracoesPendentes(cursoId);
+
+    console.log(`🔧 Ordem do curso ${cursoId} reparada (${problemas.length} problemas)`);
+
+    res.json({
+      success: true,
+      message: 'Ordem reparada com sucesso!',
+      corrigidos: problemas.length,
+      problemas: problemas
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao reparar ordem do curso');
+  }
+});
+
+// ✅ CRIAR MÓDULO (com pelo menos uma aula, como no cadastro do curso)
+app.post('/api/cursos/:cursoId/modulos', requirePermission('cursos:editar'), async (req, res) => {
+  try {
+    const cursoId = validateId(req.params.cursoId);
+    if (!cursoId) {
+      return res.status(400).json({ success: false, error: 'ID do curso inválido' });
+    }
+
+    const curso = await prisma.curso.findUnique({ where: { id: cursoId } });
+    if (!curso) {
+      return res.status(404).json({ success: false, error: 'Curso não encontrado' });
+    }
+
+    const erroValidacao = validarModulo(req.body, 'novo');
+    if (erroValidacao) {
+      return res.status(400).json({ success: false, ...erroValidacao });
+    }
+
+    const { titulo, descricao, ordem, aulas } = req.body;
+
+    const modulo = await prisma.$transaction(async (tx) => {
+      const ultimo = await tx.modulo.aggregate({
+        where: { cursoId: cursoId, ativo: true },
+        _max: { ordem: true }
+      });
+
+      const novoModulo = await tx.modulo.create({
+        data: {
+          titulo: titulo.trim(),
+          descricao: descricao ? descricao.trim() : '',
+          ordem: parseInt(ordem) || (ultimo._max.ordem || 0) + 1,
+          cursoId: cursoId,
+          ativo: true
+        }
+      });
+
+      await tx.aula.createMany({
+        data: aulas.map((aulaData, j) => ({
+          titulo: aulaData.titulo.trim(),
+          descricao: aulaData.descricao ? aulaData.descricao.trim() : '',
+          conteudo: aulaData.conteudo ? aulaData.conteudo.trim() : '',
+          duracao: parseInt(aulaData.duracao) || 15,
+          ordem: aulaData.ordem || (j + 1),
+          moduloId: novoModulo.id,
+          ativo: true,
+          ...dadosVideoAula(aulaData.videoUrl)
+        }))
+      });
+
+      return tx.modulo.findUnique({
+        where: { id: novoModulo.id },
+        include: { aulas: { where: { ativo: true }, orderBy: { ordem: 'asc' } } }
+      });
+    });
+
+    console.log(`✅ Módulo criado: ${modulo.titulo} (ID: ${modulo.id}) no curso ${curso.titulo}`);
+
+    await marcarAlteracoesPendentes(cursoId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Módulo criado com sucesso!',
+      modulo: { ...modulo, aulas: modulo.aulas.map(formatarAulaResposta) }
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao criar módulo');
+  }
+});
+
+// ✅ ATUALIZAR MÓDULO
+app.put('/api/cursos/:cursoId/modulos/:id', requirePermission('cursos:editar'), async (req, res) => {
+  try {
+    const cursoId = validateId(req.params.cursoId);
+    const moduloId = validateId(req.params.id);
+    if (!cursoId || !moduloId) {
+      return res.status(400).json({ success: false, error: 'IDs inválidos' });
+    }
+
+    const moduloExistente = await prisma.modulo.findFirst({ where: { id: moduloId, cursoId: cursoId } });
+    if (!moduloExistente) {
+      return res.status(404).json({ success: false, error: 'Módulo não encontrado neste curso' });
+    }
+
+    const erroValidacao = validarModulo(req.body, moduloExistente.ordem, { parcial: true });
+    if (erroValidacao) {
+      return res.status(400).json({ success: false, ...erroValidacao });
+    }
+
+    const { titulo, descricao, ordem } = req.body;
+    const updateData = {};
+
+    if (titulo !== undefined) updateData.titulo = titulo.trim();
+    if (descricao !== undefined) updateData.descricao = descricao ? descricao.trim() : '';
+    if (ordem !== undefined) updateData.ordem = parseInt(ordem) || moduloExistente.ordem;
+
+    const modulo = await prisma.modulo.update({
+      where: { id: moduloId },
+      data: updateData
+    });
+
+    console.log(`✏️ Módulo atualizado: ${modulo.titulo} (ID: ${modulo.id})`);
+
+    await marcarAlteracoesPendentes(cursoId);
+
+    res.json({
+      success: true,
+      message: 'Módulo atualizado com sucesso!',
+      modulo: modulo
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao atualizar módulo');
+  }
+});
+
+// ✅ DESATIVAR MÓDULO (soft delete: progresso e autorizações continuam ligados)
+app.delete('/api/cursos/:cursoId/modulos/:id', requirePermission('cursos:editar'), async (req, res) => {
+  try {
+    const cursoId = validateId(req.params.cursoId);
+    const moduloId = validateId(req.params.id);
+    if (!cursoId || !moduloId) {
+      return res.status(400).json({ success: false, error: 'IDs inválidos' });
+    }
+
+    const moduloExistente = await prisma.modulo.findFirst({ where: { id: moduloId, cursoId: cursoId, ativo: true } });
+    if (!moduloExistente) {
+      return res.status(404).json({ success: false, error: 'Módulo não encontrado neste curso' });
+    }
+
+    const modulosAtivos = await prisma.modulo.count({ where: { cursoId: cursoId, ativo: true } });
+    if (modulosAtivos <= 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Módulos obrigatórios',
+        details: 'O curso deve ter pelo menos um módulo'
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.aula.updateMany({ where: { moduloId: moduloId }, data: { ativo: false } }),
+      prisma.modulo.update({ where: { id: moduloId }, data: { ativo: false } })
+    ]);
+
+    console.log(`🗑️ Módulo desativado: ${moduloExistente.titulo} (ID: ${moduloId})`);
+
+    await marcarAlteracoesPendentes(cursoId);
+
+    res.json({
+      success: true,
+      message: 'Módulo excluído com sucesso!',
+      moduloId: moduloId
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao excluir módulo');
+  }
+});
+
+// ✅ CRIAR AULA
+app.post('/api/modulos/:moduloId/aulas', requirePermission('cursos:editar'), encryptRequestBodyMiddleware, async (req, res) => {
+  try {
+    const moduloId = validateId(req.params.moduloId);
+    if (!moduloId) {
+      return res.status(400).json({ success: false, error: 'ID do módulo inválido' });
+    }
+
+    const modulo = await prisma.modulo.findUnique({ where: { id: moduloId } });
+    if (!modulo) {
+      return res.status(404).json({ success: false, error: 'Módulo não encontrado' });
+    }
+
+    const erroValidacao = validarAula(req.body, 'nova', modulo.titulo);
+    if (erroValidacao) {
+      return res.status(400).json({ success: false, ...erroValidacao });
+    }
+
+    const { titulo, descricao, conteudo, duracao, ordem, videoUrl } = req.body;
+
+    const ultima = await prisma.aula.aggregate({
+      where: { moduloId: moduloId, ativo: true },
+      _max: { ordem: true }
+    });
+
+    const aula = await prisma.aula.create({
+      data: {
+        titulo: titulo.trim(),
+        descricao: descricao ? descricao.trim() : '',
+        conteudo: conteudo ? conteudo.trim() : '',
+        duracao: parseInt(duracao),
+        ordem: parseInt(ordem) || (ultima._max.ordem || 0) + 1,
+        moduloId: moduloId,
+        ativo: true,
+        ...dadosVideoAula(videoUrl)
+      }
+    });
+
+    console.log(`✅ Aula criada: ${aula.titulo} (ID: ${aula.id}) no módulo ${modulo.titulo}`);
+
+    await marcarAlteracoesPendentes(modulo.cursoId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Aula criada com sucesso!',
+      aula: formatarAulaResposta(aula)
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao criar aula');
+  }
+});
+
+// ✅ ATUALIZAR AULA
+app.put('/api/modulos/:moduloId/aulas/:id', requirePermission('cursos:editar'), encryptRequestBodyMiddleware, async (req, res) => {
+  try {
+    const moduloId = validateId(req.params.moduloId);
+    const aulaId = validateId(req.params.id);
+    if (!moduloId || !aulaId) {
+      return res.status(400).json({ success: false, error: 'IDs inválidos' });
+    }
+
+    const aulaExistente = await prisma.aula.findFirst({
+      where: { id: aulaId, moduloId: moduloId },
+      include: { modulo: { select: { cursoId: true } } }
+    });
+    if (!aulaExistente) {
+      return res.status(404).json({ success: false, error: 'Aula não encontrada neste módulo' });
+    }
+
+    const erroValidacao = validarAula(req.body, aulaExistente.ordem, null, { parcial: true });
+    if (erroValidacao) {
+      return res.status(400).json({ success: false, ...erroValidacao });
+    }
+
+    const { titulo, descricao, conteudo, duracao, ordem, videoUrl } = req.body;
+    const updateData = {};
+
+    if (titulo !== undefined) updateData.titulo = titulo.trim();
+    if (descricao !== undefined) updateData.descricao = descricao ? descricao.trim() : '';
+    if (conteudo !== undefined) updateData.conteudo = conteudo ? conteudo.trim() : '';
+    if (duracao !== undefined) updateData.duracao = parseInt(duracao);
+    if (ordem !== undefined) updateData.ordem = parseInt(ordem) || aulaExistente.ordem;
+    if (videoUrl !== undefined) Object.assign(updateData, dadosVideoAula(videoUrl));
+
+    const aula = await prisma.aula.update({
+      where: { id: aulaId },
+      data: updateData
+    });
+
+    console.log(`✏️ Aula atualizada: ${aula.titulo} (ID: ${aula.id})`);
+
+    await marcarAlteracoesPendentes(aulaExistente.modulo.cursoId);
+
+    res.json({
+      success: true,
+      message: 'Aula atualizada com sucesso!',
+      aula: formatarAulaResposta(aula)
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao atualizar aula');
+  }
+});
+
+// ✅ DESATIVAR AULA (soft delete)
+app.delete('/api/modulos/:moduloId/aulas/:id', requirePermission('cursos:editar'), async (req, res) => {
+  try {
+    const moduloId = validateId(req.params.moduloId);
+    const aulaId = validateId(req.params.id);
+    if (!moduloId || !aulaId) {
+      return res.status(400).json({ success: false, error: 'IDs inválidos' });
+    }
+
+    const aulaExistente = await prisma.aula.findFirst({
+      where: { id: aulaId, moduloId: moduloId, ativo: true },
+      include: { modulo: { select: { cursoId: true, titulo: true } } }
+    });
+    if (!aulaExistente) {
+      return res.status(404).json({ success: false, error: 'Aula não encontrada neste módulo' });
+    }
+
+    const aulasAtivas = await prisma.aula.count({ where: { moduloId: moduloId, ativo: true } });
+    if (aulasAtivas <= 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Módulo sem aulas',
+        details: `O módulo "${aulaExistente.modulo.titulo}" deve ter pelo menos uma aula`
+      });
+    }
+
+    await prisma.aula.update({
+      where: { id: aulaId },
+      data: { ativo: false }
+    });
+
+    console.log(`🗑️ Aula desativada: ${aulaExistente.titulo} (ID: ${aulaId})`);
+
+    await marcarAlteracoesPendentes(aulaExistente.modulo.cursoId);
+
+    res.json({
+      success: true,
+      message: 'Aula excluída com sucesso!',
+      aulaId: aulaId
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao excluir aula');
+  }
+});
+
+// ========== PUBLICAÇÃO E VERSÕES ========== //
+
+// ✅ PUBLICAR CURSO (snapshot do rascunho vira a versão seguinte)
+app.post('/api/cursos/:id/publicar', requirePermission('cursos:editar'), async (req, res) => {
+  try {
+    const cursoId = validateId(req.params.id);
+    if (!cursoId) {
+      return res.status(400).json({ success: false, error: 'ID do curso inválido' });
+    }
+
+    const snapshot = await courseVersionService.buildSnapshot(prisma, cursoId);
+    if (!snapshot) {
+      return res.status(404).json({ success: false, error: 'Curso não encontrado' });
+    }
+
+    // Mesmas regras do cadastro: pelo menos um módulo e uma aula por módulo
+    const erroValidacao = validarEstruturaCurso(snapshot);
+    if (erroValidacao) {
+      return res.status(400).json({ success: false, ...erroValidacao });
+    }
+
+    const versao = await prisma.$transaction(tx => courseVersionService.publish(tx, cursoId, {
+      publicadoPorId: req.user.id,
+      observacao: req.body.observacao || null,
+      conteudo: snapshot
+    }));
+
+    // Total de aulas pode ter mudado: recalcular percentuais de quem já tem progresso
+    const usuariosRecalculados = await recalcularProgressoCurso(cursoId);
+
+    console.log(`🚀 Curso ${cursoId} publicado (versão ${versao.numero}) por ${req.user.nome}`);
+
+    res.json({
+      success: true,
+      message: `Versão ${versao.numero} publicada com sucesso!`,
+      versao: {
+        id: versao.id,
+        numero: versao.numero,
+        observacao: versao.observacao,
+        criadoEm: versao.criadoEm,
+        ...courseVersionService.summarize(snapshot)
+      },
+      progressoRecalculado: usuariosRecalculados
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao publicar curso');
+  }
+});
+
+// ✅ LISTAR VERSÕES DO CURSO
+app.get('/api/cursos/:id/versoes', requirePermission('cursos:editar'), async (req, res) => {
+  try {
+    const cursoId = validateId(req.params.id);
+    if (!cursoId) {
+      return res.status(400).json({ success: false, error: 'ID do curso inválido' });
+    }
+
+    const curso = await prisma.curso.findUnique({
+      where: { id: cursoId },
+      select: { id: true, titulo: true, status: true, alteracoesPendentes: true, versaoPublicadaId: true }
+    });
+
+    if (!curso) {
+      return res.status(404).json({ success: false, error: 'Curso não encontrado' });
+    }
+
+    const versoes = await prisma.versaoCurso.findMany({
+      where: { cursoId: cursoId },
+      include: { publicadoPor: { select: { id: true, nome: true } } },
+      orderBy: { numero: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      curso: curso,
+      total: versoes.length,
+      versoes: versoes.map(({ conteudo, ...versao }) => ({
+        ...versao,
+        atual: versao.id === curso.versaoPublicadaId,
+        ...courseVersionService.summarize(conteudo)
+      }))
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao listar versões do curso');
+  }
+});
+
+// ✅ GET VERSÃO ESPECÍFICA (conteúdo completo do snapshot)
+app.get('/api/cursos/:id/versoes/:numero', requirePermission('cursos:editar'), async (req, res) => {
+  try {
+    const cursoId = validateId(req.params.id);
+    const numero = validateId(req.params.numero);
+    if (!cursoId || !numero) {
+      return res.status(400).json({ success: false, error: 'Parâmetros inválidos' });
+    }
+
+    const versao = await prisma.versaoCurso.findUnique({
+      where: { cursoId_numero: { cursoId, numero } },
+      include: { publicadoPor: { select: { id: true, nome: true } } }
+    });
+
+    if (!versao) {
+      return res.status(404).json({ success: false, error: 'Versão não encontrada' });
+    }
+
+    res.json({
+      success: true,
+      versao: {
+        ...versao,
+        conteudo: { ...versao.conteudo, modulos: courseVersionService.decryptModules(versao.conteudo.modulos) }
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao buscar versão do curso');
+  }
+});
+
+// ✅ ROLLBACK: restaura o conteúdo de uma versão e o publica como nova versão
+app.post('/api/cursos/:id/versoes/:numero/restaurar', requirePermission('cursos:editar'), async (req, res) => {
+  try {
+    const cursoId = validateId(req.params.id);
+    const numero = validateId(req.params.numero);
+    if (!cursoId || !numero) {
+      return res.status(400).json({ success: false, error: 'Parâmetros inválidos' });
+    }
+
+    const versaoOrigem = await prisma.versaoCurso.findUnique({
+      where: { cursoId_numero: { cursoId, numero } }
+    });
+
+    if (!versaoOrigem) {
+      return res.status(404).json({ success: false, error: 'Versão não encontrada' });
+    }
+
+    // O rascunho também volta para essa versão (alterações não publicadas são descartadas)
+    const versao = await prisma.$transaction(async (tx) => {
+      await courseVersionService.restoreDraft(tx, cursoId, versaoOrigem.conteudo);
+      return courseVersionService.publish(tx, cursoId, {
+        publicadoPorId: req.user.id,
+        observacao: req.body.observacao || `Rollback para a versão ${numero}`,
+        origemVersao: numero,
+        conteudo: versaoOrigem.conteudo
+      });
+    });
+
+    const usuariosRecalculados = await recalcularProgressoCurso(cursoId);
+
+    console.log(`⏪ Curso ${cursoId} restaurado para a versão ${numero} (nova versão ${versao.numero})`);
+
+    res.json({
+      success: true,
+      message: `Versão ${numero} restaurada como versão ${versao.numero}`,
+      versao: {
+        id: versao.id,
+        numero: versao.numero,
+        origemVersao: numero,
+        criadoEm: versao.criadoEm,
+        ...courseVersionService.summarize(versaoOrigem.conteudo)
+      },
+      progressoRecalculado: usuariosRecalculados
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao restaurar versão do curso');
+  }
+});
+
+// ========== EXPORTAÇÃO E IMPORTAÇÃO DE CURSOS ========== //
+// Pacote JSON autocontido para levar um curso entre instalações. IDs não são exportados:
+// a importação sempre cria registros novos (curso em rascunho, a menos que ?publicar=true).
+
+const FORMATO_PACOTE_CURSO = 'coliseum-curso';
+const VERSAO_PACOTE_CURSO = 1;
+
+const CAMPOS_CURSO_PACOTE = ['titulo', 'descricao', 'materia', 'categoria', 'nivel', 'duracao', 'imagem'];
+const CAMPOS_DESAFIO_PACOTE = ['titulo', 'descricao', 'materia', 'nivel', 'pontuacao', 'duracao', 'status', 'maxTentativas', 'dataInicio', 'dataFim'];
+
+const selecionarCampos = (obj, campos) => Object.fromEntries(campos.map(c => [c, obj[c] ?? null]));
+
+function montarPacoteCurso(conteudo, configuracao, desafios, origem) {
+  return {
+    formato: FORMATO_PACOTE_CURSO,
+    versao: VERSAO_PACOTE_CURSO,
+    exportadoEm: new Date().toISOString(),
+    origem: origem,
+    curso: selecionarCampos(conteudo, CAMPOS_CURSO_PACOTE),
+    configuracao: configuracao ? {
+      modoProgresso: configuracao.modoProgresso,
+      permiteAvancar: configuracao.permiteAvancar,
+      requerAutorizacao: configuracao.requerAutorizacao,
+      limiteDiasAula: configuracao.limiteDiasAula,
+      percentualMinimoVideo: configuracao.percentualMinimoVideo
+    } : null,
+    modulos: conteudo.modulos.map(modulo => ({
+      titulo: modulo.titulo,
+      descricao: modulo.descricao,
+      ordem: modulo.ordem,
+      aulas: modulo.aulas.map(aula => {
+        const { titulo, descricao, conteudo: texto, videoUrl, duracao, ordem } = formatarAulaResposta(aula);
+        return { titulo, descricao, conteudo: texto, videoUrl, duracao, ordem };
+      })
+    })),
+    desafios: desafios.map(desafio => ({
+      ...selecionarCampos(desafio, CAMPOS_DESAFIO_PACOTE),
+      perguntas: desafio.perguntas.map(pergunta => ({
+        pergunta: pergunta.pergunta,
+        alternativas: [pergunta.alternativaA, pergunta.alternativaB, pergunta.alternativaC, pergunta.alternativaD],
+        correta: pergunta.correta,
+        explicacao: pergunta.explicacao,
+        ordem: pergunta.ordem
+      }))
+    }))
+  };
+}
+
+// Reúne todos os problemas do pacote (não só o primeiro) para o relatório do dry-run
+function validarPacoteCurso(pacote) {
+  if (!pacote || typeof pacote !== 'object' || pacote.formato !== FORMATO_PACOTE_CURSO) {
+    return [{ secao: 'pacote', error: 'Formato inválido', details: `Esperado um pacote "${FORMATO_PACOTE_CURSO}"` }];
+  }
+
+  if (pacote.versao !== VERSAO_PACOTE_CURSO) {
+    return [{ secao: 'pacote', error: 'Versão não suportada', details: `Versão ${pacote.versao} do pacote não é suportada (atual: ${VERSAO_PACOTE_CURSO})` }];
+  }
+
+  if (!pacote.curso || typeof pacote.curso !== 'object') {
+    return [{ secao: 'curso', error: 'Curso ausente', details: 'O pacote não contém os dados do curso' }];
+  }
+
+  const erros = [];
+
+  const erroEstrutura = validarEstruturaCurso({ ...pacote.curso, modulos: pacote.modulos });
+  if (erroEstrutura) erros.push({ secao: 'curso', ...erroEstrutura });
+
+  if (pacote.configuracao !== undefined && pacote.configuracao !== null) {
+    const erroConfiguracao = validarConfiguracaoCurso(pacote.configuracao);
+    if (erroConfiguracao) erros.push({ secao: 'configuracao', ...erroConfiguracao });
+  }
+
+  if (pacote.desafios !== undefined && !Array.isArray(pacote.desafios)) {
+    erros.push({ secao: 'desafios', error: 'Dados inválidos', details: 'desafios deve ser uma lista' });
+    return erros;
+  }
+
+  (pacote.desafios || []).forEach((desafio, indice) => {
+    const erroDesafio = validarDadosDesafio(desafio || {});
+    if (erroDesafio) {
+      erros.push({ secao: 'desafios', indice, titulo: desafio?.titulo || null, ...erroDesafio });
+      return;
+    }
+
+    for (const campo of ['dataInicio', 'dataFim']) {
+      if (desafio[campo] && isNaN(new Date(desafio[campo]).getTime())) {
+        erros.push({ secao: 'desafios', indice, titulo: desafio.titulo, error: 'Data inválida', details: `${campo} não é uma data válida` });
+      }
+    }
+  });
+
+  return erros;
+}
+
+// Registros existentes que provavelmente são o mesmo conteúdo (mesmo título)
+async function buscarConflitosImportacao(pacote) {
+  const conflitos = [];
+
+  const cursoExistente = await prisma.curso.findFirst({
+    where: {
+      titulo: { equals: pacote.curso.titulo.trim(), mode: 'insensitive' },
+      ativo: true
+    },
+    select: { id: true, titulo: true }
+  });
+
+  if (cursoExistente) {
+    conflitos.push({
+      tipo: 'curso',
+      titulo: cursoExistente.titulo,
+      existenteId: cursoExistente.id,
+      mensagem: `Já existe um curso ativo chamado "${cursoExistente.titulo}"`
+    });
+  }
+
+  const desafios = pacote.desafios || [];
+  for (let i = 0; i < desafios.length; i++) {
+    const desafioExistente = await prisma.desafio.findFirst({
+      where: {
+        titulo: { equals: desafios[i].titulo.trim(), mode: 'insensitive' },
+        materia: { equals: desafios[i].materia.trim(), mode: 'insensitive' }
+      },
+      select: { id: true, titulo: true }
+    });
+
+    if (desafioExistente) {
+      conflitos.push({
+        tipo: 'desafio',
+        indice: i,
+        titulo: desafioExistente.titulo,
+        existenteId: desafioExistente.id,
+        mensagem: `Já existe um desafio "${desafioExistente.titulo}" na mesma matéria`
+      });
+    }
+  }
+
+  return conflitos;
+}
+
+function resumirPacoteCurso(pacote) {
+  const desafios = pacote.desafios || [];
+  return {
+    totalModulos: pacote.modulos.length,
+    totalAulas: pacote.modulos.reduce((sum, m) => sum + m.aulas.length, 0),
+    totalDesafios: desafios.length,
+    totalPerguntas: desafios.reduce((sum, d) => sum + d.perguntas.length, 0),
+    configuracao: !!pacote.configuracao
+  };
+}
+
+// ✅ EXPORTAR CURSO (rascunho atual ou, com ?versao=publicada, a versão que os alunos veem)
+app.get('/api/cursos/:id/exportar', requirePermission('cursos:editar'), async (req, res) => {
+  try {
+    const cursoId = validateId(req.params.id);
+    if (!cursoId) {
+      return res.status(400).json({ success: false, error: 'ID do curso inválido' });
+    }
+
+    const curso = await prisma.curso.findUnique({
+      where: { id: cursoId },
+      include: {
+        configuracao: true,
+        versaoPublicada: true,
+        desafios: {
+          include: {
+            perguntas: {
+              where: { ativo: true },
+              orderBy: { ordem: 'asc' }
+            }
+          },
+          orderBy: { id: 'asc' }
+        }
+      }
+    });
+
+    if (!curso) {
+      return res.status(404).json({ success: false, error: 'Curso não encontrado' });
+    }
+
+    let conteudo;
+    let versaoExportada = null;
+
+    if (req.query.versao === 'publicada') {
+      if (!curso.versaoPublicada) {
+        return res.status(400).json({ success: false, error: 'Curso ainda não foi publicado' });
+      }
+      conteudo = curso.versaoPublicada.conteudo;
+      versaoExportada = curso.versaoPublicada.numero;
+    } else {
+      conteudo = await courseVersionService.buildSnapshot(prisma, cursoId);
+    }
+
+    const pacote = montarPacoteCurso(conteudo, curso.configuracao, curso.desafios, {
+      cursoId: curso.id,
+      versaoCurso: versaoExportada,
+      rascunho: versaoExportada === null
+    });
+
+    console.log(`📦 Curso ${cursoId} exportado (${versaoExportada ? `versão ${versaoExportada}` : 'rascunho'}) por ${req.user.nome}`);
+
+    res.setHeader('Content-Disposition', `attachment; filename="curso-${cursoId}.json"`);
+    res.json(pacote);
+  } catch (error) {
+    handleError(res, error, 'Erro ao exportar curso');
+  }
+});
+
+// ✅ IMPORTAR CURSO (?dryRun=true só valida e lista conflitos; ?ignorarConflitos=true importa mesmo assim)
+app.post('/api/cursos/importar', requirePermission('cursos:editar'), async (req, res) => {
+  try {
+    const pacote = req.body;
+    const dryRun = req.query.dryRun === 'true';
+    const ignorarConflitos = req.query.ignorarConflitos === 'true';
+    const publicar = req.query.publicar === 'true';
+
+    const erros = validarPacoteCurso(pacote);
+    if (erros.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Pacote inválido',
+        details: `${erros.length} problema(s) encontrado(s)`,
+        erros: erros
+      });
+    }
+
+    const desafios = pacote.desafios || [];
+    if (desafios.length > 0 && !permissionService.can(req.user, 'desafios:editar')) {
+      return res.status(403).json({ success: false, error: 'Sem permissão para importar desafios' });
+    }
+
+    const conflitos = await buscarConflitosImportacao(pacote);
+    const resumo = resumirPacoteCurso(pacote);
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        podeImportar: conflitos.length === 0 || ignorarConflitos,
+        conflitos: conflitos,
+        resumo: resumo
+      });
+    }
+
+    if (conflitos.length > 0 && !ignorarConflitos) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflitos encontrados',
+        details: 'Revise os conflitos ou envie ignorarConflitos=true para importar mesmo assim',
+        conflitos: conflitos
+      });
+    }
+
+    const { curso: dadosCurso, modulos, configuracao } = pacote;
+
+    // Tudo ou nada: qualquer falha desfaz curso, módulos, aulas, configuração e desafios
+    const resultado = await prisma.$transaction(async (tx) => {
+      const curso = await tx.curso.create({
+        data: {
+          titulo: dadosCurso.titulo.trim(),
+          descricao: dadosCurso.descricao ? dadosCurso.descricao.trim() : '',
+          materia: dadosCurso.materia.trim(),
+          categoria: dadosCurso.categoria.trim(),
+          nivel: dadosCurso.nivel.trim(),
+          duracao: parseInt(dadosCurso.duracao),
+          imagem: dadosCurso.imagem ? dadosCurso.imagem.trim() : null,
+          ativo: true
+        }
+      });
+
+      for (let i = 0; i < modulos.length; i++) {
+        const moduloData = modulos[i];
+
+        const modulo = await tx.modulo.create({
+          data: {
+            titulo: moduloData.titulo.trim(),
+            descricao: moduloData.descricao ? moduloData.descricao.trim() : '',
+            ordem: i + 1,
+            cursoId: curso.id,
+            ativo: true
+          }
+        });
+
+        await tx.aula.createMany({
+          data: moduloData.aulas.map((aulaData, j) => ({
+            titulo: aulaData.titulo.trim(),
+            descricao: aulaData.descricao ? aulaData.descricao.trim() : '',
+            conteudo: aulaData.conteudo ? aulaData.conteudo.trim() : '',
+            duracao: parseInt(aulaData.duracao),
+            ordem: j + 1,
+            moduloId: modulo.id,
+            ...dadosVideoAula(aulaData.videoUrl),
+            ativo: true
+          }))
+        });
+      }
+
+      if (configuracao) {
+        await tx.configuracaoCurso.create({
+          data: {
+            cursoId: curso.id,
+            modoProgresso: configuracao.modoProgresso,
+            permiteAvancar: configuracao.permiteAvancar ?? true,
+            requerAutorizacao: configuracao.requerAutorizacao ?? false,
+            limiteDiasAula: configuracao.limiteDiasAula ?? null,
+            percentualMinimoVideo: configuracao.percentualMinimoVideo ?? 0
+          }
+        });
+      }
+
+      const desafioIds = [];
+      for (const desafioData of desafios) {
+        const desafio = await tx.desafio.create({
+          data: {
+            titulo: desafioData.titulo.trim(),
+            pontuacao: parseInt(desafioData.pontuacao),
+            materia: desafioData.materia.trim(),
+            nivel: desafioData.nivel.trim(),
+            duracao: parseInt(desafioData.duracao),
+            descricao: desafioData.descricao ? desafioData.descricao.trim() : '',
+            status: desafioData.status || 'ativo',
+            maxTentativas: desafioData.maxTentativas ? parseInt(desafioData.maxTentativas) : 1,
+            dataInicio: desafioData.dataInicio ? new Date(desafioData.dataInicio) : null,
+            dataFim: desafioData.dataFim ? new Date(desafioData.dataFim) : null,
+            cursoId: curso.id
+          }
+        });
+
+        await tx.perguntaDesafio.createMany({
+          data: dadosPerguntasDesafio(desafioData.perguntas, desafio.id)
+        });
+
+        desafioIds.push(desafio.id);
+      }
+
+      const versao = publicar
+        ? await courseVersionService.publish(tx, curso.id, {
+            publicadoPorId: req.user.id,
+            observacao: 'Publicação da importação'
+          })
+        : null;
+
+      return { curso, versao, desafioIds };
+    });
+
+    console.log(`📥 Curso importado: ${resultado.curso.titulo} (ID: ${resultado.curso.id}) por ${req.user.nome}`);
+
+    res.status(201).json({
+      success: true,
+      message: resultado.versao ? 'Curso importado e publicado com sucesso!' : 'Curso importado como rascunho!',
+      curso: {
+        id: resultado.curso.id,
+        titulo: resultado.curso.titulo,
+        status: resultado.versao ? 'publicado' : resultado.curso.status
+      },
+      versao: resultado.versao ? resultado.versao.numero : null,
+      desafioIds: resultado.desafioIds,
+      conflitosIgnorados: conflitos,
+      resumo: resumo
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao importar curso');
+  }
+});
+
+// ========== CLONAGEM DE CURSOS ========== //
+
+// ✅ CLONAR CURSO (cópia do rascunho atual para um novo curso; sem progresso, matrículas ou autorizações)
+app.post('/api/cursos/:id/clonar', requirePermission('cursos:editar'), async (req, res) => {
+  try {
+    const cursoId = validateId(req.params.id);
+    if (!cursoId) {
+      return res.status(400).json({ success: false, error: 'ID do curso inválido' });
+    }
+
+    const { titulo, nivel, ativo } = req.body;
+
+    if (titulo !== undefined && (typeof titulo !== 'string' || titulo.trim() === '')) {
+      return res.status(400).json({ success: false, error: 'Título obrigatório', details: 'O título do novo curso não pode ficar vazio' });
+    }
+
+    if (nivel !== undefined && (typeof nivel !== 'string' || nivel.trim() === '')) {
+      return res.status(400).json({ success: false, error: 'Nível obrigatório', details: 'O nível do novo curso não pode ficar vazio' });
+    }
+
+    if (ativo !== undefined && typeof ativo !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'Dados inválidos', details: 'ativo deve ser true ou false' });
+    }
+
+    const original = await prisma.curso.findUnique({
+      where: { id: cursoId },
+      include: {
+        configuracao: true,
+        modulos: {
+          where: { ativo: true },
+          include: {
+            aulas: {
+              where: { ativo: true },
+              orderBy: [{ ordem: 'asc' }, { id: 'asc' }]
+            }
+          },
+          orderBy: [{ ordem: 'asc' }, { id: 'asc' }]
+        }
+      }
+    });
+
+    if (!original) {
+      return res.status(404).json({ success: false, error: 'Curso não encontrado' });
+    }
+
+    // A cópia nasce como rascunho; vídeos são copiados ainda criptografados (mesma chave)
+    const clone = await prisma.$transaction(async (tx) => {
+      const curso = await tx.curso.create({
+        data: {
+          titulo: titulo ? titulo.trim() : `${original.titulo} (cópia)`,
+          descricao: original.descricao,
+          materia: original.materia,
+          categoria: original.categoria,
+          nivel: nivel ? nivel.trim() : original.nivel,
+          duracao: original.duracao,
+          imagem: original.imagem,
+          ativo: ativo !== undefined ? ativo : true
+        }
+      });
+
+      for (let i = 0; i < original.modulos.length; i++) {
+        const moduloOriginal = original.modulos[i];
+
+        const modulo = await tx.modulo.create({
+          data: {
+            titulo: moduloOriginal.titulo,
+            descricao: moduloOriginal.descricao,
+            ordem: i + 1,
+            cursoId: curso.id,
+            ativo: true
+          }
+        });
+
+        if (moduloOriginal.aulas.length > 0) {
+          await tx.aula.createMany({
+            data: moduloOriginal.aulas.map((aula, j) => ({
+              titulo: aula.titulo,
+              descricao: aula.descricao,
+              conteudo: aula.conteudo,
+              duracao: aula.duracao,
+              ordem: j + 1,
+              moduloId: modulo.id,
+              videoUrl: aula.videoUrl,
+              videoIv: aula.videoIv,
+              videoTag: aula.videoTag,
+              ativo: true
+            }))
+          });
+        }
+      }
+
+      if (original.configuracao) {
+        await tx.configuracaoCurso.create({
+          data: {
+            cursoId: curso.id,
+            modoProgresso: original.configuracao.modoProgresso,
+            permiteAvancar: original.configuracao.permiteAvancar,
+            requerAutorizacao: original.configuracao.requerAutorizacao,
+            limiteDiasAula: original.configuracao.limiteDiasAula,
+            percentualMinimoVideo: original.configuracao.percentualMinimoVideo
+          }
+        });
+      }
+
+      return curso;
+    });
+
+    const totalAulas = original.modulos.reduce((sum, m) => sum + m.aulas.length, 0);
+
+    console.log(`🧬 Curso ${cursoId} clonado como ${clone.id} (${clone.titulo}) por ${req.user.nome}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Curso clonado como rascunho!',
+      cursoOrigemId: cursoId,
+      curso: {
+        id: clone.id,
+        titulo: clone.titulo,
+        nivel: clone.nivel,
+        ativo: clone.ativo,
+        status: clone.status
+      },
+      resumo: {
+        totalModulos: original.modulos.length,
+        totalAulas: totalAulas,
+        configuracao: !!original.configuracao
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao clonar curso');
+  }
+});
+
+// Aula como está na versão publicada do curso, no formato do registro (modulo.curso incluído).
+// O rascunho não conta: edições ainda não publicadas e aulas desativadas depois da publicação
+// não mudam o que o aluno vê.
+async function buscarAulaPublicada(aulaId) {
+  const registro = await prisma.aula.findUnique({
+    where: { id: aulaId },
+    select: { modulo: { select: { cursoId: true } } }
+  });
+
+  if (!registro) return null;
+
+  const cursoRegistro = await prisma.curso.findFirst({
+    where: { id: registro.modulo.cursoId, ativo: true },
+    include: { versaoPublicada: true }
+  });
+
+  const curso = cursoRegistro && courseVersionService.toPublishedCourse(cursoRegistro);
+  const modulo = curso?.modulos.find(m => m.aulas.some(a => a.id === aulaId));
+  if (!modulo) return null;
+
+  const { aulas, ...dadosModulo } = modulo;
+  return {
+    ...aulas.find(a => a.id === aulaId),
+    modulo: {
+      ...dadosModulo,
+      curso: { id: curso.id, titulo: curso.titulo, materia: curso.materia }
+    }
+  };
+}
+
+// ✅ GET AULA ESPECÍFICA
+app.get('/api/aulas/:id', requireAuth, async (req, res) => {
+  try {
+    const aulaId = validateId(req.params.id);
+    if (!aulaId) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'ID da aula inválido' 
+      });
+    }
+
+    // Equipe sem usuarioId recebe a visão sem progresso; alunos sempre recebem a própria
+    const usuarioId = req.headers['usuarioid'] || req.query.usuarioId;
+    const usuarioIdValidado = permissionService.can(req.user, 'cursos:ver_todos') && !usuarioId ? null : resolveTargetUserId(req, usuarioId);
+
+    // ?preview=true mostra o rascunho para quem edita cursos; os demais veem a versão publicada
+    const preview = req.query.preview === 'true' && permissionService.can(req.user, 'cursos:editar');
+
+    console.log(`🎓 Buscando aula ${aulaId} para usuário: ${usuarioIdValidado || 'Não especificado'}${preview ? ' (preview)' : ''}`);
+
+    const aula = preview
+      ? await prisma.aula.findUnique({
+        where: { 
+          id: aulaId,
+          ativo: true 
+        },
+        include: {
+          modulo: {
+            include: {
+              curso: {
+                select: {
+                  id: true,
+                  titulo: true,
+                  materia: true
+                }
+              }
+            }
+          }
+        }
+      })
+      : await buscarAulaPublicada(aulaId);
+
+    if (!aula) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Aula não encontrada' 
+      });
+    }
+
+    let progresso = null;
+    let acesso = null;
+    if (usuarioIdValidado) {
+      const usuario = await prisma.usuario.findUnique({
+        where: { id: usuarioIdValidado },
+        select: { id: true, role: true }
+      });
+
+      if (!usuario) {
+        return res.status(404).json({
+          success: false,
+          error: 'Usuário não encontrado'
+        });
+      }
+
+      [progresso, acesso] = await Promise.all([
+        prisma.progressoAula.findFirst({
+          where: {
+            usuarioId: usuarioIdValidado,
+            aulaId: aulaId
+          }
+        }),
+        lessonAccessPolicy.evaluateLesson(usuario, aula.modulo.curso.id, aulaId)
+      ]);
+
+      // O conteúdo (vídeo) só sai para o próprio aluno quando a política libera a aula
+      if (!acesso.autorizada && !permissionService.can(req.user, 'cursos:ver_todos')) {
+        return res.status(403).json({
+          success: false,
+          error: 'Aula não autorizada',
+          details: acesso.bloqueio ? lessonAccessPolicy.describeBlock(acesso.bloqueio) : acesso.motivo,
+          acesso: lessonAccessPolicy.summarize(acesso)
+        });
+      }
+    }
+
+    const aulaDescriptografada = {
+      ...formatarAulaResposta(aula),
+      concluida: progresso?.concluida || false,
+      dataConclusao: progresso?.dataConclusao || null,
+      acesso: acesso ? lessonAccessPolicy.summarize(acesso) : undefined
+    };
+
+    res.json({
+      success: true,
+      aula: aulaDescriptografada
+    });
+  } catch (error) {
+    console.error('❌ Erro ao carregar aula:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao carregar aula',
+      details: process.env.NODE_ENV === 'development' ? error.message : 'Erro interno'
+    });
+  }
+});
+
+// ========== MATRÍCULAS ========== //
+
+const includeMatricula = {
+  usuario: { select: { id: true, nome: true, ra: true, serie: true } },
+  curso: { select: { id: true, titulo: true, materia: true } },
+  matriculadoPor: { select: { id: true, nome: true } }
+};
+
+// Valida status/datas/observação enviados no body; retorna { erro } ou { data }
+function validarDadosMatricula(body, atual = null) {
+  const { status, dataInicio, dataFim, observacao } = body;
+  const data = {};
+
+  if (status !== undefined) {
+    if (!STATUS_MATRICULA.includes(status)) {
+      return { erro: `Status inválido. Use: ${STATUS_MATRICULA.join(', ')}` };
+    }
+    data.status = status;
+  }
+
+  if (dataInicio !== undefined) {
+    const inicio = new Date(dataInicio);
+    if (!dataInicio || isNaN(inicio.getTime())) {
+      return { erro: 'dataInicio inválida' };
+    }
+    data.dataInicio = inicio;
+  }
+
+  if (dataFim !== undefined) {
+    const fim = dataFim ? new Date(dataFim) : null;
+    if (fim && isNaN(fim.getTime())) {
+      return { erro: 'dataFim inválida' };
+    }
+    data.dataFim = fim;
+  }
+
+  const inicioFinal = data.dataInicio || atual?.dataInicio || new Date();
+  const fimFinal = data.dataFim !== undefined ? data.dataFim : atual?.dataFim;
+  if (fimFinal && fimFinal <= inicioFinal) {
+    return { erro: 'dataFim deve ser posterior a dataInicio' };
+  }
+
+  if (observacao !== undefined) {
+    data.observacao = observacao ? observacao.toString().trim() : null;
+  }
+
+  return { data };
+}
+
+// ✅ LISTAR MATRÍCULAS
+app.get('/api/matriculas', requirePermission('alunos:acompanhar'), async (req, res) => {
+  try {
+    const { usuarioId, cursoId, status } = req.query;
+    const where = {};
+
+    if (usuarioId) where.usuarioId = validateId(usuarioId);
+    if (cursoId) where.cursoId = validateId(cursoId);
+    if (status) where.status = status;
+
+    const matriculas = await prisma.matricula.findMany({
+      where: where,
+      include: includeMatricula,
+      orderBy: { criadoEm: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      total: matriculas.length,
+      matriculas: matriculas
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao listar matrículas');
+  }
+});
+
+// ✅ MATRÍCULAS DE UM USUÁRIO
+app.get('/api/usuarios/:usuarioId/matriculas', requireSelfOrPermission('usuarioId'), async (req, res) => {
+  try {
+    const usuarioId = validateId(req.params.usuarioId);
+    if (!usuarioId) {
+      return res.status(400).json({ error: 'ID do usuário inválido' });
+    }
+
+    const matriculas = await prisma.matricula.findMany({
+      where: { usuarioId: usuarioId },
+      include: includeMatricula,
+      orderBy: { criadoEm: 'desc' }
+    });
+
+    const agora = new Date();
+
+    res.json({
+      success: true,
+      total: matriculas.length,
+      matriculas: matriculas.map(m => ({
+        ...m,
+        vigente: lessonAccessPolicy.isEnrollmentValid(m, agora)
+      }))
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao buscar matrículas do usuário');
+  }
+});
+
+// ✅ MATRÍCULA EM LOTE (lista de IDs, lista de RAs e/ou uma série inteira)
+app.post('/api/matriculas/lote', requirePermission('matriculas:gerenciar'), async (req, res) => {
+  try {
+    const { cursoId, usuarioIds = [], ras = [], serie } = req.body;
+    const cursoIdValidado = validateId(cursoId);
+
+    if (!cursoIdValidado) {
+      return res.status(400).json({ success: false, error: 'cursoId é obrigatório' });
+    }
+
+    if (!Array.isArray(usuarioIds) || !Array.isArray(ras) || (usuarioIds.length === 0 && ras.length === 0 && !serie)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Informe usuarioIds, ras ou serie'
+      });
+    }
+
+    // RA e série aceitam texto ou número; IDs precisam ser válidos (antes de qualquer consulta)
+    const escalar = (valor) => (typeof valor === 'string' || typeof valor === 'number') && valor.toString().trim() !== '';
+    const idsInvalidos = usuarioIds.filter(id => !validateId(id));
+    const rasInvalidos = ras.filter(ra => !escalar(ra));
+
+    if (idsInvalidos.length > 0 || rasInvalidos.length > 0 || (serie && !escalar(serie))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados inválidos',
+        details: 'usuarioIds deve conter IDs numéricos; ras e serie, textos ou números não vazios',
+        usuarioIdsInvalidos: idsInvalidos,
+        rasInvalidos: rasInvalidos
+      });
+    }
+
+    const { erro, data } = validarDadosMatricula(req.body);
+    if (erro) {
+      return res.status(400).json({ success: false, error: erro });
+    }
+
+    const curso = await prisma.curso.findUnique({ where: { id: cursoIdValidado } });
+    if (!curso) {
+      return res.status(404).json({ success: false, error: 'Curso não encontrado' });
+    }
+
+    const filtros = [];
+    if (usuarioIds.length > 0) filtros.push({ id: { in: usuarioIds.map(validateId) } });
+    if (ras.length > 0) filtros.push({ ra: { in: ras.map(ra => ra.toString().trim()) } });
+    if (serie) filtros.push({ serie: serie.toString().trim() });
+
+    const usuarios = await prisma.usuario.findMany({
+      where: { OR: filtros },
+      select: { id: true, ra: true }
+    });
+
+    const encontrados = new Set(usuarios.map(u => u.id));
+    const rasEncontrados = new Set(usuarios.map(u => u.ra));
+    const naoEncontrados = [
+      ...usuarioIds.filter(id => !encontrados.has(validateId(id))),
+      ...ras.filter(ra => !rasEncontrados.has(ra.toString().trim()))
+    ];
+
+    const existentes = await prisma.matricula.findMany({
+      where: { cursoId: cursoIdValidado, usuarioId: { in: [...encontrados] } },
+      select: { id: true, usuarioId: true, status: true, dataInicio: true }
+    });
+    const jaMatriculados = new Set(existentes.map(m => m.usuarioId));
+
+    // Matrículas canceladas/trancadas são reativadas; as demais ficam como estão
+    const reativar = existentes.filter(m => m.status === 'cancelada' || m.status === 'trancada');
+
+    // Na reativação o término antigo (provavelmente vencido) é descartado; um dataFim informado
+    // precisa ser posterior ao início de cada matrícula reativada
+    const dadosReativacao = { dataFim: null, ...data };
+    if (data.dataFim && !data.dataInicio) {
+      const conflitantes = reativar.filter(m => m.dataInicio >= data.dataFim);
+      if (conflitantes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'dataFim deve ser posterior a dataInicio',
+          details: `Matrículas reativadas com início depois de dataFim: ${conflitantes.map(m => m.id).join(', ')}`
+        });
+      }
+    }
+
+    const resultado = await prisma.$transaction(async (tx) => {
+      const criadas = await tx.matricula.createMany({
+        data: usuarios
+          .filter(u => !jaMatriculados.has(u.id))
+          .map(u => ({
+            usuarioId: u.id,
+            cursoId: cursoIdValidado,
+            matriculadoPorId: req.user.id,
+            ...data
+          })),
+        skipDuplicates: true
+      });
+
+      const reativadas = reativar.length > 0 ? await tx.matricula.updateMany({
+        where: { id: { in: reativar.map(m => m.id) } },
+        data: { status: 'ativa', matriculadoPorId: req.user.id, ...dadosReativacao }
+      }) : { count: 0 };
+
+      return { criadas: criadas.count, reativadas: reativadas.count };
+    });
+
+    console.log(`📝 Matrícula em lote no curso ${curso.titulo}: ${resultado.criadas} novas, ${resultado.reativadas} reativadas`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Matrículas processadas com sucesso!',
+      cursoId: cursoIdValidado,
+      criadas: resultado.criadas,
+      reativadas: resultado.reativadas,
+      jaMatriculados: existentes.length - reativar.length,
+      naoEncontrados: naoEncontrados
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro na matrícula em lote');
+  }
+});
+
+// ✅ GET MATRÍCULA POR ID
+app.get('/api/matriculas/:id', requirePermission('alunos:acompanhar'), async (req, res) => {
+  try {
+    const matriculaId = validateId(req.params.id);
+    if (!matriculaId) {
+      return res.status(400).json({ error: 'ID da matrícula inválido' });
+    }
+
+    const matricula = await prisma.matricula.findUnique({
+      where: { id: matriculaId },
+      include: includeMatricula
+    });
+
+    if (!matricula) {
+      return res.status(404).json({ success: false, error: 'Matrícula não encontrada' });
+    }
+
+    res.json({ success: true, matricula: matricula });
+  } catch (error) {
+    handleError(res, error, 'Erro ao buscar matrícula');
+  }
+});
+
+// ✅ CRIAR MATRÍCULA
+app.post('/api/matriculas', requirePermission('matriculas:gerenciar'), async (req, res) => {
+  try {
+    const usuarioId = validateId(req.body.usuarioId);
+    const cursoId = validateId(req.body.cursoId);
+
+    if (!usuarioId || !cursoId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados incompletos',
+        details: 'Forneça usuarioId e cursoId'
+      });
+    }
+
+    const { erro, data } = validarDadosMatricula(req.body);
+    if (erro) {
+      return res.status(400).json({ success: false, error: erro });
+    }
+
+    const [usuario, curso] = await Promise.all([
+      prisma.usuario.findUnique({ where: { id: usuarioId }, select: { id: true, nome: true } }),
+      prisma.curso.findUnique({ where: { id: cursoId }, select: { id: true, titulo: true } })
+    ]);
+
+    if (!usuario) {
+      return res.status(404).json({ success: false, error: 'Usuário não encontrado' });
+    }
+    if (!curso) {
+      return res.status(404).json({ success: false, error: 'Curso não encontrado' });
+    }
+
+    const existente = await prisma.matricula.findUnique({
+      where: { usuarioId_cursoId: { usuarioId, cursoId } }
+    });
+
+    if (existente) {
+      return res.status(409).json({
+        success: false,
+        error: 'Usuário já possui matrícula neste curso',
+        matricula: existente
+      });
+    }
+
+    const matricula = await prisma.matricula.create({
+      data: {
+        usuarioId: usuarioId,
+        cursoId: cursoId,
+        matriculadoPorId: req.user.id,
+        ...data
+      },
+      include: includeMatricula
+    });
+
+    console.log(`📝 ${usuario.nome} matriculado em ${curso.titulo} por ${req.user.nome}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Matrícula criada com sucesso!',
+      matricula: matricula
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao criar matrícula');
+  }
+});
+
+// ✅ ATUALIZAR MATRÍCULA (status, datas, observação)
+app.put('/api/matriculas/:id', requirePermission('matriculas:gerenciar'), async (req, res) => {
+  try {
+    const matriculaId = validateId(req.params.id);
+    if (!matriculaId) {
+      return res.status(400).json({ error: 'ID da matrícula inválido' });
+    }
+
+    const atual = await prisma.matricula.findUnique({ where: { id: matriculaId } });
+    if (!atual) {
+      return res.status(404).json({ success: false, error: 'Matrícula não encontrada' });
+    }
+
+    const { erro, data } = validarDadosMatricula(req.body, atual);
+    if (erro) {
+      return res.status(400).json({ success: false, error: erro });
+    }
+
+    const matricula = await prisma.matricula.update({
+      where: { id: matriculaId },
+      data: data,
+      include: includeMatricula
+    });
+
+    console.log(`✏️ Matrícula ${matriculaId} atualizada (${matricula.status})`);
+
+    res.json({
+      success: true,
+      message: 'Matrícula atualizada com sucesso!',
+      matricula: matricula
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao atualizar matrícula');
+  }
+});
+
+// ✅ EXCLUIR MATRÍCULA
+app.delete('/api/matriculas/:id', requirePermission('matriculas:gerenciar'), async (req, res) => {
+  try {
+    const matriculaId = validateId(req.params.id);
+    if (!matriculaId) {
+      return res.status(400).json({ error: 'ID da matrícula inválido' });
+    }
+
+    await prisma.matricula.delete({ where: { id: matriculaId } });
+
+    console.log(`🗑️ Matrícula ${matriculaId} excluída`);
+
+    res.json({
+      success: true,
+      message: 'Matrícula excluída com sucesso!'
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao excluir matrícula');
+  }
+});
+
+// ========== SISTEMA DE PROGRESSO ========== //
+
+// ✅ POST SALVAR PROGRESSO - COM VALIDAÇÃO
+app.post('/api/progresso/aula', requireAuth, async (req, res) => {
+    try {
+        const { aulaId, concluida } = req.body;
+        const usuarioId = resolveTargetUserId(req, req.body.usuarioId);
+
+        if (!usuarioId || !aulaId) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Dados incompletos',
+                details: 'Forneça usuarioId e aulaId'
+            });
+        }
+
+        console.log(`📊 Salvando progresso - Usuário: ${usuarioId}, Aula: ${aulaId}`);
+
+        // 1. Verificar usuário
+        const usuario = await prisma.usuario.findUnique({
+            where: { id: parseInt(usuarioId) }
+        });
 
         if (!usuario) {
             return res.status(404).json({ 
@@ -2801,179 +5082,349 @@ app.post('/api/progresso/aula', async (req, res) => {
             }
         });
 
-        if (!aula) {
+        if (!aula || (!aula.publicado && !permissionService.can(usuario, 'cursos:editar'))) {
             return res.status(404).json({ 
                 success: false,
                 error: 'Aula não encontrada' 
             });
         }
 
-        // 3. Verificar permissão do curso
-        if (!verificarPermissaoCurso(usuario.curso, aula.modulo.curso.materia)) {
+        // 3. Decisão da política de acesso (matrícula, bloqueio, modo global/do curso e autorizações)
+        const contexto = await lessonAccessPolicy.loadContext(usuario, aula.modulo.curso.id);
+        const acesso = lessonAccessPolicy.decide(contexto, aula.id);
+
+        if (!contexto.acessoTotal && !contexto.matriculado) {
             return res.status(403).json({
                 success: false,
                 error: 'Acesso negado',
-                details: `Seu curso (${usuario.curso}) não tem acesso a ${aula.modulo.curso.materia}`
+                details: `Você não está matriculado no curso ${aula.modulo.curso.titulo}`,
+                codigo: 'SEM_MATRICULA'
+            });
+        }
+
+        // 4. Progresso congelado (bloquear_progresso) impede novas conclusões, inclusive de aulas já concluídas
+        if (concluida !== false && contexto.bloqueio) {
+            return res.status(403).json({
+                success: false,
+                error: 'Progresso bloqueado',
+                details: lessonAccessPolicy.describeBlock(contexto.bloqueio),
+                codigo: 'PROGRESSO_BLOQUEADO',
+                bloqueio: contexto.bloqueio
+            });
+        }
+
+        // 5. Desmarcar conclusão (concluida: false) continua permitido
+        if (!acesso.autorizada && concluida !== false) {
+            return res.status(403).json({
+                success: false,
+                error: 'Aula não autorizada',
+                details: acesso.expiradaEm
+                    ? `O prazo de acesso a esta aula expirou em ${new Date(acesso.expiradaEm).toLocaleDateString('pt-BR')}`
+                    : 'Você precisa de autorização para acessar esta aula',
+                codigo: acesso.codigo,
+                motivo: acesso.motivo,
+                modoSistema: acesso.modoSistema,
+                modoProgresso: acesso.modoProgresso
             });
         }
 
-        // 4. Verificar autorização (se não for admin)
-        if (usuario.curso !== 'admin') {
-            const autorizada = await verificarAutorizacaoAula(
-                parseInt(usuarioId),
-                aula.modulo.curso.id,
-                parseInt(aulaId)
+        // 6. Mínimo de vídeo assistido do curso (só para a primeira conclusão de aulas com vídeo)
+        const percentualMinimoVideo = contexto.config.percentualMinimoVideo || 0;
+        if (concluida !== false && percentualMinimoVideo > 0 && aula.videoUrl && !contexto.acessoTotal && !contexto.concluidas.has(aula.id)) {
+            const visualizacao = videoWatchService.status(
+                await videoWatchService.find(usuario.id, aula.id),
+                aula,
+                percentualMinimoVideo
             );
-            
-            if (!autorizada.autorizada && !concluida) {
+
+            if (!visualizacao.atingido) {
                 return res.status(403).json({
                     success: false,
-                    error: 'Aula não autorizada',
-                    details: 'Você precisa de autorização para acessar esta aula'
+                    error: 'Vídeo não assistido o suficiente',
+                    details: `Assista pelo menos ${percentualMinimoVideo}% do vídeo para concluir a aula (faltam ${Math.ceil(visualizacao.segundosRestantes / 60)} min)`,
+                    codigo: 'VIDEO_INSUFICIENTE',
+                    visualizacao: visualizacao
                 });
             }
         }
 
-        const progressoExistente = await prisma.progressoAula.findFirst({
-            where: {
-                usuarioId: parseInt(usuarioId),
-                aulaId: parseInt(aulaId)
-            }
-        });
-
-        let progresso;
-
-        if (progressoExistente) {
-            progresso = await prisma.progressoAula.update({
-                where: { id: progressoExistente.id },
-                data: {
+        // 7. Progresso e evento "aula.concluida" na mesma transação: recálculo de módulo/curso,
+        // solicitação automática da próxima aula e avisos são feitos pelos assinantes do evento
+        const progresso = await prisma.$transaction(async (tx) => {
+            // Upsert na chave única: dois envios simultâneos da mesma aula não criam linha duplicada
+            const salvo = await tx.progressoAula.upsert({
+                where: {
+                    usuarioId_aulaId: { usuarioId: parseInt(usuarioId), aulaId: parseInt(aulaId) }
+                },
+                create: {
+                    usuarioId: parseInt(usuarioId),
+                    aulaId: parseInt(aulaId),
+                    concluida: concluida !== undefined ? concluida : true,
+                    dataConclusao: concluida !== false ? new Date() : null
+                },
+                update: {
                     concluida: concluida !== undefined ? concluida : true,
                     dataConclusao: concluida !== false ? new Date() : null,
                     atualizadoEm: new Date()
                 }
             });
-        } else {
-            progresso = await prisma.progressoAula.create({
-                data: {
+
+            if (concluida !== false) {
+                await eventBus.publish(tx, 'aula.concluida', {
                     usuarioId: parseInt(usuarioId),
+                    cursoId: aula.modulo.curso.id,
+                    moduloId: aula.modulo.id,
                     aulaId: parseInt(aulaId),
-                    concluida: concluida !== undefined ? concluida : true,
-                    dataConclusao: concluida !== false ? new Date() : null
-                }
+                    solicitarProxima: concluida === true
+                });
+            }
+
+            return salvo;
+        });
+
+        console.log(`✅ Progresso salvo: ${progresso.id}`);
+
+        res.json({
+            success: true,
+            message: 'Progresso salvo com sucesso!',
+            progresso: progresso
+        });
+
+    } catch (error) {
+        console.error('❌ Erro ao salvar progresso:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Erro ao salvar progresso',
+            details: process.env.NODE_ENV === 'development' ? error.message : 'Erro interno'
+        });
+    }
+});
+
+// ========== TEMPO ASSISTIDO DE VÍDEO ========== //
+
+// Aula com curso e decisão da política para o aluno: { aula, acesso, config } ou { status, erro }
+async function carregarAulaParaVisualizacao(aulaId, usuarioId) {
+    const aula = await prisma.aula.findUnique({
+        where: { id: aulaId },
+        include: { modulo: { select: { id: true, cursoId: true } } }
+    });
+
+    if (!aula || !aula.ativo) {
+        return { status: 404, erro: 'Aula não encontrada' };
+    }
+
+    const usuario = await prisma.usuario.findUnique({
+        where: { id: usuarioId },
+        select: { id: true, role: true }
+    });
+
+    if (!usuario) {
+        return { status: 404, erro: 'Usuário não encontrado' };
+    }
+
+    const contexto = await lessonAccessPolicy.loadContext(usuario, aula.modulo.cursoId);
+    return { aula, acesso: lessonAccessPolicy.decide(contexto, aula.id), config: contexto.config };
+}
+
+// ✅ POST HEARTBEAT DO PLAYER (trecho reproduzido desde o último envio)
+app.post('/api/aulas/:id/visualizacao', requireAuth, async (req, res) => {
+    try {
+        const aulaId = validateId(req.params.id);
+        const usuarioId = validateId(resolveTargetUserId(req, req.body.usuarioId));
+
+        if (!aulaId || !usuarioId) {
+            return res.status(400).json({ success: false, error: 'IDs inválidos' });
+        }
+
+        const erroHeartbeat = videoWatchService.validateHeartbeat(req.body);
+        if (erroHeartbeat) {
+            return res.status(400).json({ success: false, error: 'Heartbeat inválido', details: erroHeartbeat });
+        }
+
+        const carregado = await carregarAulaParaVisualizacao(aulaId, usuarioId);
+        if (carregado.erro) {
+            return res.status(carregado.status).json({ success: false, error: carregado.erro });
+        }
+
+        const { aula, acesso, config } = carregado;
+
+        if (!aula.videoUrl) {
+            return res.status(400).json({ success: false, error: 'Aula não possui vídeo' });
+        }
+
+        if (!acesso.autorizada) {
+            return res.status(403).json({
+                success: false,
+                error: 'Aula não autorizada',
+                acesso: lessonAccessPolicy.summarize(acesso)
             });
         }
 
-        console.log(`✅ Progresso salvo: ${progresso.id}`);
+        const { visualizacao, trechoAceito } = await videoWatchService.record(usuarioId, aula, {
+            inicio: req.body.inicio,
+            fim: req.body.fim,
+            duracaoVideo: req.body.duracaoVideo
+        });
+
+        res.json({
+            success: true,
+            trechoAceito: trechoAceito,
+            visualizacao: videoWatchService.status(visualizacao, aula, config.percentualMinimoVideo || 0)
+        });
+    } catch (error) {
+        console.error('❌ Erro ao registrar heartbeat de vídeo:', error);
+        handleError(res, error, 'Erro ao registrar tempo assistido');
+    }
+});
+
+// ✅ GET TEMPO ASSISTIDO DE UMA AULA
+app.get('/api/aulas/:id/visualizacao', requireAuth, async (req, res) => {
+    try {
+        const aulaId = validateId(req.params.id);
+        const usuarioId = validateId(resolveTargetUserId(req, req.query.usuarioId));
+
+        if (!aulaId || !usuarioId) {
+            return res.status(400).json({ success: false, error: 'IDs inválidos' });
+        }
+
+        const carregado = await carregarAulaParaVisualizacao(aulaId, usuarioId);
+        if (carregado.erro) {
+            return res.status(carregado.status).json({ success: false, error: carregado.erro });
+        }
+
+        const { aula, config } = carregado;
+        const visualizacao = await videoWatchService.find(usuarioId, aulaId);
+
+        res.json({
+            success: true,
+            possuiVideo: !!aula.videoUrl,
+            visualizacao: videoWatchService.status(visualizacao, aula, config.percentualMinimoVideo || 0),
+            segmentos: visualizacao?.segmentos || []
+        });
+    } catch (error) {
+        handleError(res, error, 'Erro ao buscar tempo assistido');
+    }
+});
+
+// ========== MODO GLOBAL DE AUTORIZAÇÃO ========== //
+// Registro único em sistema_autorizacao, acima da configuração de cada curso:
+//   progressivo - cada curso segue a própria configuração de progresso (padrão)
+//   total       - só abre o que tiver autorização explícita (aulas concluídas seguem revisáveis)
+//   livre       - todas as aulas abertas para quem tem acesso ao curso
+
+const MODOS_SISTEMA_AUTORIZACAO = ['progressivo', 'total', 'livre'];
+
+const MENSAGENS_MODO_SISTEMA = {
+    progressivo: 'Cada curso segue a própria configuração de progresso',
+    total: 'Todas as aulas requerem autorização',
+    livre: 'Todas as aulas estão liberadas'
+};
+
+// ========== CONFIGURAÇÃO DE PROGRESSO DOS CURSOS ========== //
+// modoProgresso (controlado/auto/misto), permiteAvancar, requerAutorizacao e limiteDiasAula
+// são aplicados pela política de acesso às aulas (services/lesson-access-policy.service.js);
+// percentualMinimoVideo é exigido ao concluir a aula (POST /api/progresso/aula)
+
+const TIPOS_AUTORIZACAO = ['liberar_aula', 'liberar_modulo', 'liberar_todas', 'bloquear_progresso'];
+
+// ✅ GET CONFIGURAÇÃO DE PROGRESSO DO CURSO
+app.get('/api/cursos/:cursoId/configuracao', requireAuth, async (req, res) => {
+    try {
+        const cursoId = validateId(req.params.cursoId);
+        if (!cursoId) {
+            return res.status(400).json({ success: false, error: 'ID do curso inválido' });
+        }
+
+        const curso = await prisma.curso.findUnique({ where: { id: cursoId }, select: { id: true } });
+        if (!curso) {
+            return res.status(404).json({ success: false, error: 'Curso não encontrado' });
+        }
+
+        if (!permissionService.can(req.user, 'cursos:editar') && !(await lessonAccessPolicy.hasCourseAccess(req.user, cursoId))) {
+            return res.status(403).json({ success: false, error: 'Acesso negado' });
+        }
+
+        res.json({ success: true, configuracao: await lessonAccessPolicy.loadCourseConfig(cursoId) });
+    } catch (error) {
+        handleError(res, error, 'Erro ao buscar configuração do curso');
+    }
+});
+
+// ✅ PUT CONFIGURAÇÃO DE PROGRESSO DO CURSO (cria ou atualiza; campos omitidos mantêm o valor atual)
+app.put('/api/cursos/:cursoId/configuracao', requirePermission('cursos:editar'), async (req, res) => {
+    try {
+        const cursoId = validateId(req.params.cursoId);
+        if (!cursoId) {
+            return res.status(400).json({ success: false, error: 'ID do curso inválido' });
+        }
+
+        const curso = await prisma.curso.findUnique({ where: { id: cursoId }, select: { id: true } });
+        if (!curso) {
+            return res.status(404).json({ success: false, error: 'Curso não encontrado' });
+        }
 
-        if (aula.modulo && concluida !== false) {
-            await atualizarProgressoModulo(parseInt(usuarioId), aula.modulo.id);
-            
-            // Solicitação automática para próxima aula
-            if (concluida === true) {
-                setTimeout(async () => {
-                    try {
-                        const response = await fetch(`${req.protocol}://${req.get('host')}/api/solicitacoes/automatica`, {
-                            method: 'POST',
-                            headers: { 'Content-Type': 'application/json' },
-                            body: JSON.stringify({
-                                usuarioId: parseInt(usuarioId),
-                                cursoId: aula.modulo.curso.id,
-                                aulaConcluidaId: parseInt(aulaId)
-                            })
-                        });
-                        
-                        if (response.ok) {
-                            console.log('🚀 Solicitação automática criada');
-                        }
-                    } catch (error) {
-                        console.warn('⚠️ Não foi possível criar solicitação automática:', error.message);
-                    }
-                }, 1000);
-            }
+        const atual = await lessonAccessPolicy.loadCourseConfig(cursoId);
+        const dados = {
+            modoProgresso: req.body.modoProgresso !== undefined ? req.body.modoProgresso : atual.modoProgresso,
+            permiteAvancar: req.body.permiteAvancar !== undefined ? req.body.permiteAvancar : atual.permiteAvancar,
+            requerAutorizacao: req.body.requerAutorizacao !== undefined ? req.body.requerAutorizacao : atual.requerAutorizacao,
+            limiteDiasAula: req.body.limiteDiasAula !== undefined ? req.body.limiteDiasAula : atual.limiteDiasAula,
+            percentualMinimoVideo: req.body.percentualMinimoVideo !== undefined ? req.body.percentualMinimoVideo : atual.percentualMinimoVideo
+        };
+
+        const erroValidacao = validarConfiguracaoCurso(dados);
+        if (erroValidacao) {
+            return res.status(400).json({ success: false, ...erroValidacao });
         }
 
+        const configuracao = await prisma.configuracaoCurso.upsert({
+            where: { cursoId },
+            create: { cursoId, ...dados },
+            update: dados
+        });
+
+        console.log(`⚙️ Configuração do curso ${cursoId} atualizada por ${req.user.nome}: modo ${configuracao.modoProgresso}`);
+
         res.json({
             success: true,
-            message: 'Progresso salvo com sucesso!',
-            progresso: progresso
+            message: 'Configuração do curso salva com sucesso!',
+            configuracao: configuracao
         });
-
     } catch (error) {
-        console.error('❌ Erro ao salvar progresso:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Erro ao salvar progresso',
-            details: process.env.NODE_ENV === 'development' ? error.message : 'Erro interno'
-        });
+        handleError(res, error, 'Erro ao salvar configuração do curso');
     }
 });
 
-// ✅ FUNÇÃO AUXILIAR PARA VERIFICAR AUTORIZAÇÃO
-async function verificarAutorizacaoAula(usuarioId, cursoId, aulaId) {
+// ✅ DELETE CONFIGURAÇÃO DE PROGRESSO DO CURSO (volta ao padrão controlado)
+app.delete('/api/cursos/:cursoId/configuracao', requirePermission('cursos:editar'), async (req, res) => {
     try {
-        // 1. Verificar se já está concluída (permite revisão)
-        const progresso = await prisma.progressoAula.findFirst({
-            where: {
-                usuarioId: usuarioId,
-                aulaId: aulaId,
-                concluida: true
-            }
-        });
-        
-        if (progresso) {
-            return { autorizada: true, motivo: 'Aula já concluída' };
+        const cursoId = validateId(req.params.cursoId);
+        if (!cursoId) {
+            return res.status(400).json({ success: false, error: 'ID do curso inválido' });
         }
-        
-        // 2. Buscar aula para obter módulo
-        const aula = await prisma.aula.findUnique({
-            where: { id: aulaId },
-            select: { moduloId: true }
-        });
-        
-        if (!aula) {
-            return { autorizada: false, motivo: 'Aula não encontrada' };
+
+        const { count } = await prisma.configuracaoCurso.deleteMany({ where: { cursoId } });
+        if (count === 0) {
+            return res.status(404).json({ success: false, error: 'Curso não possui configuração própria' });
         }
-        
-        // 3. Verificar autorizações ativas
-        const autorizacoes = await prisma.autorizacaoAula.findMany({
-            where: {
-                usuarioId: usuarioId,
-                cursoId: cursoId,
-                ativo: true,
-                OR: [
-                    { dataExpiracao: null },
-                    { dataExpiracao: { gt: new Date() } }
-                ]
-            }
+
+        console.log(`⚙️ Configuração do curso ${cursoId} removida por ${req.user.nome}`);
+
+        res.json({
+            success: true,
+            message: 'Configuração removida; o curso volta ao padrão',
+            configuracao: await lessonAccessPolicy.loadCourseConfig(cursoId)
         });
-        
-        for (const auth of autorizacoes) {
-            if (auth.tipo === 'liberar_todas') {
-                return { autorizada: true, motivo: 'Curso totalmente liberado' };
-            }
-            
-            if (auth.tipo === 'liberar_modulo' && auth.moduloId === aula.moduloId) {
-                return { autorizada: true, motivo: 'Módulo liberado' };
-            }
-            
-            if (auth.tipo === 'liberar_aula' && auth.aulaId === aulaId) {
-                return { autorizada: true, motivo: 'Aula específica liberada' };
-            }
-        }
-        
-        return { autorizada: false, motivo: 'Sem autorização' };
-        
     } catch (error) {
-        console.error('❌ Erro ao verificar autorização:', error);
-        return { autorizada: false, motivo: 'Erro ao verificar' };
+        handleError(res, error, 'Erro ao remover configuração do curso');
     }
-}
+});
 
 // ✅ GET PROGRESSO DO USUÁRIO EM UM CURSO
-app.get('/api/progresso/cursos/:cursoId', async (req, res) => {
+app.get('/api/progresso/cursos/:cursoId', requireAuth, async (req, res) => {
   try {
     const cursoId = validateId(req.params.cursoId);
-    const { usuarioId } = req.query;
+    const usuarioId = resolveTargetUserId(req, req.query.usuarioId);
 
     if (!cursoId || !usuarioId) {
       return res.status(400).json({ 
@@ -3062,8 +5513,185 @@ app.get('/api/progresso/cursos/:cursoId', async (req, res) => {
   }
 });
 
+// ========== RELATÓRIO DE PROGRESSO DA TURMA ========== //
+// Matriz alunos × módulos/aulas de um curso (versão publicada), com datas de conclusão e
+// solicitações de autorização pendentes. Mesmo conteúdo em JSON paginado e em CSV por streaming.
+
+const LOTE_RELATORIO_CSV = 200;
+
+// { curso, colunas, where } ou { status, corpo } quando a requisição não pode ser atendida
+async function carregarRelatorioTurma(cursoIdParam, serie) {
+    const cursoId = validateId(cursoIdParam);
+    if (!cursoId) {
+        return { status: 400, corpo: { success: false, error: 'ID do curso inválido' } };
+    }
+
+    const curso = await prisma.curso.findUnique({
+        where: { id: cursoId },
+        select: { id: true, titulo: true, versaoPublicada: { select: { numero: true, conteudo: true } } }
+    });
+
+    if (!curso) {
+        return { status: 404, corpo: { success: false, error: 'Curso não encontrado' } };
+    }
+    if (!curso.versaoPublicada) {
+        return { status: 404, corpo: { success: false, error: 'Curso ainda não publicado' } };
+    }
+
+    const where = {
+        cursoId,
+        ...(serie ? { usuario: { serie: { equals: serie.toString().trim(), mode: 'insensitive' } } } : {})
+    };
+
+    return { curso, colunas: progressService.matrixColumns(curso.versaoPublicada.conteudo), where };
+}
+
+const consultaMatriculasRelatorio = (where, skip, take) => prisma.matricula.findMany({
+    where,
+    select: {
+        id: true,
+        usuarioId: true,
+        status: true,
+        dataInicio: true,
+        dataFim: true,
+        usuario: { select: { id: true, nome: true, ra: true, serie: true } }
+    },
+    orderBy: [{ usuario: { nome: 'asc' } }, { id: 'asc' }],
+    skip,
+    take
+});
+
+// Separador ";" e BOM para o Excel em português abrir acentos e colunas corretamente.
+// Textos que começam com = + - @ recebem ' na frente para o Excel não executá-los como fórmula.
+function celulaCsv(valor) {
+    if (valor === null || valor === undefined) return '';
+    let texto = valor instanceof Date ? valor.toISOString() : valor.toString();
+    if (typeof valor === 'string' && /^[=+\-@]/.test(texto)) texto = `'${texto}`;
+    return /[";\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+const linhaCsv = (valores) => valores.map(celulaCsv).join(';') + '\r\n';
+
+// ✅ GET MATRIZ DE PROGRESSO DA TURMA (JSON paginado, ?serie= filtra os alunos)
+app.get('/api/progresso/cursos/:cursoId/relatorio', requirePermission('alunos:acompanhar'), async (req, res) => {
+    try {
+        const { page = 1, limit = 50, serie } = req.query;
+        const pagina = Math.max(parseInt(page) || 1, 1);
+        const limite = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+        const base = await carregarRelatorioTurma(req.params.cursoId, serie);
+        if (base.status) return res.status(base.status).json(base.corpo);
+
+        const { curso, colunas, where } = base;
+
+        const [matriculas, total] = await Promise.all([
+            consultaMatriculasRelatorio(where, (pagina - 1) * limite, limite),
+            prisma.matricula.count({ where })
+        ]);
+
+        const alunos = await progressService.matrixRows(curso.id, colunas, matriculas);
+
+        res.json({
+            success: true,
+            curso: {
+                id: curso.id,
+                titulo: curso.versaoPublicada.conteudo.titulo || curso.titulo,
+                versao: curso.versaoPublicada.numero
+            },
+            filtros: { serie: serie || null },
+            estrutura: colunas,
+            alunos,
+            pagination: {
+                page: pagina,
+                limit: limite,
+                total: total,
+                totalPages: Math.ceil(total / limite)
+            }
+        });
+    } catch (error) {
+        handleError(res, error, 'Erro ao gerar relatório de progresso');
+    }
+});
+
+// ✅ GET MATRIZ DE PROGRESSO DA TURMA EM CSV (streaming em lotes, mesmos filtros do JSON)
+app.get('/api/progresso/cursos/:cursoId/relatorio/csv', requirePermission('alunos:acompanhar'), async (req, res) => {
+    try {
+        const { serie } = req.query;
+
+        const base = await carregarRelatorioTurma(req.params.cursoId, serie);
+        if (base.status) return res.status(base.status).json(base.corpo);
+
+        const { curso, colunas, where } = base;
+        const tituloAula = new Map(colunas.aulas.map(a => [a.id, a.titulo]));
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="progresso-curso-${curso.id}.csv"`);
+
+        res.write('\ufeff' + linhaCsv([
+            'ID', 'Nome', 'RA', 'Série', 'Matrícula', 'Progresso (%)',
+            ...colunas.modulos.map(m => `Módulo: ${m.titulo} (%)`),
+            ...colunas.aulas.map(a => `Aula: ${a.titulo}`),
+            'Solicitações pendentes'
+        ]));
+
+        let enviados = 0;
+
+        // Cliente desconectado: para de consultar o banco
+        while (!res.destroyed) {
+            const matriculas = await consultaMatriculasRelatorio(where, enviados, LOTE_RELATORIO_CSV);
+            if (matriculas.length === 0) break;
+
+            const alunos = await progressService.matrixRows(curso.id, colunas, matriculas);
+            const bloco = alunos.map(aluno => linhaCsv([
+                aluno.usuario.id,
+                aluno.usuario.nome,
+                aluno.usuario.ra,
+                aluno.usuario.serie,
+                aluno.matricula.status,
+                aluno.progresso,
+                ...aluno.modulos.map(m => m.progresso),
+                // Data de conclusão; "concluída" para registros antigos sem data
+                ...aluno.aulas.map(a => a.concluida ? (a.dataConclusao || 'concluída') : ''),
+                aluno.solicitacoesPendentes.map(s => tituloAula.get(s.aulaId) || `Aula ${s.aulaId}`).join(', ')
+            ])).join('');
+
+            // Respeita o ritmo do cliente antes de buscar o próximo lote ('close' cobre a desconexão)
+            if (!res.write(bloco)) {
+                await new Promise(resolve => {
+                    const continuar = () => {
+                        res.off('drain', continuar);
+                        res.off('close', continuar);
+                        resolve();
+                    };
+                    res.once('drain', continuar);
+                    res.once('close', continuar);
+                });
+            }
+
+            enviados += matriculas.length;
+            if (matriculas.length < LOTE_RELATORIO_CSV) break;
+        }
+
+        if (res.destroyed) {
+            console.warn(`⚠️ Relatório CSV do curso ${curso.id} interrompido: cliente desconectou após ${enviados} alunos`);
+            return;
+        }
+
+        res.end();
+
+        console.log(`📊 Relatório CSV do curso ${curso.id} gerado por ${req.user.nome} (${enviados} alunos${serie ? `, série ${serie}` : ''})`);
+    } catch (error) {
+        // Com o CSV já começado não dá para responder JSON: encerra o arquivo incompleto
+        if (res.headersSent) {
+            console.error('❌ Erro durante o streaming do relatório CSV:', error);
+            return res.end();
+        }
+        handleError(res, error, 'Erro ao gerar relatório de progresso');
+    }
+});
+
 // ✅ GET AULAS CONCLUÍDAS POR USUÁRIO
-app.get('/api/progresso/usuarios/:usuarioId/aulas-concluidas', async (req, res) => {
+app.get('/api/progresso/usuarios/:usuarioId/aulas-concluidas', requireSelfOrPermission('usuarioId'), async (req, res) => {
   try {
     const usuarioId = validateId(req.params.usuarioId);
     if (!usuarioId) {
@@ -3114,7 +5742,7 @@ app.get('/api/progresso/usuarios/:usuarioId/aulas-concluidas', async (req, res)
 });
 
 // ✅ GET PROGRESSO GERAL DO USUÁRIO (TODOS OS CURSOS)
-app.get('/api/progresso/usuarios/:usuarioId/geral', async (req, res) => {
+app.get('/api/progresso/usuarios/:usuarioId/geral', requireSelfOrPermission('usuarioId'), async (req, res) => {
   try {
     const usuarioId = validateId(req.params.usuarioId);
     if (!usuarioId) {
@@ -3179,6 +5807,182 @@ app.get('/api/progresso/usuarios/:usuarioId/geral', async (req, res) => {
   }
 });
 
+// ✅ GET CONTINUAR DE ONDE PAROU (próxima aula de cada curso em andamento, última aula acessada e tempo restante)
+app.get('/api/progresso/usuarios/:usuarioId/continuar', requireSelfOrPermission('usuarioId'), async (req, res) => {
+    try {
+        const usuarioId = validateId(req.params.usuarioId);
+        if (!usuarioId) {
+            return res.status(400).json({ error: 'ID do usuário inválido' });
+        }
+
+        const usuario = await prisma.usuario.findUnique({
+            where: { id: usuarioId },
+            select: { id: true, curso: true, role: true, nome: true }
+        });
+
+        if (!usuario) {
+            return res.status(404).json({
+                success: false,
+                error: 'Usuário não encontrado'
+            });
+        }
+
+        const matriculas = await prisma.matricula.findMany({
+            where: {
+                usuarioId,
+                ...lessonAccessPolicy.enrollmentFilter(),
+                curso: { ativo: true, versaoPublicadaId: { not: null } }
+            },
+            select: {
+                cursoId: true,
+                curso: { select: { titulo: true, versaoPublicada: { select: { conteudo: true } } } }
+            }
+        });
+
+        const cursoIds = matriculas.map(m => m.cursoId);
+        const filtroAulas = { usuarioId, aula: { modulo: { cursoId: { in: cursoIds } } } };
+
+        const [avaliacoes, progressos, visualizacoes] = await Promise.all([
+            Promise.all(cursoIds.map(cursoId => lessonAccessPolicy.evaluateCourse(usuario, cursoId))),
+            prisma.progressoAula.findMany({
+                where: filtroAulas,
+                select: { aulaId: true, atualizadoEm: true }
+            }),
+            prisma.visualizacaoAula.findMany({
+                where: filtroAulas,
+                select: { aulaId: true, ultimaPosicao: true, ultimoHeartbeatEm: true }
+            })
+        ]);
+
+        // Última interação com cada aula: progresso gravado ou heartbeat do player, o mais recente
+        const atividades = new Map(progressos.map(p => [p.aulaId, { acessadaEm: p.atualizadoEm, origem: 'progresso', ultimaPosicao: null }]));
+        for (const v of visualizacoes) {
+            const atual = atividades.get(v.aulaId);
+            if (!atual || v.ultimoHeartbeatEm > atual.acessadaEm) {
+                atividades.set(v.aulaId, { acessadaEm: v.ultimoHeartbeatEm, origem: 'video', ultimaPosicao: v.ultimaPosicao });
+            } else {
+                atual.ultimaPosicao = v.ultimaPosicao;
+            }
+        }
+
+        const formatarAula = (aula) => ({
+            id: aula.id,
+            titulo: aula.titulo,
+            moduloId: aula.moduloId,
+            duracao: aula.duracao || 0
+        });
+
+        const resumos = matriculas.map((matricula, i) => {
+            const { contexto, decisoes } = avaliacoes[i];
+            const pendentes = contexto.aulas.filter(a => !contexto.concluidas.has(a.id));
+
+            const ultima = contexto.aulas
+                .filter(a => atividades.has(a.id))
+                .reduce((recente, a) => !recente || atividades.get(a.id).acessadaEm > atividades.get(recente.id).acessadaEm ? a : recente, null);
+
+            // Primeira aula pendente que o aluno pode abrir; sem nenhuma, a primeira pendente (com o motivo do bloqueio)
+            const proxima = pendentes.find(a => decisoes.get(a.id).autorizada) || pendentes[0] || null;
+
+            return {
+                cursoId: matricula.cursoId,
+                cursoTitulo: matricula.curso.versaoPublicada?.conteudo?.titulo || matricula.curso.titulo,
+                progresso: contexto.aulas.length > 0
+                    ? Math.round(((contexto.aulas.length - pendentes.length) / contexto.aulas.length) * 100)
+                    : 0,
+                aulasConcluidas: contexto.aulas.length - pendentes.length,
+                totalAulas: contexto.aulas.length,
+                iniciado: !!ultima || pendentes.length < contexto.aulas.length,
+                proximaAula: proxima ? {
+                    ...formatarAula(proxima),
+                    acesso: lessonAccessPolicy.summarize(decisoes.get(proxima.id))
+                } : null,
+                ultimaAula: ultima ? {
+                    ...formatarAula(ultima),
+                    concluida: contexto.concluidas.has(ultima.id),
+                    ...atividades.get(ultima.id)
+                } : null,
+                tempoRestanteMinutos: pendentes.reduce((total, a) => total + (a.duracao || 0), 0)
+            };
+        });
+
+        // Em andamento: já começou e ainda tem aula pendente; os não iniciados vão em lista separada
+        const cursos = resumos
+            .filter(c => c.proximaAula && c.iniciado)
+            .sort((a, b) => (b.ultimaAula?.acessadaEm || 0) - (a.ultimaAula?.acessadaEm || 0));
+
+        const naoIniciados = resumos.filter(c => c.proximaAula && !c.iniciado);
+
+        // Última aula acessada em qualquer curso matriculado, inclusive os já concluídos
+        const ultimoCurso = resumos
+            .filter(c => c.ultimaAula)
+            .reduce((recente, c) => !recente || c.ultimaAula.acessadaEm > recente.ultimaAula.acessadaEm ? c : recente, null);
+
+        res.json({
+            success: true,
+            continuar: {
+                usuarioId: usuario.id,
+                usuarioNome: usuario.nome,
+                ultimaAula: ultimoCurso ? {
+                    cursoId: ultimoCurso.cursoId,
+                    cursoTitulo: ultimoCurso.cursoTitulo,
+                    ...ultimoCurso.ultimaAula
+                } : null,
+                cursos,
+                totalCursosEmAndamento: cursos.length,
+                naoIniciados,
+                tempoRestanteMinutos: cursos.reduce((total, c) => total + c.tempoRestanteMinutos, 0),
+                ultimaAtualizacao: new Date().toISOString()
+            }
+        });
+    } catch (error) {
+        handleError(res, error, 'Erro ao buscar onde continuar');
+    }
+});
+
+// ✅ RECALCULAR PROGRESSO AGREGADO (curso, aluno ou todos; dryRun só lista o que seria corrigido)
+app.post('/api/progresso/recalcular', requirePermission('sistema:configurar'), async (req, res) => {
+    try {
+        const { cursoId: cursoIdBruto, usuarioId: usuarioIdBruto, dryRun = false } = req.body;
+
+        const cursoId = cursoIdBruto !== undefined && cursoIdBruto !== null ? validateId(cursoIdBruto) : null;
+        const usuarioId = usuarioIdBruto !== undefined && usuarioIdBruto !== null ? validateId(usuarioIdBruto) : null;
+
+        if ((cursoIdBruto !== undefined && cursoIdBruto !== null && !cursoId) ||
+            (usuarioIdBruto !== undefined && usuarioIdBruto !== null && !usuarioId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'cursoId e usuarioId, quando informados, devem ser IDs válidos'
+            });
+        }
+
+        const [curso, usuario] = await Promise.all([
+            cursoId ? prisma.curso.findUnique({ where: { id: cursoId }, select: { id: true } }) : null,
+            usuarioId ? prisma.usuario.findUnique({ where: { id: usuarioId }, select: { id: true } }) : null
+        ]);
+
+        if (cursoId && !curso) {
+            return res.status(404).json({ success: false, error: 'Curso não encontrado' });
+        }
+        if (usuarioId && !usuario) {
+            return res.status(404).json({ success: false, error: 'Usuário não encontrado' });
+        }
+
+        const resultado = await progressService.recompute({ cursoId, usuarioId, dryRun: dryRun === true });
+
+        console.log(`📊 Recálculo de progresso solicitado por ${req.user.nome} (curso: ${cursoId || 'todos'}, usuário: ${usuarioId || 'todos'})`);
+
+        res.json({
+            success: true,
+            message: resultado.dryRun
+                ? `${resultado.correcoes.length} linha(s) seriam corrigidas`
+                : `${resultado.correcoes.length} linha(s) corrigidas`,
+            ...resultado
+        });
+    } catch (error) {
+        handleError(res, error, 'Erro ao recalcular progresso');
+    }
+});
+
 // ========== FUNÇÕES AUXILIARES ========== //
 
 function formatarRespostaErro(res, status, mensagem, detalhes = null) {
@@ -3269,8 +6073,28 @@ async function obterAdminPadrao() {
 
 // ========== SISTEMA DE AUTORIZAÇÃO ========== //
 
+// Registra em log_autorizacao (criada/revogada) dentro da transação de quem chama
+async function registrarLogAutorizacao(db, tipo, autorizacao, adminId, detalhes = {}) {
+    return db.logAutorizacao.create({
+        data: {
+            tipo: tipo,
+            autorizacaoId: autorizacao.id,
+            usuarioId: autorizacao.usuarioId,
+            adminId: adminId,
+            detalhes: {
+                tipoAutorizacao: autorizacao.tipo,
+                cursoId: autorizacao.cursoId,
+                moduloId: autorizacao.moduloId,
+                aulaId: autorizacao.aulaId,
+                dataExpiracao: autorizacao.dataExpiracao,
+                ...detalhes
+            }
+        }
+    });
+}
+
 // ✅ 1. VERIFICAR AUTORIZAÇÃO DE UMA AULA (FRONTEND)
-app.get('/api/autorizacoes/verificar/:usuarioId/:cursoId/:aulaId', async (req, res) => {
+app.get('/api/autorizacoes/verificar/:usuarioId/:cursoId/:aulaId', requireSelfOrPermission('usuarioId'), async (req, res) => {
     try {
         const usuarioId = validateId(req.params.usuarioId);
         const cursoId = validateId(req.params.cursoId);
@@ -3286,84 +6110,55 @@ app.get('/api/autorizacoes/verificar/:usuarioId/:cursoId/:aulaId', async (req, r
         
         console.log(`🔍 Verificando autorização - Usuário:${usuarioId}, Curso:${cursoId}, Aula:${aulaId}`);
         
-        // 1. Verificar se já está concluída (permite revisão)
-        const progresso = await prisma.progressoAula.findFirst({
-            where: {
-                usuarioId: usuarioId,
-                aulaId: aulaId,
-                concluida: true
-            }
+        const usuario = await prisma.usuario.findUnique({
+            where: { id: usuarioId },
+            select: { id: true, role: true }
         });
         
-        if (progresso) {
-            return res.json({
-                success: true,
-                autorizada: true,
-                motivo: 'Aula já concluída',
-                permiteRevisao: true
+        if (!usuario) {
+            return res.status(404).json({
+                success: false,
+                autorizada: false,
+                error: 'Usuário não encontrado'
             });
         }
         
-        // 2. Buscar aula para obter módulo
-        const aula = await prisma.aula.findUnique({
-            where: { id: aulaId },
-            select: { moduloId: true }
-        });
+        // Mesma decisão usada ao salvar progresso e ao listar as aulas do curso
+        const contexto = await lessonAccessPolicy.loadContext(usuario, cursoId);
+        const resultado = lessonAccessPolicy.decide(contexto, aulaId);
         
-        if (!aula) {
+        if (resultado.permiteRevisao) {
             return res.json({
                 success: true,
-                autorizada: false,
-                motivo: 'Aula não encontrada'
+                autorizada: true,
+                codigo: resultado.codigo,
+                motivo: resultado.motivo,
+                permiteRevisao: true
             });
         }
         
-        // 3. Verificar autorizações ativas
-        const autorizacoes = await prisma.autorizacaoAula.findMany({
-            where: {
-                usuarioId: usuarioId,
-                cursoId: cursoId,
-                ativo: true,
-                OR: [
-                    { dataExpiracao: null },
-                    { dataExpiracao: { gt: new Date() } }
-                ]
-            }
-        });
-        
-        let autorizada = false;
-        let motivo = 'Sem autorização';
-        
-        for (const auth of autorizacoes) {
-            if (auth.tipo === 'liberar_todas') {
-                autorizada = true;
-                motivo = 'Curso totalmente liberado';
-                break;
-            }
-            
-            if (auth.tipo === 'liberar_modulo' && auth.moduloId === aula.moduloId) {
-                autorizada = true;
-                motivo = 'Módulo liberado';
-                break;
-            }
-            
-            if (auth.tipo === 'liberar_aula' && auth.aulaId === aulaId) {
-                autorizada = true;
-                motivo = 'Aula específica liberada';
-                break;
-            }
-        }
+        const autorizacoes = contexto.autorizacoes;
         
-        console.log(`📊 Resultado: ${autorizada ? '✅ AUTORIZADA' : '❌ NÃO AUTORIZADA'}`);
+        console.log(`📊 Resultado: ${resultado.autorizada ? '✅ AUTORIZADA' : '❌ NÃO AUTORIZADA'} (${resultado.codigo})`);
         
         res.json({
             success: true,
-            autorizada: autorizada,
-            motivo: motivo,
+            autorizada: resultado.autorizada,
+            codigo: resultado.codigo,
+            motivo: resultado.motivo,
+            modoSistema: resultado.modoSistema,
+            modoProgresso: resultado.modoProgresso,
+            expiraEm: resultado.expiraEm,
+            expiradaEm: resultado.expiradaEm,
+            bloqueio: resultado.bloqueio
+                ? { ...resultado.bloqueio, mensagem: lessonAccessPolicy.describeBlock(resultado.bloqueio) }
+                : null,
             detalhes: {
                 totalAutorizacoes: autorizacoes.length,
+                matriculado: contexto.matriculado,
+                temBloqueioProgresso: !!contexto.bloqueio,
                 temLiberacaoTotal: autorizacoes.some(a => a.tipo === 'liberar_todas'),
-                temLiberacaoModulo: autorizacoes.some(a => a.tipo === 'liberar_modulo' && a.moduloId === aula.moduloId),
+                temLiberacaoModulo: autorizacoes.some(a => a.tipo === 'liberar_modulo' && a.moduloId === resultado.moduloId),
                 temLiberacaoAula: autorizacoes.some(a => a.tipo === 'liberar_aula' && a.aulaId === aulaId)
             }
         });
@@ -3379,7 +6174,7 @@ app.get('/api/autorizacoes/verificar/:usuarioId/:cursoId/:aulaId', async (req, r
 });
 
 // ✅ 2. LISTAR AUTORIZAÇÕES DE UM USUÁRIO PARA UM CURSO (FRONTEND)
-app.get('/api/autorizacoes/curso/:cursoId/usuario/:usuarioId', async (req, res) => {
+app.get('/api/autorizacoes/curso/:cursoId/usuario/:usuarioId', requireSelfOrPermission('usuarioId'), async (req, res) => {
     try {
         const cursoId = validateId(req.params.cursoId);
         const usuarioId = validateId(req.params.usuarioId);
@@ -3428,12 +6223,13 @@ app.get('/api/autorizacoes/curso/:cursoId/usuario/:usuarioId', async (req, res)
 
 // ✅ VERSÃO SIMPLIFICADA DE AUTORIZAÇÕES
 // ✅ CORREÇÃO: Verificar se adminId existe ANTES de criar
-app.post('/api/autorizacoes', async (req, res) => {
+app.post('/api/autorizacoes', requirePermission('autorizacoes:gerenciar'), async (req, res) => {
     console.log('🔐 POST /api/autorizacoes - INÍCIO');
     console.log('📦 Body recebido:', req.body);
     
     try {
-        const { tipo, usuarioId, cursoId, aulaId, adminId, motivo } = req.body;
+        const { tipo, usuarioId, cursoId, aulaId, moduloId, motivo, dataExpiracao } = req.body;
+        const adminId = req.user.id;
         
         // 1. VALIDAÇÃO BÁSICA
         if (!tipo || !usuarioId || !cursoId || !adminId) {
@@ -3443,6 +6239,25 @@ app.post('/api/autorizacoes', async (req, res) => {
             });
         }
         
+        if (!TIPOS_AUTORIZACAO.includes(tipo)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Tipo de autorização inválido',
+                details: `Use um destes valores: ${TIPOS_AUTORIZACAO.join(', ')}`
+            });
+        }
+        
+        let expiracao = null;
+        try {
+            expiracao = validarDataExpiracao(dataExpiracao);
+        } catch (erro) {
+            return res.status(400).json({
+                success: false,
+                error: 'Data inválida',
+                details: erro.message
+            });
+        }
+        
         console.log(`📝 Criando autorização: ${tipo} para usuário ${usuarioId} pelo admin ${adminId}`);
         
         // 2. VERIFICAR SE O ADMIN EXISTE
@@ -3458,12 +6273,9 @@ app.post('/api/autorizacoes', async (req, res) => {
             const possiveisAdmins = await prisma.usuario.findMany({
                 take: 5,
                 where: {
-                    OR: [
-                        { curso: { contains: 'admin', mode: 'insensitive' } },
-                        { nome: { contains: 'admin', mode: 'insensitive' } }
-                    ]
+                    role: { in: permissionService.rolesWithPermission('autorizacoes:gerenciar') }
                 },
-                select: { id: true, nome: true, curso: true }
+                select: { id: true, nome: true, role: true }
             });
             
             return res.status(404).json({
@@ -3495,18 +6307,25 @@ app.post('/api/autorizacoes', async (req, res) => {
         // 4. CRIAR AUTORIZAÇÃO
         console.log('💾 Salvando autorização no banco...');
         
-        const autorizacao = await prisma.autorizacaoAula.create({
-            data: {
-                tipo: tipo,
-                usuarioId: parseInt(usuarioId),
-                cursoId: parseInt(cursoId),
-                aulaId: aulaId ? parseInt(aulaId) : null,
-                motivo: motivo || `Autorização ${tipo} concedida por ${admin.nome}`,
-                adminId: parseInt(adminId),
-                ativo: true,
-                criadoEm: new Date(),
-                atualizadoEm: new Date()
-            }
+        const autorizacao = await prisma.$transaction(async (tx) => {
+            const criada = await tx.autorizacaoAula.create({
+                data: {
+                    tipo: tipo,
+                    usuarioId: parseInt(usuarioId),
+                    cursoId: parseInt(cursoId),
+                    aulaId: aulaId ? parseInt(aulaId) : null,
+                    moduloId: moduloId ? parseInt(moduloId) : null,
+                    motivo: motivo || `Autorização ${tipo} concedida por ${admin.nome}`,
+                    dataExpiracao: expiracao,
+                    adminId: parseInt(adminId),
+                    ativo: true,
+                    criadoEm: new Date(),
+                    atualizadoEm: new Date()
+                }
+            });
+
+            await registrarLogAutorizacao(tx, 'criada', criada, adminId, { origem: 'manual' });
+            return criada;
         });
         
         console.log(`✅ AUTORIZAÇÃO CRIADA: ID ${autorizacao.id}`);
@@ -3520,6 +6339,7 @@ app.post('/api/autorizacoes', async (req, res) => {
                 usuarioId: autorizacao.usuarioId,
                 cursoId: autorizacao.cursoId,
                 adminId: autorizacao.adminId,
+                dataExpiracao: autorizacao.dataExpiracao,
                 criadoEm: autorizacao.criadoEm
             }
         });
@@ -3550,7 +6370,7 @@ app.post('/api/autorizacoes', async (req, res) => {
 });
 
 // ✅ 4. CRIAR AUTORIZAÇÃO EM MASSA (ADMIN)
-app.post('/api/autorizacoes/massa', async (req, res) => {
+app.post('/api/autorizacoes/massa', requirePermission('autorizacoes:gerenciar'), async (req, res) => {
     try {
         console.log('👥 Recebendo autorização em massa...');
         
@@ -3562,16 +6382,24 @@ app.post('/api/autorizacoes/massa', async (req, res) => {
             moduloId,
             motivo,
             dataExpiracao,
-            adminId,
             notificarUsuarios = false,
             observacao
         } = req.body;
+        const adminId = req.user.id;
         
-        if (!tipo || !cursoId || !usuarioIds || !Array.isArray(usuarioIds) || !adminId) {
+        if (!tipo || !cursoId || !usuarioIds || !Array.isArray(usuarioIds)) {
             return res.status(400).json({
                 success: false,
                 error: 'Dados incompletos',
-                details: 'Forneça tipo, cursoId, usuarioIds (array) e adminId'
+                details: 'Forneça tipo, cursoId e usuarioIds (array)'
+            });
+        }
+        
+        if (!TIPOS_AUTORIZACAO.includes(tipo)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Tipo de autorização inválido',
+                details: `Use um destes valores: ${TIPOS_AUTORIZACAO.join(', ')}`
             });
         }
         
@@ -3614,25 +6442,30 @@ app.post('/api/autorizacoes/massa', async (req, res) => {
                     continue;
                 }
                 
-                const autorizacao = await prisma.autorizacaoAula.create({
-                    data: {
-                        tipo: tipo,
-                        usuarioId: usuarioId,
-                        cursoId: cursoId,
-                        aulaId: aulaId || null,
-                        moduloId: moduloId || null,
-                        motivo: motivo || `Autorização em massa: ${tipo}`,
-                        dataExpiracao: dataExpiracao ? new Date(dataExpiracao) : null,
-                        adminId: adminId,
-                        ativo: true,
-                        criadoEm: new Date(),
-                        atualizadoEm: new Date()
-                    },
-                    include: {
-                        usuario: {
-                            select: { id: true, nome: true, ra: true }
+                const autorizacao = await prisma.$transaction(async (tx) => {
+                    const criada = await tx.autorizacaoAula.create({
+                        data: {
+                            tipo: tipo,
+                            usuarioId: usuarioId,
+                            cursoId: cursoId,
+                            aulaId: aulaId || null,
+                            moduloId: moduloId || null,
+                            motivo: motivo || `Autorização em massa: ${tipo}`,
+                            dataExpiracao: dataExpiracao ? new Date(dataExpiracao) : null,
+                            adminId: adminId,
+                            ativo: true,
+                            criadoEm: new Date(),
+                            atualizadoEm: new Date()
+                        },
+                        include: {
+                            usuario: {
+                                select: { id: true, nome: true, ra: true }
+                            }
                         }
-                    }
+                    });
+
+                    await registrarLogAutorizacao(tx, 'criada', criada, adminId, { origem: 'massa', observacao: observacao || null });
+                    return criada;
                 });
                 
                 autorizacoesCriadas.push(autorizacao);
@@ -3666,12 +6499,13 @@ app.post('/api/autorizacoes/massa', async (req, res) => {
 });
 
 // ✅ 5. DESATIVAR AUTORIZAÇÃO (ADMIN)
-app.put('/api/autorizacoes/:id/desativar', async (req, res) => {
+app.put('/api/autorizacoes/:id/desativar', requirePermission('autorizacoes:gerenciar'), async (req, res) => {
     try {
         const autorizacaoId = validateId(req.params.id);
-        const { adminId, motivo } = req.body;
+        const { motivo } = req.body;
+        const adminId = req.user.id;
         
-        if (!autorizacaoId || !adminId) {
+        if (!autorizacaoId) {
             return res.status(400).json({
                 success: false,
                 error: 'Dados incompletos'
@@ -3691,13 +6525,21 @@ app.put('/api/autorizacoes/:id/desativar', async (req, res) => {
             });
         }
         
-        const autorizacaoAtualizada = await prisma.autorizacaoAula.update({
-            where: { id: autorizacaoId },
-            data: {
-                ativo: false,
-                motivo: motivo ? `${autorizacao.motivo || ''} | Desativado: ${motivo}` : `${autorizacao.motivo || ''} | Desativado pelo admin`,
-                atualizadoEm: new Date()
+        const autorizacaoAtualizada = await prisma.$transaction(async (tx) => {
+            const atualizada = await tx.autorizacaoAula.update({
+                where: { id: autorizacaoId },
+                data: {
+                    ativo: false,
+                    motivo: motivo ? `${autorizacao.motivo || ''} | Desativado: ${motivo}` : `${autorizacao.motivo || ''} | Desativado pelo admin`,
+                    atualizadoEm: new Date()
+                }
+            });
+
+            // Desativar de novo uma autorização já inativa não gera outro evento
+            if (autorizacao.ativo) {
+                await registrarLogAutorizacao(tx, 'revogada', autorizacao, adminId, { motivo: motivo || null });
             }
+            return atualizada;
         });
         
         console.log(`✅ Autorização desativada: ${autorizacaoId}`);
@@ -3718,7 +6560,7 @@ app.put('/api/autorizacoes/:id/desativar', async (req, res) => {
 });
 
 // ✅ 6. LISTAR TODAS AS AUTORIZAÇÕES COM FILTROS (ADMIN)
-app.get('/api/autorizacoes', async (req, res) => {
+app.get('/api/autorizacoes', requirePermission('autorizacoes:gerenciar'), async (req, res) => {
     try {
         const { 
             page = 1, 
@@ -3798,9 +6640,152 @@ app.get('/api/autorizacoes', async (req, res) => {
     }
 });
 
+// Eventos de log_autorizacao como aparecem na linha do tempo
+const EVENTOS_LOG_AUTORIZACAO = {
+    criada: 'concedida',
+    revogada: 'revogada',
+    expirada: 'expirada'
+};
+
+const selectIdTitulo = { id: true, titulo: true };
+
+// Solicitações, decisões e log_autorizacao de um aluno num único feed cronológico.
+// Autorizações anteriores ao log entram como "concedida" com origem "registro".
+async function montarLinhaDoTempoAutorizacoes(usuarioId, cursoId = null) {
+    const filtroCurso = cursoId ? { cursoId } : {};
+    const includeAutorizacao = {
+        curso: { select: { id: true, titulo: true } },
+        aula: { select: selectIdTitulo },
+        modulo: { select: selectIdTitulo }
+    };
+
+    const [solicitacoes, logs, autorizacoesSemLog] = await Promise.all([
+        prisma.solicitacaoAutorizacao.findMany({
+            where: { usuarioId, ...filtroCurso },
+            include: {
+                ...includeAutorizacao,
+                admin: { select: { id: true, nome: true } },
+                regraAprovacao: { select: { id: true, nome: true, tipo: true } }
+            }
+        }),
+        prisma.logAutorizacao.findMany({
+            where: { usuarioId, ...(cursoId ? { autorizacao: { cursoId } } : {}) },
+            include: {
+                admin: { select: { id: true, nome: true } },
+                autorizacao: { include: includeAutorizacao }
+            }
+        }),
+        prisma.autorizacaoAula.findMany({
+            where: { usuarioId, ...filtroCurso, logs: { none: { tipo: 'criada' } } },
+            include: { ...includeAutorizacao, admin: { select: { id: true, nome: true } } }
+        })
+    ]);
+
+    const resumoAutorizacao = (a) => ({ id: a.id, tipo: a.tipo, ativo: a.ativo, dataExpiracao: a.dataExpiracao });
+    const eventos = [];
+
+    for (const s of solicitacoes) {
+        const base = { solicitacaoId: s.id, curso: s.curso, modulo: s.modulo, aula: s.aula };
+
+        eventos.push({
+            ...base,
+            id: `solicitacao-${s.id}`,
+            evento: 'solicitada',
+            data: s.criadoEm,
+            admin: null,
+            detalhes: { tipo: s.tipo, automatica: !!s.automatica, motivo: s.motivo }
+        });
+
+        if (s.processadoEm && s.status !== 'pendente') {
+            eventos.push({
+                ...base,
+                id: `solicitacao-${s.id}-${s.status}`,
+                evento: s.status === 'aprovado' ? 'aprovada' : 'rejeitada',
+                data: s.processadoEm,
+                admin: s.admin,
+                regraAprovacao: s.regraAprovacao,
+                detalhes: { autorizacaoId: s.autorizacaoId, motivoRejeicao: s.motivoRejeicao }
+            });
+        }
+    }
+
+    for (const log of logs) {
+        const a = log.autorizacao;
+        eventos.push({
+            id: `log-${log.id}`,
+            evento: EVENTOS_LOG_AUTORIZACAO[log.tipo] || log.tipo,
+            data: log.criadoEm,
+            curso: a.curso,
+            modulo: a.modulo,
+            aula: a.aula,
+            autorizacao: resumoAutorizacao(a),
+            admin: log.admin,
+            detalhes: log.detalhes
+        });
+    }
+
+    for (const a of autorizacoesSemLog) {
+        eventos.push({
+            id: `autorizacao-${a.id}`,
+            evento: 'concedida',
+            data: a.criadoEm,
+            curso: a.curso,
+            modulo: a.modulo,
+            aula: a.aula,
+            autorizacao: resumoAutorizacao(a),
+            admin: a.admin,
+            detalhes: { origem: 'registro', motivo: a.motivo }
+        });
+    }
+
+    return eventos.sort((a, b) => new Date(a.data) - new Date(b.data));
+}
+
+// ✅ 7. LINHA DO TEMPO DE AUTORIZAÇÕES DE UM ALUNO (ADMIN)
+app.get('/api/usuarios/:id/autorizacoes/timeline', requirePermission('autorizacoes:gerenciar'), async (req, res) => {
+    try {
+        const usuarioId = validateId(req.params.id);
+        const cursoId = req.query.cursoId ? validateId(req.query.cursoId) : null;
+
+        if (!usuarioId || (req.query.cursoId && !cursoId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'IDs inválidos'
+            });
+        }
+
+        const usuario = await prisma.usuario.findUnique({
+            where: { id: usuarioId },
+            select: { id: true, nome: true, ra: true }
+        });
+
+        if (!usuario) {
+            return res.status(404).json({
+                success: false,
+                error: 'Usuário não encontrado'
+            });
+        }
+
+        console.log(`🕓 Linha do tempo de autorizações - Usuário:${usuarioId}${cursoId ? `, Curso:${cursoId}` : ''}`);
+
+        const eventos = await montarLinhaDoTempoAutorizacoes(usuarioId, cursoId);
+
+        res.json({
+            success: true,
+            usuario: usuario,
+            cursoId: cursoId,
+            total: eventos.length,
+            eventos: req.query.ordem === 'desc' ? eventos.reverse() : eventos
+        });
+    } catch (error) {
+        console.error('❌ Erro ao montar linha do tempo de autorizações:', error);
+        handleError(res, error, 'Erro ao buscar linha do tempo de autorizações');
+    }
+});
+
 // ========== SOLICITAÇÕES DE AUTORIZAÇÃO ========== //
 
-app.get('/api/solicitacoes', async (req, res) => {
+app.get('/api/solicitacoes', requirePermission('autorizacoes:gerenciar'), async (req, res) => {
     try {
         console.log('📋 GET /api/solicitacoes - Buscando todas as solicitações');
         
@@ -3877,17 +6862,17 @@ app.get('/api/solicitacoes', async (req, res) => {
 });
 
 // ✅ POST CRIAR SOLICITAÇÃO DE AUTORIZAÇÃO - VERSÃO CORRIGIDA
-app.post('/api/solicitacoes', async (req, res) => {
+app.post('/api/solicitacoes', requireAuth, async (req, res) => {
     console.log('\n=== SOLICITAÇÃO RECEBIDA (Geral) ===');
     console.log('📦 Body:', JSON.stringify(req.body, null, 2));
     
     try {
         const { 
-            usuarioId, 
             cursoId, 
             aulaId, 
             motivo 
         } = req.body;
+        const usuarioId = resolveTargetUserId(req, req.body.usuarioId);
 
         // VALIDAÇÃO BÁSICA
         if (!usuarioId || !cursoId || !aulaId) {
@@ -3989,11 +6974,19 @@ app.post('/api/solicitacoes', async (req, res) => {
         console.log(`✅ Solicitação criada com sucesso: ${novaSolicitacao.id}`);
         console.log(`📧 Detalhes: Usuário=${usuario.nome}, Curso=${curso.titulo}, Aula=${aula.titulo}`);
 
+        // Regras do curso podem aprovar na hora
+        const aprovacao = await authorizationRequestService.autoApprove(novaSolicitacao).catch(error => {
+            console.warn('⚠️ Erro ao avaliar regras de aprovação:', error.message);
+            return null;
+        });
+
         return res.status(201).json({
             success: true,
-            message: 'Solicitação enviada ao administrador!',
+            message: aprovacao ? 'Solicitação aprovada automaticamente!' : 'Solicitação enviada ao administrador!',
             solicitacaoId: novaSolicitacao.id,
-            solicitacao: novaSolicitacao
+            solicitacao: aprovacao ? { ...novaSolicitacao, status: 'aprovado', regraAprovacaoId: aprovacao.regra.id } : novaSolicitacao,
+            aprovadaAutomaticamente: !!aprovacao,
+            regraAprovacao: aprovacao ? { id: aprovacao.regra.id, nome: aprovacao.regra.nome, detalhe: aprovacao.detalhe } : null
         });
 
     } catch (error) {
@@ -4008,220 +7001,263 @@ app.post('/api/solicitacoes', async (req, res) => {
     }
 });
 
-app.post('/api/solicitacoes/automatica', async (req, res) => {
-    console.log('🤖 ===== SOLICITAÇÃO AUTOMÁTICA INICIADA =====');
-    console.log('📦 Body recebido:', JSON.stringify(req.body, null, 2));
-    console.log('🕐 Timestamp:', new Date().toISOString());
+// Gera (ou reaproveita) a solicitação da aula seguinte à concluída. Usada pela rota abaixo e pelo
+// assinante de "aula.concluida"; retorna { status, corpo } no formato da resposta HTTP.
+async function gerarSolicitacaoAutomatica(usuarioIdInt, cursoIdInt, aulaConcluidaIdInt) {
+    const responder = (status, corpo) => ({ status, corpo });
+
+    const usuario = await prisma.usuario.findUnique({
+        where: { id: usuarioIdInt },
+        select: { id: true, role: true }
+    });
     
-    try {
-        const { usuarioId, cursoId, aulaConcluidaId } = req.body;
-        
-        // VALIDAÇÃO DETALHADA
-        if (!usuarioId || !cursoId || !aulaConcluidaId) {
-            console.log('❌ VALIDAÇÃO FALHOU - Dados faltando:', {
-                usuarioId: !!usuarioId,
-                cursoId: !!cursoId,
-                aulaConcluidaId: !!aulaConcluidaId
-            });
-            return res.status(400).json({
-                success: false,
-                error: 'Dados incompletos',
-                details: 'Forneça usuarioId, cursoId e aulaConcluidaId',
-                received: { usuarioId, cursoId, aulaConcluidaId }
-            });
-        }
-        
-        console.log(`📝 PROCESSANDO: Usuário=${usuarioId}, Curso=${cursoId}, AulaConcluida=${aulaConcluidaId}`);
-        
-        // CONVERTER IDs
-        const usuarioIdInt = parseInt(usuarioId);
-        const cursoIdInt = parseInt(cursoId);
-        const aulaConcluidaIdInt = parseInt(aulaConcluidaId);
-        
-        console.log(`🔢 IDs convertidos: Usuário=${usuarioIdInt}, Curso=${cursoIdInt}, Aula=${aulaConcluidaIdInt}`);
-        
-        // 1. VERIFICAR SE A AULA CONCLUÍDA EXISTE
-        console.log(`🔍 Buscando aula concluída ID: ${aulaConcluidaIdInt}`);
-        
-        const aulaConcluida = await prisma.aula.findUnique({
-            where: { 
-                id: aulaConcluidaIdInt,
-                ativo: true 
-            },
-            include: {
-                modulo: {
-                    include: {
-                        aulas: {
-                            where: { 
-                                ativo: true,
-                                id: { not: aulaConcluidaIdInt }
-                            },
-                            orderBy: { ordem: 'asc' }
-                        }
-                    }
-                }
-            }
+    if (!usuario) {
+        return responder(404, {
+            success: false,
+            error: 'Usuário não encontrado'
         });
-        
-        if (!aulaConcluida) {
-            console.log(`❌ AULA NÃO ENCONTRADA ou INATIVA: ${aulaConcluidaIdInt}`);
-            return res.status(404).json({
-                success: false,
-                error: 'Aula não encontrada',
-                details: `A aula ID ${aulaConcluidaId} não existe ou está inativa`
-            });
-        }
-        
-        console.log(`✅ AULA ENCONTRADA: "${aulaConcluida.titulo}" (Módulo: ${aulaConcluida.moduloId})`);
-        
-        // 2. ENCONTRAR PRÓXIMA AULA
-        console.log('🔍 Buscando próxima aula...');
-        
-        let proximaAula = null;
-        const modulo = aulaConcluida.modulo;
-        
-        // Primeiro, verificar no mesmo módulo
-        if (modulo && modulo.aulas && modulo.aulas.length > 0) {
-            proximaAula = modulo.aulas[0];
-            console.log(`✅ PRÓXIMA AULA NO MESMO MÓDULO: "${proximaAula.titulo}" (ID: ${proximaAula.id})`);
-        } else {
-            // Buscar próximo módulo
-            console.log(`🔍 Buscando próximo módulo após ordem ${modulo?.ordem || 1}`);
-            
-            const proximoModulo = await prisma.modulo.findFirst({
-                where: {
-                    cursoId: cursoIdInt,
-                    ordem: modulo ? { gt: modulo.ordem } : 1,
-                    ativo: true
-                },
-                include: {
-                    aulas: {
-                        where: { ativo: true },
-                        orderBy: { ordem: 'asc' },
-                        take: 1
-                    }
-                },
-                orderBy: { ordem: 'asc' }
-            });
-            
-            if (proximoModulo && proximoModulo.aulas.length > 0) {
-                proximaAula = proximoModulo.aulas[0];
-                console.log(`✅ PRÓXIMA AULA NO PRÓXIMO MÓDULO: "${proximaAula.titulo}" (Módulo: ${proximoModulo.titulo})`);
-            }
-        }
-        
-        if (!proximaAula) {
-            console.log('📭 NÃO HÁ PRÓXIMA AULA - Curso concluído ou sem aulas ativas');
-            return res.json({
-                success: true,
-                message: 'Não há próxima aula para solicitar',
-                cursoConcluido: true,
-                proximaAula: null
-            });
+    }
+    
+    // Contexto da política de acesso: aulas publicadas, bloqueio, autorizações e progresso do aluno
+    const contexto = await lessonAccessPolicy.loadContext(usuario, cursoIdInt);
+    
+    // Progresso congelado: nenhuma solicitação nova
+    const bloqueio = contexto.bloqueio;
+    if (bloqueio) {
+        console.log(`🧊 PROGRESSO BLOQUEADO até ${bloqueio.ate || 'liberação manual'} - solicitação não gerada`);
+        return responder(200, {
+            success: true,
+            message: 'Progresso bloqueado; nenhuma solicitação foi gerada',
+            bloqueado: true,
+            details: lessonAccessPolicy.describeBlock(bloqueio),
+            bloqueio: bloqueio
+        });
+    }
+    
+    // 1. VERIFICAR SE A AULA CONCLUÍDA EXISTE
+    console.log(`🔍 Buscando aula concluída ID: ${aulaConcluidaIdInt}`);
+    
+    const aulaConcluida = await prisma.aula.findUnique({
+        where: { 
+            id: aulaConcluidaIdInt,
+            ativo: true 
         }
-        
-        // 3. VERIFICAR SE JÁ EXISTE SOLICITAÇÃO PENDENTE
-        console.log(`🔍 Verificando solicitações existentes para aula ${proximaAula.id}...`);
-        
-        const solicitacaoExistente = await prisma.solicitacaoAutorizacao.findFirst({
-            where: {
-                usuarioId: usuarioIdInt,
-                cursoId: cursoIdInt,
-                aulaId: proximaAula.id,
-                status: 'pendente'
+    });
+    
+    if (!aulaConcluida) {
+        console.log(`❌ AULA NÃO ENCONTRADA ou INATIVA: ${aulaConcluidaIdInt}`);
+        return responder(404, {
+            success: false,
+            error: 'Aula não encontrada',
+            details: `A aula ID ${aulaConcluidaIdInt} não existe ou está inativa`
+        });
+    }
+    
+    console.log(`✅ AULA ENCONTRADA: "${aulaConcluida.titulo}" (Módulo: ${aulaConcluida.moduloId})`);
+    
+    // 2. ENCONTRAR PRÓXIMA AULA (ordem da versão publicada, atravessando módulos)
+    console.log('🔍 Buscando próxima aula...');
+    
+    const indiceConcluida = contexto.aulas.findIndex(a => a.id === aulaConcluidaIdInt);
+    const proximaAula = indiceConcluida !== -1 ? contexto.aulas[indiceConcluida + 1] || null : null;
+    
+    if (proximaAula) {
+        console.log(`✅ PRÓXIMA AULA: "${proximaAula.titulo}" (ID: ${proximaAula.id}, Módulo: ${proximaAula.moduloId})`);
+    }
+    
+    if (!proximaAula) {
+        console.log('📭 NÃO HÁ PRÓXIMA AULA - Curso concluído ou sem aulas ativas');
+        return responder(200, {
+            success: true,
+            message: 'Não há próxima aula para solicitar',
+            cursoConcluido: true,
+            proximaAula: null
+        });
+    }
+    
+    // 3. PRÓXIMA AULA JÁ LIBERADA (modo auto/misto do curso ou autorização existente)
+    const acessoProximaAula = lessonAccessPolicy.decide(contexto, proximaAula.id);
+    
+    if (acessoProximaAula.autorizada) {
+        console.log(`🔓 PRÓXIMA AULA JÁ LIBERADA: ${acessoProximaAula.motivo}`);
+        return responder(200, {
+            success: true,
+            message: 'Próxima aula já liberada',
+            liberadaAutomaticamente: true,
+            codigo: acessoProximaAula.codigo,
+            motivo: acessoProximaAula.motivo,
+            modoSistema: acessoProximaAula.modoSistema,
+            modoProgresso: acessoProximaAula.modoProgresso,
+            proximaAula: {
+                id: proximaAula.id,
+                titulo: proximaAula.titulo,
+                moduloId: proximaAula.moduloId
             }
         });
-        
-        if (solicitacaoExistente) {
-            console.log(`⚠️ SOLICITAÇÃO JÁ EXISTE: ID ${solicitacaoExistente.id}`);
-            return res.json({
-                success: true,
-                message: 'Solicitação já existe',
-                solicitacaoId: solicitacaoExistente.id,
-                proximaAula: {
-                    id: proximaAula.id,
-                    titulo: proximaAula.titulo
-                }
-            });
-        }
-        
-        // 4. CRIAR NOVA SOLICITAÇÃO AUTOMÁTICA
-        console.log(`📝 Criando solicitação automática...`);
-        
-        const dadosSolicitacao = {
+    }
+    
+    // 4. VERIFICAR SE JÁ EXISTE SOLICITAÇÃO PENDENTE
+    console.log(`🔍 Verificando solicitações existentes para aula ${proximaAula.id}...`);
+    
+    const solicitacaoExistente = await prisma.solicitacaoAutorizacao.findFirst({
+        where: {
             usuarioId: usuarioIdInt,
             cursoId: cursoIdInt,
             aulaId: proximaAula.id,
-            moduloId: proximaAula.moduloId,
-            motivo: `✅ SISTEMA AUTOMÁTICO: Aluno completou "${aulaConcluida.titulo}" e está pronto para "${proximaAula.titulo}"`,
-            status: 'pendente',
-            tipo: 'automatica',
-            automatica: true,
-            criadoEm: new Date(),
-            atualizadoEm: new Date()
-        };
-        
-        console.log('📦 Dados da solicitação:', dadosSolicitacao);
-        
-        const novaSolicitacao = await prisma.solicitacaoAutorizacao.create({
-            data: dadosSolicitacao,
-            include: {
-                usuario: { 
-                    select: { 
-                        id: true, 
-                        nome: true, 
-                        ra: true 
-                    } 
-                },
-                curso: { 
-                    select: { 
-                        id: true, 
-                        titulo: true 
-                    } 
-                },
-                aula: { 
-                    select: { 
-                        id: true, 
-                        titulo: true 
-                    } 
-                }
+            status: 'pendente'
+        }
+    });
+    
+    if (solicitacaoExistente) {
+        console.log(`⚠️ SOLICITAÇÃO JÁ EXISTE: ID ${solicitacaoExistente.id}`);
+        return responder(200, {
+            success: true,
+            message: 'Solicitação já existe',
+            solicitacaoId: solicitacaoExistente.id,
+            proximaAula: {
+                id: proximaAula.id,
+                titulo: proximaAula.titulo
             }
         });
-        
-        console.log(`✅ SOLICITAÇÃO CRIADA COM SUCESSO: ID ${novaSolicitacao.id}`);
-        
-        try {
-            await prisma.notificacaoAmizade.create({
-                data: {
-                    tipo: 'solicitacao_aula',
-                    usuarioId: 1, // Admin
-                    remetenteId: usuarioIdInt,
-                    lida: false,
-                    mensagem: `🎯 SOLICITAÇÃO AUTOMÁTICA: ${novaSolicitacao.usuario.nome} completou "${aulaConcluida.titulo}" e aguarda "${proximaAula.titulo}"`
-                }
-            });
-            console.log('🔔 Notificação criada para admin');
-        } catch (notifError) {
-            console.warn('⚠️ Erro ao criar notificação:', notifError.message);
+    }
+    
+    // 5. CRIAR NOVA SOLICITAÇÃO AUTOMÁTICA
+    console.log(`📝 Criando solicitação automática...`);
+    
+    const dadosSolicitacao = {
+        usuarioId: usuarioIdInt,
+        cursoId: cursoIdInt,
+        aulaId: proximaAula.id,
+        moduloId: proximaAula.moduloId,
+        motivo: `✅ SISTEMA AUTOMÁTICO: Aluno completou "${aulaConcluida.titulo}" e está pronto para "${proximaAula.titulo}"`,
+        status: 'pendente',
+        tipo: 'automatica',
+        automatica: true,
+        criadoEm: new Date(),
+        atualizadoEm: new Date()
+    };
+    
+    console.log('📦 Dados da solicitação:', dadosSolicitacao);
+    
+    const novaSolicitacao = await prisma.solicitacaoAutorizacao.create({
+        data: dadosSolicitacao,
+        include: {
+            usuario: { 
+                select: { 
+                    id: true, 
+                    nome: true, 
+                    ra: true 
+                } 
+            },
+            curso: { 
+                select: { 
+                    id: true, 
+                    titulo: true 
+                } 
+            },
+            aula: { 
+                select: { 
+                    id: true, 
+                    titulo: true 
+                } 
+            }
         }
-        
-        console.log('🤖 ===== SOLICITAÇÃO AUTOMÁTICA CONCLUÍDA =====\n');
-        
-        return res.status(201).json({
+    });
+    
+    console.log(`✅ SOLICITAÇÃO CRIADA COM SUCESSO: ID ${novaSolicitacao.id}`);
+    
+    // 6. REGRAS DE APROVAÇÃO DO CURSO (sem ação do admin)
+    const aprovacao = await authorizationRequestService.autoApprove(novaSolicitacao).catch(error => {
+        console.warn('⚠️ Erro ao avaliar regras de aprovação:', error.message);
+        return null;
+    });
+    
+    if (aprovacao) {
+        console.log('🤖 ===== SOLICITAÇÃO AUTOMÁTICA APROVADA POR REGRA =====\n');
+        return responder(201, {
             success: true,
-            message: 'Solicitação automática registrada com sucesso!',
+            message: 'Próxima aula liberada automaticamente!',
             solicitacaoId: novaSolicitacao.id,
-            solicitacao: novaSolicitacao,
+            aprovadaAutomaticamente: true,
+            regraAprovacao: { id: aprovacao.regra.id, nome: aprovacao.regra.nome, detalhe: aprovacao.detalhe },
+            autorizacaoId: aprovacao.autorizacao.id,
             proximaAula: {
                 id: proximaAula.id,
                 titulo: proximaAula.titulo,
                 moduloId: proximaAula.moduloId
-            },
-            aulaConcluida: {
-                id: aulaConcluida.id,
-                titulo: aulaConcluida.titulo
             }
         });
+    }
+    
+    try {
+        await prisma.notificacaoAmizade.create({
+            data: {
+                tipo: 'solicitacao_aula',
+                usuarioId: 1, // Admin
+                remetenteId: usuarioIdInt,
+                lida: false,
+                mensagem: `🎯 SOLICITAÇÃO AUTOMÁTICA: ${novaSolicitacao.usuario.nome} completou "${aulaConcluida.titulo}" e aguarda "${proximaAula.titulo}"`
+            }
+        });
+        console.log('🔔 Notificação criada para admin');
+    } catch (notifError) {
+        console.warn('⚠️ Erro ao criar notificação:', notifError.message);
+    }
+    
+    console.log('🤖 ===== SOLICITAÇÃO AUTOMÁTICA CONCLUÍDA =====\n');
+    
+    return responder(201, {
+        success: true,
+        message: 'Solicitação automática registrada com sucesso!',
+        solicitacaoId: novaSolicitacao.id,
+        solicitacao: novaSolicitacao,
+        proximaAula: {
+            id: proximaAula.id,
+            titulo: proximaAula.titulo,
+            moduloId: proximaAula.moduloId
+        },
+        aulaConcluida: {
+            id: aulaConcluida.id,
+            titulo: aulaConcluida.titulo
+        }
+    });
+}
+
+app.post('/api/solicitacoes/automatica', requireAuth, async (req, res) => {
+    console.log('🤖 ===== SOLICITAÇÃO AUTOMÁTICA INICIADA =====');
+    console.log('📦 Body recebido:', JSON.stringify(req.body, null, 2));
+    console.log('🕐 Timestamp:', new Date().toISOString());
+    
+    try {
+        const { cursoId, aulaConcluidaId } = req.body;
+        const usuarioId = resolveTargetUserId(req, req.body.usuarioId);
+        
+        // VALIDAÇÃO DETALHADA
+        if (!usuarioId || !cursoId || !aulaConcluidaId) {
+            console.log('❌ VALIDAÇÃO FALHOU - Dados faltando:', {
+                usuarioId: !!usuarioId,
+                cursoId: !!cursoId,
+                aulaConcluidaId: !!aulaConcluidaId
+            });
+            return res.status(400).json({
+                success: false,
+                error: 'Dados incompletos',
+                details: 'Forneça usuarioId, cursoId e aulaConcluidaId',
+                received: { usuarioId, cursoId, aulaConcluidaId }
+            });
+        }
+        
+        console.log(`📝 PROCESSANDO: Usuário=${usuarioId}, Curso=${cursoId}, AulaConcluida=${aulaConcluidaId}`);
+        
+        // CONVERTER IDs
+        const usuarioIdInt = parseInt(usuarioId);
+        const cursoIdInt = parseInt(cursoId);
+        const aulaConcluidaIdInt = parseInt(aulaConcluidaId);
+        
+        console.log(`🔢 IDs convertidos: Usuário=${usuarioIdInt}, Curso=${cursoIdInt}, Aula=${aulaConcluidaIdInt}`);
+        
+        const { status, corpo } = await gerarSolicitacaoAutomatica(usuarioIdInt, cursoIdInt, aulaConcluidaIdInt);
+        return res.status(status).json(corpo);
         
     } catch (error) {
         console.error('💥 ERRO CRÍTICO NA SOLICITAÇÃO AUTOMÁTICA:');
@@ -4264,7 +7300,7 @@ app.post('/api/solicitacoes/automatica', async (req, res) => {
 });
 
 // ✅ 9. LISTAR SOLICITAÇÕES PENDENTES (ADMIN)
-app.get('/api/solicitacoes/pendentes', async (req, res) => {
+app.get('/api/solicitacoes/pendentes', requirePermission('autorizacoes:gerenciar'), async (req, res) => {
     try {
         console.log('📋 Buscando solicitações pendentes...');
         
@@ -4343,11 +7379,10 @@ app.get('/api/solicitacoes/pendentes', async (req, res) => {
 });
 
 // ✅ ROTA PUT PARA APROVAR SOLICITAÇÃO - VERSÃO CORRIGIDA
-app.put('/api/solicitacoes/:id/aprovar', async (req, res) => {
+app.put('/api/solicitacoes/:id/aprovar', requirePermission('autorizacoes:gerenciar'), async (req, res) => {
     console.log(`\n🎯 ===== APROVAR SOLICITAÇÃO ${req.params.id} =====`);
     console.log('📦 Body recebido:', req.body);
     console.log('👤 Origin:', req.headers.origin);
-    console.log('🔑 Headers:', req.headers);
     
     try {
         // 1. VALIDAR ID
@@ -4437,89 +7472,33 @@ app.put('/api/solicitacoes/:id/aprovar', async (req, res) => {
             });
         }
         
-        // 6. BUSCAR ADMIN (ou usar primeiro usuário ativo)
-        console.log('🔍 Buscando administrador...');
-        
-        let admin = await prisma.usuario.findFirst({
-            where: { 
-                OR: [
-                    { curso: { has: 'admin' } },
-                    { nome: { contains: 'admin', mode: 'insensitive' } }
-                ],
-                status: 'ativo'
-            },
-            orderBy: { id: 'asc' }
-        });
-        
-        // Se não encontrar admin, usar primeiro usuário ativo
-        if (!admin) {
-            console.log('⚠️ Nenhum admin encontrado, buscando primeiro usuário ativo...');
-            
-            admin = await prisma.usuario.findFirst({
-                where: { status: 'ativo' },
-                orderBy: { id: 'asc' }
-            });
-            
-            if (!admin) {
-                console.log('❌ Nenhum usuário ativo encontrado!');
-                return res.status(500).json({
-                    success: false,
-                    error: 'Nenhum administrador disponível',
-                    details: 'Crie um usuário ativo antes de aprovar solicitações'
-                });
-            }
-            
-            console.log(`✅ Usando primeiro usuário ativo: ${admin.nome} (ID: ${admin.id})`);
-        } else {
-            console.log(`✅ Admin encontrado: ${admin.nome} (ID: ${admin.id})`);
-        }
+        // 6. ADMIN AUTENTICADO É QUEM APROVA
+        const admin = req.user;
+        console.log(`✅ Aprovado por: ${admin.nome} (ID: ${admin.id})`);
         
-        // 7. CRIAR AUTORIZAÇÃO
+        // 7. CRIAR AUTORIZAÇÃO E FECHAR SOLICITAÇÃO (mesmo caminho das regras automáticas)
         console.log('💾 Criando autorização...');
         
-        const autorizacao = await prisma.autorizacaoAula.create({
-            data: {
-                tipo: 'liberar_aula',
-                usuarioId: solicitacao.usuarioId,
-                cursoId: solicitacao.cursoId,
-                aulaId: solicitacao.aulaId,
-                moduloId: solicitacao.moduloId,
-                motivo: motivoFinal,
-                dataExpiracao: dataExpiracao ? new Date(dataExpiracao) : null,
-                adminId: admin.id,
-                ativo: true,
-                criadoEm: new Date(),
-                atualizadoEm: new Date()
-            },
-            include: {
-                usuario: { select: { nome: true } },
-                aula: { select: { titulo: true } },
-                admin: { select: { nome: true } }
-            }
-        });
-        
-        console.log(`✅ Autorização criada: ID ${autorizacao.id}`);
-        
-        // 8. ATUALIZAR SOLICITAÇÃO
-        console.log('✏️ Atualizando solicitação...');
+        const autorizacao = await prisma.$transaction(tx => authorizationRequestService.approve(tx, solicitacao, {
+            adminId: admin.id,
+            motivo: motivoFinal,
+            dataExpiracao: dataExpiracao ? new Date(dataExpiracao) : null
+        }));
         
-        await prisma.solicitacaoAutorizacao.update({
-            where: { id: solicitacaoId },
-            data: {
-                status: 'aprovado',
-                motivoRejeicao: null,
-                processadoEm: new Date(),
-                adminId: admin.id,
-                autorizacaoId: autorizacao.id,
-                atualizadoEm: new Date()
-            }
-        });
+        if (!autorizacao) {
+            console.log(`❌ Solicitação ${solicitacaoId} foi processada por outra requisição`);
+            return res.status(409).json({
+                success: false,
+                error: 'Solicitação já processada',
+                details: 'A solicitação deixou de estar pendente durante a aprovação'
+            });
+        }
         
-        console.log(`✅ Solicitação ${solicitacaoId} APROVADA com sucesso!`);
+        console.log(`✅ Solicitação ${solicitacaoId} APROVADA com sucesso! Autorização ID ${autorizacao.id}`);
         console.log(`📋 Resumo:`);
-        console.log(`   👤 Aluno: ${autorizacao.usuario.nome}`);
-        console.log(`   🎓 Aula: ${autorizacao.aula.titulo}`);
-        console.log(`   👑 Aprovado por: ${autorizacao.admin.nome}`);
+        console.log(`   👤 Aluno: ${solicitacao.usuario.nome}`);
+        console.log(`   🎓 Aula: ${solicitacao.aula?.titulo || 'N/A'}`);
+        console.log(`   👑 Aprovado por: ${admin.nome}`);
         console.log(`   📝 Motivo: "${motivoFinal.substring(0, 50)}..."`);
         
         res.json({
@@ -4528,9 +7507,9 @@ app.put('/api/solicitacoes/:id/aprovar', async (req, res) => {
             data: {
                 autorizacaoId: autorizacao.id,
                 solicitacaoId: solicitacao.id,
-                aluno: autorizacao.usuario.nome,
-                aula: autorizacao.aula.titulo,
-                admin: autorizacao.admin.nome,
+                aluno: solicitacao.usuario.nome,
+                aula: solicitacao.aula?.titulo || null,
+                admin: admin.nome,
                 motivo: motivoFinal,
                 dataAprovacao: new Date().toISOString()
             }
@@ -4592,16 +7571,17 @@ app.post('/api/solicitacoes/:id/aprovar', async (req, res) => {
 });
 
 // ✅ 11. REJEITAR SOLICITAÇÃO (ADMIN)
-app.put('/api/solicitacoes/:id/rejeitar', async (req, res) => {
+app.put('/api/solicitacoes/:id/rejeitar', requirePermission('autorizacoes:gerenciar'), async (req, res) => {
     try {
         const solicitacaoId = validateId(req.params.id);
-        const { adminId, motivoRejeicao } = req.body;
+        const { motivoRejeicao } = req.body;
+        const adminId = req.user.id;
         
-        if (!solicitacaoId || !adminId) {
+        if (!solicitacaoId) {
             return res.status(400).json({
                 success: false,
                 error: 'Dados incompletos',
-                details: 'Forneça solicitacaoId e adminId'
+                details: 'Forneça um solicitacaoId válido'
             });
         }
         
@@ -4626,15 +7606,21 @@ app.put('/api/solicitacoes/:id/rejeitar', async (req, res) => {
             });
         }
         
-        const solicitacaoAtualizada = await prisma.solicitacaoAutorizacao.update({
+        const rejeitada = await authorizationRequestService.reject(prisma, solicitacao, {
+            adminId: parseInt(adminId),
+            motivoRejeicao: motivoRejeicao
+        });
+        
+        if (!rejeitada) {
+            return res.status(409).json({
+                success: false,
+                error: 'Solicitação já processada',
+                details: 'A solicitação deixou de estar pendente durante a rejeição'
+            });
+        }
+        
+        const solicitacaoAtualizada = await prisma.solicitacaoAutorizacao.findUnique({
             where: { id: solicitacaoId },
-            data: {
-                status: 'rejeitado',
-                motivoRejeicao: motivoRejeicao || 'Solicitação rejeitada pelo administrador.',
-                processadoEm: new Date(),
-                adminId: parseInt(adminId),
-                atualizadoEm: new Date()
-            },
             include: {
                 usuario: {
                     select: { nome: true, ra: true }
@@ -4662,8 +7648,162 @@ app.put('/api/solicitacoes/:id/rejeitar', async (req, res) => {
     }
 });
 
+// ✅ 11.1 APROVAR/REJEITAR EM LOTE (ADMIN)
+// Body: { acao: 'aprovar' | 'rejeitar', ids?: [...], filtro?: { cursoId, moduloId, serie },
+//         motivo?, motivoRejeicao?, dataExpiracao? } — tudo em uma transação.
+// Por filtro processa as LIMITE_LOTE_SOLICITACOES mais antigas; resumo.restantes diz quantas
+// pendentes ainda casam com o filtro (repetir a chamada processa as próximas)
+const LIMITE_LOTE_SOLICITACOES = 500;
+
+app.post('/api/solicitacoes/lote', requirePermission('autorizacoes:gerenciar'), async (req, res) => {
+    try {
+        const { acao, ids, filtro, motivo, motivoRejeicao, dataExpiracao } = req.body;
+
+        if (!['aprovar', 'rejeitar'].includes(acao)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Ação inválida',
+                details: 'Use acao "aprovar" ou "rejeitar"'
+            });
+        }
+
+        const where = { status: 'pendente' };
+
+        if (ids !== undefined) {
+            if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => !validateId(id))) {
+                return res.status(400).json({ success: false, error: 'Dados inválidos', details: 'ids deve ser uma lista de IDs válidos' });
+            }
+            if (ids.length > LIMITE_LOTE_SOLICITACOES) {
+                return res.status(400).json({ success: false, error: 'Lote muito grande', details: `Máximo de ${LIMITE_LOTE_SOLICITACOES} solicitações por lote` });
+            }
+            // Busca sem filtrar status para reportar as que já foram processadas
+            delete where.status;
+            where.id = { in: ids.map(id => validateId(id)) };
+        }
+
+        if (filtro !== undefined) {
+            if (!filtro || typeof filtro !== 'object') {
+                return res.status(400).json({ success: false, error: 'Filtro inválido' });
+            }
+            if (filtro.cursoId !== undefined) {
+                if (!validateId(filtro.cursoId)) return res.status(400).json({ success: false, error: 'cursoId inválido' });
+                where.cursoId = validateId(filtro.cursoId);
+            }
+            if (filtro.moduloId !== undefined) {
+                if (!validateId(filtro.moduloId)) return res.status(400).json({ success: false, error: 'moduloId inválido' });
+                where.moduloId = validateId(filtro.moduloId);
+            }
+            if (filtro.serie !== undefined) {
+                where.usuario = { serie: String(filtro.serie) };
+            }
+        }
+
+        // Sem IDs e sem filtro aprovaria tudo que está pendente: exige um critério explícito
+        if (ids === undefined && Object.keys(where).length === 1) {
+            return res.status(400).json({
+                success: false,
+                error: 'Critério obrigatório',
+                details: 'Informe ids ou um filtro (cursoId, moduloId ou serie)'
+            });
+        }
+
+        let expiracao = null;
+        if (acao === 'aprovar' && dataExpiracao) {
+            try {
+                expiracao = validarDataExpiracao(dataExpiracao);
+            } catch (erro) {
+                return res.status(400).json({ success: false, error: 'Data inválida', details: erro.message });
+            }
+        }
+
+        const [solicitacoes, encontradas] = await Promise.all([
+            prisma.solicitacaoAutorizacao.findMany({
+                where,
+                include: { aula: { select: { id: true, ativo: true } } },
+                orderBy: { criadoEm: 'asc' },
+                take: LIMITE_LOTE_SOLICITACOES
+            }),
+            ids === undefined ? prisma.solicitacaoAutorizacao.count({ where }) : null
+        ]);
+        const restantes = encontradas === null ? 0 : Math.max(encontradas - solicitacoes.length, 0);
+
+        const adminId = req.user.id;
+        const motivoAprovacao = motivo && motivo.trim() !== '' ? motivo.trim() : 'Aprovação em lote';
+
+        console.log(`📦 Lote de solicitações: ${acao} ${solicitacoes.length} item(ns) por ${req.user.nome}`);
+
+        // Falha de banco desfaz o lote inteiro; itens inválidos só são marcados como ignorados
+        const resultados = await prisma.$transaction(async (tx) => {
+            const itens = [];
+
+            for (const solicitacao of solicitacoes) {
+                if (solicitacao.status !== 'pendente') {
+                    itens.push({ id: solicitacao.id, resultado: 'ignorada', motivo: `Já processada (${solicitacao.status})` });
+                    continue;
+                }
+
+                if (acao === 'aprovar') {
+                    if (solicitacao.aula && !solicitacao.aula.ativo) {
+                        itens.push({ id: solicitacao.id, resultado: 'ignorada', motivo: 'Aula inativa' });
+                        continue;
+                    }
+
+                    const autorizacao = await authorizationRequestService.approve(tx, solicitacao, {
+                        adminId,
+                        motivo: motivoAprovacao,
+                        dataExpiracao: expiracao
+                    });
+
+                    itens.push(autorizacao
+                        ? { id: solicitacao.id, resultado: 'aprovada', autorizacaoId: autorizacao.id }
+                        : { id: solicitacao.id, resultado: 'ignorada', motivo: 'Processada por outra requisição' });
+                } else {
+                    const rejeitada = await authorizationRequestService.reject(tx, solicitacao, { adminId, motivoRejeicao });
+
+                    itens.push(rejeitada
+                        ? { id: solicitacao.id, resultado: 'rejeitada' }
+                        : { id: solicitacao.id, resultado: 'ignorada', motivo: 'Processada por outra requisição' });
+                }
+            }
+
+            return itens;
+        });
+
+        if (ids !== undefined) {
+            const encontrados = new Set(solicitacoes.map(s => s.id));
+            for (const id of ids.map(id => validateId(id))) {
+                if (!encontrados.has(id)) resultados.push({ id, resultado: 'ignorada', motivo: 'Solicitação não encontrada' });
+            }
+        }
+
+        const resumo = {
+            total: resultados.length,
+            aprovadas: resultados.filter(r => r.resultado === 'aprovada').length,
+            rejeitadas: resultados.filter(r => r.resultado === 'rejeitada').length,
+            ignoradas: resultados.filter(r => r.resultado === 'ignorada').length,
+            encontradas: encontradas ?? solicitacoes.length,
+            restantes: restantes,
+            truncado: restantes > 0
+        };
+
+        console.log(`✅ Lote concluído: ${JSON.stringify(resumo)}`);
+
+        res.json({
+            success: true,
+            message: (acao === 'aprovar'
+                ? `${resumo.aprovadas} solicitação(ões) aprovada(s)`
+                : `${resumo.rejeitadas} solicitação(ões) rejeitada(s)`) +
+                (restantes > 0 ? `; ${restantes} pendente(s) além do limite de ${LIMITE_LOTE_SOLICITACOES}, repita para processá-las` : ''),
+            resumo: resumo,
+            resultados: resultados
+        });
+    } catch (error) {
+        handleError(res, error, 'Erro ao processar lote de solicitações');
+    }
+});
+
 // ✅ 12. HISTÓRICO DE SOLICITAÇÕES POR USUÁRIO
-app.get('/api/solicitacoes/usuario/:usuarioId', async (req, res) => {
+app.get('/api/solicitacoes/usuario/:usuarioId', requireSelfOrPermission('usuarioId'), async (req, res) => {
     try {
         const usuarioId = validateId(req.params.usuarioId);
         const { status, cursoId, limit = 20 } = req.query;
@@ -4733,7 +7873,7 @@ app.get('/api/solicitacoes/usuario/:usuarioId', async (req, res) => {
 });
 
 // ✅ 13. EXCLUIR SOLICITAÇÃO
-app.delete('/api/solicitacoes/:id', async (req, res) => {
+app.delete('/api/solicitacoes/:id', requirePermission('autorizacoes:gerenciar'), async (req, res) => {
     try {
         const solicitacaoId = validateId(req.params.id);
         
@@ -4780,7 +7920,7 @@ app.delete('/api/solicitacoes/:id', async (req, res) => {
 // ========== ENDPOINTS AUXILIARES ========== //
 
 // ✅ 14. BUSCAR AULAS PARA DROPDOWN (INTERFACE)
-app.get('/api/cursos/:cursoId/aulas', async (req, res) => {
+app.get('/api/cursos/:cursoId/aulas', requireAuth, async (req, res) => {
     try {
         const cursoId = validateId(req.params.cursoId);
         
@@ -4791,64 +7931,240 @@ app.get('/api/cursos/:cursoId/aulas', async (req, res) => {
             });
         }
         
-        const aulas = await prisma.aula.findMany({
-            where: {
-                modulo: {
-                    cursoId: cursoId
+        // Equipe sem usuarioId recebe a lista sem decisão de acesso; alunos sempre recebem a própria
+        const usuarioId = req.headers['usuarioid'] || req.query.usuarioId;
+        const usuarioIdValidado = permissionService.can(req.user, 'cursos:ver_todos') && !usuarioId ? null : resolveTargetUserId(req, usuarioId);
+        
+        // ?preview=true lista o rascunho para quem edita cursos; os demais veem a versão publicada
+        const preview = req.query.preview === 'true' && permissionService.can(req.user, 'cursos:editar');
+        
+        let aulas;
+        if (preview) {
+            aulas = (await prisma.aula.findMany({
+                where: {
+                    modulo: {
+                        cursoId: cursoId
+                    },
+                    ativo: true
                 },
-                ativo: true
-            },
-            include: {
-                modulo: {
-                    select: {
-                        id: true,
-                        titulo: true,
-                        ordem: true
+                include: {
+                    modulo: {
+                        select: {
+                            id: true,
+                            titulo: true,
+                            ordem: true
+                        }
                     }
-                }
-            },
-            orderBy: [
-                { modulo: { ordem: 'asc' } },
-                { ordem: 'asc' }
-            ]
+                },
+                orderBy: [
+                    { modulo: { ordem: 'asc' } },
+                    { ordem: 'asc' }
+                ]
+            })).map(formatarAulaResposta);
+        } else {
+            const cursoRegistro = await prisma.curso.findFirst({
+                where: { id: cursoId, ativo: true },
+                include: { versaoPublicada: true }
+            });
+            const curso = cursoRegistro && courseVersionService.toPublishedCourse(cursoRegistro);
+            
+            aulas = (curso?.modulos || []).flatMap(({ aulas: aulasModulo, ...modulo }) => aulasModulo.map(aula => ({
+                ...aula,
+                modulo: { id: modulo.id, titulo: modulo.titulo, ordem: modulo.ordem }
+            })));
+        }
+        
+        if (usuarioIdValidado) {
+            const usuario = await prisma.usuario.findUnique({
+                where: { id: usuarioIdValidado },
+                select: { id: true, role: true }
+            });
+            
+            if (!usuario) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Usuário não encontrado'
+                });
+            }
+            
+            const { contexto, decisoes } = await lessonAccessPolicy.evaluateCourse(usuario, cursoId);
+            
+            if (!contexto.acessoTotal && !contexto.matriculado) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Acesso negado',
+                    details: 'Sem matrícula vigente no curso',
+                    codigo: 'SEM_MATRICULA'
+                });
+            }
+            
+            aulas = aulas.map(aula => {
+                const decisao = decisoes.get(aula.id) || lessonAccessPolicy.decide(contexto, aula.id);
+                return {
+                    ...ocultarConteudoBloqueado(aula, decisao, req.user),
+                    concluida: contexto.concluidas.has(aula.id),
+                    acesso: lessonAccessPolicy.summarize(decisao)
+                };
+            });
+        }
+        
+        res.json({
+            success: true,
+            aulas: aulas,
+            total: aulas.length,
+            modulos: [...new Set(aulas.map(a => a.modulo.id))].length,
+            liberadas: usuarioIdValidado ? aulas.filter(a => a.acesso.autorizada).length : undefined
+        });
+        
+    } catch (error) {
+        console.error('❌ Erro ao buscar aulas:', error);
+        handleError(res, error, 'Erro ao buscar aulas');
+    }
+});
+
+// ✅ 15. STATUS DO SISTEMA DE AUTORIZAÇÃO
+app.get('/api/sistema/autorizacao/status', requireAuth, async (req, res) => {
+    try {
+        const sistema = await lessonAccessPolicy.loadSystem();
+
+        const atualizadoPor = sistema.atualizadoPor
+            ? await prisma.usuario.findUnique({
+                where: { id: sistema.atualizadoPor },
+                select: { id: true, nome: true }
+            })
+            : null;
+
+        const config = {
+            sistemaAtivo: sistema.modo !== 'livre',
+            modo: sistema.modo,
+            bloqueioTotal: sistema.modo === 'total',
+            mensagem: sistema.mensagem || MENSAGENS_MODO_SISTEMA[sistema.modo],
+            versao: "1.0.0",
+            dataAtualizacao: sistema.atualizadoEm,
+            atualizadoPor: atualizadoPor
+        };
+        
+        res.json({
+            success: true,
+            sistema: config
+        });
+    } catch (error) {
+        handleError(res, error, 'Erro ao buscar status do sistema');
+    }
+});
+
+// ✅ 15.1 ALTERAR MODO GLOBAL DE AUTORIZAÇÃO (ADMIN)
+app.put('/api/sistema/autorizacao', requirePermission('sistema:configurar'), async (req, res) => {
+    try {
+        const { modo, mensagem } = req.body;
+
+        if (modo !== undefined && !MODOS_SISTEMA_AUTORIZACAO.includes(modo)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Modo inválido',
+                details: `Use um destes valores: ${MODOS_SISTEMA_AUTORIZACAO.join(', ')}`
+            });
+        }
+
+        if (mensagem !== undefined && mensagem !== null && typeof mensagem !== 'string') {
+            return res.status(400).json({ success: false, error: 'Mensagem inválida' });
+        }
+
+        const atual = await lessonAccessPolicy.loadSystem();
+        const novo = {
+            modo: modo !== undefined ? modo : atual.modo,
+            mensagem: mensagem !== undefined ? (mensagem ? mensagem.trim() : null) : atual.mensagem
+        };
+
+        const alteracoes = {};
+        for (const campo of ['modo', 'mensagem']) {
+            if (novo[campo] !== atual[campo]) {
+                alteracoes[campo] = { de: atual[campo], para: novo[campo] };
+            }
+        }
+
+        if (Object.keys(alteracoes).length === 0) {
+            return res.json({ success: true, message: 'Nenhuma alteração', sistema: atual });
+        }
+
+        const dados = {
+            ...novo,
+            bloqueioTotal: novo.modo === 'total',
+            atualizadoPor: req.user.id
+        };
+
+        const sistema = await prisma.$transaction(async (tx) => {
+            const registro = atual.id
+                ? await tx.sistemaAutorizacao.update({ where: { id: atual.id }, data: dados })
+                : await tx.sistemaAutorizacao.create({ data: dados });
+
+            await tx.logSistemaAutorizacao.create({
+                data: {
+                    adminId: req.user.id,
+                    modoAnterior: atual.modo,
+                    modoNovo: registro.modo,
+                    alteracoes: alteracoes,
+                    ip: req.ip
+                }
+            });
+
+            return registro;
         });
-        
+
+        console.log(`🛡️ Modo global de autorização: ${atual.modo} → ${sistema.modo} (por ${req.user.nome})`);
+
         res.json({
             success: true,
-            aulas: aulas,
-            total: aulas.length,
-            modulos: [...new Set(aulas.map(a => a.modulo.id))].length
+            message: 'Configuração do sistema de autorização atualizada!',
+            sistema: sistema,
+            alteracoes: alteracoes
         });
-        
     } catch (error) {
-        console.error('❌ Erro ao buscar aulas:', error);
-        handleError(res, error, 'Erro ao buscar aulas');
+        handleError(res, error, 'Erro ao atualizar sistema de autorização');
     }
 });
 
-// ✅ 15. STATUS DO SISTEMA DE AUTORIZAÇÃO
-app.get('/api/sistema/autorizacao/status', async (req, res) => {
+// ✅ 15.2 HISTÓRICO DE ALTERAÇÕES DO MODO GLOBAL (ADMIN)
+app.get('/api/sistema/autorizacao/historico', requirePermission('sistema:configurar'), async (req, res) => {
     try {
-        // Configuração do sistema
-        const config = {
-            sistemaAtivo: true,
-            modo: "bloqueio_progressivo",
-            mensagem: "Sistema de autorização ativo - Todas as aulas requerem autorização",
-            versao: "1.0.0",
-            dataAtualizacao: new Date().toISOString()
-        };
-        
+        const limite = Math.min(parseInt(req.query.limite) || 50, 200);
+
+        const logs = await prisma.logSistemaAutorizacao.findMany({
+            include: { admin: { select: { id: true, nome: true, ra: true } } },
+            orderBy: { criadoEm: 'desc' },
+            take: limite
+        });
+
+        res.json({ success: true, total: logs.length, logs: logs });
+    } catch (error) {
+        handleError(res, error, 'Erro ao buscar histórico do sistema de autorização');
+    }
+});
+
+// ✅ 15.3 STATUS DA ROTINA DE EXPIRAÇÃO DE AUTORIZAÇÕES
+app.get('/api/sistema/autorizacao/expiracao', requirePermission('autorizacoes:gerenciar'), async (req, res) => {
+    res.json({ success: true, expiracao: authorizationExpiryService.status() });
+});
+
+// ✅ 15.4 EXECUTAR EXPIRAÇÃO AGORA (sem esperar o agendamento)
+app.post('/api/sistema/autorizacao/expiracao/executar', requirePermission('autorizacoes:gerenciar'), async (req, res) => {
+    try {
+        console.log(`⏲️ Expiração de autorizações disparada manualmente por ${req.user.nome}`);
+
+        const resultado = await authorizationExpiryService.run({ origem: 'manual', executadoPorId: req.user.id });
+
         res.json({
-            success: true,
-            sistema: config
+            success: !resultado.erro,
+            message: `${resultado.expiradas} autorização(ões) expirada(s)`,
+            resultado: resultado
         });
     } catch (error) {
-        handleError(res, error, 'Erro ao buscar status do sistema');
+        handleError(res, error, 'Erro ao executar expiração de autorizações');
     }
 });
 
 // ✅ 16. ESTATÍSTICAS DO SISTEMA DE AUTORIZAÇÃO
-app.get('/api/sistema/autorizacao/estatisticas', async (req, res) => {
+app.get('/api/sistema/autorizacao/estatisticas', requirePermission('autorizacoes:gerenciar'), async (req, res) => {
     try {
         const [
             totalAutorizacoes,
@@ -4858,7 +8174,12 @@ app.get('/api/sistema/autorizacao/estatisticas', async (req, res) => {
             usuariosComAutorizacoes
         ] = await Promise.all([
             prisma.autorizacaoAula.count(),
-            prisma.autorizacaoAula.count({ where: { ativo: true } }),
+            prisma.autorizacaoAula.count({
+                where: {
+                    ativo: true,
+                    OR: [{ dataExpiracao: null }, { dataExpiracao: { gt: new Date() } }]
+                }
+            }),
             prisma.solicitacaoAutorizacao.count(),
             prisma.solicitacaoAutorizacao.count({ where: { status: 'pendente' } }),
             prisma.autorizacaoAula.groupBy({
@@ -4894,6 +8215,7 @@ app.get('/api/sistema/autorizacao/estatisticas', async (req, res) => {
                     : 0
             },
             ultimasSolicitacoes,
+            expiracao: authorizationExpiryService.status(),
             timestamp: new Date().toISOString()
         });
         
@@ -4906,9 +8228,170 @@ app.get('/api/sistema/autorizacao/estatisticas', async (req, res) => {
     }
 });
 
+// ========== REGRAS DE APROVAÇÃO AUTOMÁTICA ========== //
+// Cada curso pode ter regras que aprovam solicitações pendentes sem ação do admin.
+// Avaliação na criação da solicitação e periodicamente (authorizationRequestService).
+
+function validarDadosRegraAprovacao(body, atual = null) {
+  const nome = body.nome !== undefined ? body.nome : atual?.nome;
+  const tipo = body.tipo !== undefined ? body.tipo : atual?.tipo;
+  const parametros = body.parametros !== undefined ? body.parametros : atual?.parametros;
+
+  if (!nome || typeof nome !== 'string' || nome.trim() === '') {
+    return { erro: 'A regra precisa de um nome' };
+  }
+
+  const erroRegra = authorizationRequestService.validateRule(tipo, parametros);
+  if (erroRegra) return { erro: erroRegra };
+
+  if (body.prioridade !== undefined && !Number.isInteger(body.prioridade)) {
+    return { erro: 'prioridade deve ser um número inteiro' };
+  }
+
+  if (body.ativo !== undefined && typeof body.ativo !== 'boolean') {
+    return { erro: 'ativo deve ser true ou false' };
+  }
+
+  const dados = { nome: nome.trim(), tipo, parametros };
+  if (body.prioridade !== undefined) dados.prioridade = body.prioridade;
+  if (body.ativo !== undefined) dados.ativo = body.ativo;
+
+  return { dados };
+}
+
+// ✅ LISTAR REGRAS DO CURSO
+app.get('/api/cursos/:cursoId/regras-aprovacao', requirePermission('autorizacoes:gerenciar'), async (req, res) => {
+  try {
+    const cursoId = validateId(req.params.cursoId);
+    if (!cursoId) {
+      return res.status(400).json({ success: false, error: 'ID do curso inválido' });
+    }
+
+    const regras = await prisma.regraAprovacao.findMany({
+      where: { cursoId },
+      include: {
+        criadoPor: { select: { id: true, nome: true } },
+        _count: { select: { solicitacoes: true } }
+      },
+      orderBy: [{ ativo: 'desc' }, { prioridade: 'asc' }, { id: 'asc' }]
+    });
+
+    res.json({
+      success: true,
+      tipos: authorizationRequestService.tiposRegra,
+      total: regras.length,
+      regras: regras.map(({ _count, ...regra }) => ({ ...regra, totalAprovadas: _count.solicitacoes }))
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao listar regras de aprovação');
+  }
+});
+
+// ✅ CRIAR REGRA
+app.post('/api/cursos/:cursoId/regras-aprovacao', requirePermission('autorizacoes:gerenciar'), async (req, res) => {
+  try {
+    const cursoId = validateId(req.params.cursoId);
+    if (!cursoId) {
+      return res.status(400).json({ success: false, error: 'ID do curso inválido' });
+    }
+
+    const curso = await prisma.curso.findUnique({ where: { id: cursoId }, select: { id: true, titulo: true } });
+    if (!curso) {
+      return res.status(404).json({ success: false, error: 'Curso não encontrado' });
+    }
+
+    const { erro, dados } = validarDadosRegraAprovacao(req.body);
+    if (erro) {
+      return res.status(400).json({ success: false, error: 'Dados inválidos', details: erro });
+    }
+
+    const regra = await prisma.regraAprovacao.create({
+      data: { ...dados, cursoId, criadoPorId: req.user.id }
+    });
+
+    console.log(`🤖 Regra de aprovação "${regra.nome}" (${regra.tipo}) criada no curso ${curso.titulo} por ${req.user.nome}`);
+
+    res.status(201).json({ success: true, message: 'Regra de aprovação criada!', regra: regra });
+  } catch (error) {
+    handleError(res, error, 'Erro ao criar regra de aprovação');
+  }
+});
+
+// ✅ REAVALIAR PENDENTES DO CURSO AGORA
+app.post('/api/cursos/:cursoId/regras-aprovacao/aplicar', requirePermission('autorizacoes:gerenciar'), async (req, res) => {
+  try {
+    const cursoId = validateId(req.params.cursoId);
+    if (!cursoId) {
+      return res.status(400).json({ success: false, error: 'ID do curso inválido' });
+    }
+
+    const resultado = await authorizationRequestService.processPending({ origem: 'manual', cursoId });
+
+    res.json({
+      success: !resultado.erro,
+      message: `${resultado.aprovadas} de ${resultado.avaliadas} solicitação(ões) aprovada(s) por regra`,
+      resultado: resultado
+    });
+  } catch (error) {
+    handleError(res, error, 'Erro ao aplicar regras de aprovação');
+  }
+});
+
+// ✅ EDITAR REGRA
+app.put('/api/regras-aprovacao/:id', requirePermission('autorizacoes:gerenciar'), async (req, res) => {
+  try {
+    const regraId = validateId(req.params.id);
+    if (!regraId) {
+      return res.status(400).json({ success: false, error: 'ID da regra inválido' });
+    }
+
+    const atual = await prisma.regraAprovacao.findUnique({ where: { id: regraId } });
+    if (!atual) {
+      return res.status(404).json({ success: false, error: 'Regra não encontrada' });
+    }
+
+    const { erro, dados } = validarDadosRegraAprovacao(req.body, atual);
+    if (erro) {
+      return res.status(400).json({ success: false, error: 'Dados inválidos', details: erro });
+    }
+
+    const regra = await prisma.regraAprovacao.update({
+      where: { id: regraId },
+      data: dados
+    });
+
+    console.log(`✏️ Regra de aprovação ${regraId} atualizada por ${req.user.nome}`);
+
+    res.json({ success: true, message: 'Regra de aprovação atualizada!', regra: regra });
+  } catch (error) {
+    handleError(res, error, 'Erro ao atualizar regra de aprovação');
+  }
+});
+
+// ✅ DESATIVAR REGRA (mantida para o histórico das solicitações que aprovou)
+app.delete('/api/regras-aprovacao/:id', requirePermission('autorizacoes:gerenciar'), async (req, res) => {
+  try {
+    const regraId = validateId(req.params.id);
+    if (!regraId) {
+      return res.status(400).json({ success: false, error: 'ID da regra inválido' });
+    }
+
+    const regra = await prisma.regraAprovacao.update({
+      where: { id: regraId },
+      data: { ativo: false }
+    });
+
+    console.log(`🗑️ Regra de aprovação ${regraId} desativada por ${req.user.nome}`);
+
+    res.json({ success: true, message: 'Regra de aprovação desativada!', regra: regra });
+  } catch (error) {
+    handleError(res, error, 'Erro ao desativar regra de aprovação');
+  }
+});
+
 // ========== SISTEMA DE VÍDEOS ========== //
 
-app.get('/api/videos', async (req, res) => {
+app.get('/api/videos', requireAuth, async (req, res) => {
     console.log('🎬 GET /api/videos - INÍCIO');
     
     try {
@@ -4944,7 +8427,7 @@ app.get('/api/videos', async (req, res) => {
 });
 
 // ✅ POST CRIAR VÍDEO (com criptografia)
-app.post('/api/videos', async (req, res) => {
+app.post('/api/videos', requirePermission('videos:editar'), async (req, res) => {
   try {
     const { titulo, materia, categoria, url, descricao, duracao } = req.body;
 
@@ -4989,7 +8472,7 @@ app.post('/api/videos', async (req, res) => {
 });
 
 // ✅ PUT ATUALIZAR VÍDEO
-app.put('/api/videos/:id', async (req, res) => {
+app.put('/api/videos/:id', requirePermission('videos:editar'), async (req, res) => {
   try {
     const videoId = validateId(req.params.id);
     if (!videoId) return res.status(400).json({ error: 'ID do vídeo inválido' });
@@ -5023,7 +8506,7 @@ app.put('/api/videos/:id', async (req, res) => {
 });
 
 // ✅ DELETE VÍDEO
-app.delete('/api/videos/:id', async (req, res) => {
+app.delete('/api/videos/:id', requirePermission('videos:editar'), async (req, res) => {
   try {
     const videoId = validateId(req.params.id);
     if (!videoId) return res.status(400).json({ error: 'ID do vídeo inválido' });
@@ -5046,11 +8529,21 @@ app.delete('/api/videos/:id', async (req, res) => {
 // ========== SISTEMA DE DESAFIOS ========== //
 
 // ✅ GET TODOS OS DESAFIOS (ADMIN)
-app.get('/api/desafios', async (req, res) => {
+app.get('/api/desafios', requirePermission('desafios:editar'), async (req, res) => {
   try {
     console.log('🎯 Buscando todos os desafios...');
+
+    const where = {};
+    if (req.query.cursoId) {
+      const cursoId = validateId(req.query.cursoId);
+      if (!cursoId) {
+        return res.status(400).json({ error: 'ID do curso inválido' });
+      }
+      where.cursoId = cursoId;
+    }
     
     const desafios = await prisma.desafio.findMany({
+      where,
       include: {
         perguntas: {
           where: { ativo: true },
@@ -5069,7 +8562,7 @@ app.get('/api/desafios', async (req, res) => {
 });
 
 // ✅ GET DESAFIO POR ID (ADMIN)
-app.get('/api/desafios/:id', async (req, res) => {
+app.get('/api/desafios/:id', requirePermission('desafios:editar'), async (req, res) => {
   try {
     const desafioId = validateId(req.params.id);
     if (!desafioId) {
@@ -5098,8 +8591,97 @@ app.get('/api/desafios/:id', async (req, res) => {
   }
 });
 
+// Regras do cadastro de desafio (também usadas na importação de cursos).
+// Retorna o corpo do erro 400 ou null.
+function validarDadosDesafio(dados) {
+  const { perguntas } = dados;
+
+  const requiredFields = ['titulo', 'pontuacao', 'materia', 'nivel', 'duracao'];
+  const missingFields = requiredFields.filter(field => !dados[field]);
+
+  if (missingFields.length > 0) {
+    return { 
+      error: 'Dados incompletos',
+      missingFields: missingFields,
+      message: 'Campos obrigatórios faltando'
+    };
+  }
+
+  if (!perguntas || !Array.isArray(perguntas) || perguntas.length < 3) {
+    return {
+      error: 'Dados inválidos',
+      details: 'O desafio deve ter pelo menos 3 perguntas'
+    };
+  }
+
+  for (let i = 0; i < perguntas.length; i++) {
+    const pergunta = perguntas[i];
+    
+    if (!pergunta.pergunta || pergunta.pergunta.trim() === '') {
+      return {
+        error: 'Dados inválidos',
+        details: `Pergunta ${i + 1} não tem texto`
+      };
+    }
+
+    if (!pergunta.alternativas || !Array.isArray(pergunta.alternativas) || pergunta.alternativas.length < 4) {
+      return {
+        error: 'Dados inválidos',
+        details: `Pergunta ${i + 1} deve ter 4 alternativas`
+      };
+    }
+
+    for (let j = 0; j < pergunta.alternativas.length; j++) {
+      if (!pergunta.alternativas[j] || pergunta.alternativas[j].trim() === '') {
+        return {
+          error: 'Dados inválidos',
+          details: `Pergunta ${i + 1}, alternativa ${j + 1} está vazia`
+        };
+      }
+    }
+
+    if (pergunta.correta === undefined || pergunta.correta < 0 || pergunta.correta > 3) {
+      return {
+        error: 'Dados inválidos',
+        details: `Pergunta ${i + 1} não tem alternativa correta definida`
+      };
+    }
+  }
+
+  return null;
+}
+
+// Perguntas no formato do banco (alternativas A-D)
+function dadosPerguntasDesafio(perguntas, desafioId) {
+  return perguntas.map((perguntaData, i) => ({
+    pergunta: perguntaData.pergunta.trim(),
+    alternativaA: perguntaData.alternativas[0].trim(),
+    alternativaB: perguntaData.alternativas[1].trim(),
+    alternativaC: perguntaData.alternativas[2].trim(),
+    alternativaD: perguntaData.alternativas[3].trim(),
+    correta: parseInt(perguntaData.correta),
+    explicacao: perguntaData.explicacao ? perguntaData.explicacao.trim() : null,
+    ordem: perguntaData.ordem || i + 1,
+    desafioId: desafioId,
+    ativo: true
+  }));
+}
+
+// cursoId opcional do desafio: null desvincula; retorna { cursoId } ou { erro }
+async function resolverCursoDesafio(cursoId) {
+  if (cursoId === null || cursoId === '') return { cursoId: null };
+
+  const id = validateId(cursoId);
+  if (!id) return { erro: 'ID do curso inválido' };
+
+  const curso = await prisma.curso.findUnique({ where: { id }, select: { id: true } });
+  if (!curso) return { erro: 'Curso não encontrado' };
+
+  return { cursoId: id };
+}
+
 // ✅ POST CRIAR DESAFIO (ADMIN)
-app.post('/api/desafios', async (req, res) => {
+app.post('/api/desafios', requirePermission('desafios:editar'), async (req, res) => {
   try {
     console.log('🎯 Recebendo requisição para criar desafio...');
     
@@ -5117,56 +8699,18 @@ app.post('/api/desafios', async (req, res) => {
       perguntas 
     } = req.body;
 
-    const requiredFields = ['titulo', 'pontuacao', 'materia', 'nivel', 'duracao'];
-    const missingFields = requiredFields.filter(field => !req.body[field]);
-
-    if (missingFields.length > 0) {
-      return res.status(400).json({ 
-        error: 'Dados incompletos',
-        missingFields: missingFields,
-        message: 'Campos obrigatórios faltando'
-      });
-    }
-
-    if (!perguntas || !Array.isArray(perguntas) || perguntas.length < 3) {
-      return res.status(400).json({
-        error: 'Dados inválidos',
-        details: 'O desafio deve ter pelo menos 3 perguntas'
-      });
+    const erroValidacao = validarDadosDesafio(req.body);
+    if (erroValidacao) {
+      return res.status(400).json(erroValidacao);
     }
 
-    for (let i = 0; i < perguntas.length; i++) {
-      const pergunta = perguntas[i];
-      
-      if (!pergunta.pergunta || pergunta.pergunta.trim() === '') {
-        return res.status(400).json({
-          error: 'Dados inválidos',
-          details: `Pergunta ${i + 1} não tem texto`
-        });
-      }
-
-      if (!pergunta.alternativas || !Array.isArray(pergunta.alternativas) || pergunta.alternativas.length < 4) {
-        return res.status(400).json({
-          error: 'Dados inválidos',
-          details: `Pergunta ${i + 1} deve ter 4 alternativas`
-        });
-      }
-
-      for (let j = 0; j < pergunta.alternativas.length; j++) {
-        if (!pergunta.alternativas[j] || pergunta.alternativas[j].trim() === '') {
-          return res.status(400).json({
-            error: 'Dados inválidos',
-            details: `Pergunta ${i + 1}, alternativa ${j + 1} está vazia`
-          });
-        }
-      }
-
-      if (pergunta.correta === undefined || pergunta.correta < 0 || pergunta.correta > 3) {
-        return res.status(400).json({
-          error: 'Dados inválidos',
-          details: `Pergunta ${i + 1} não tem alternativa correta definida`
-        });
+    let cursoId = null;
+    if (req.body.cursoId !== undefined) {
+      const resultado = await resolverCursoDesafio(req.body.cursoId);
+      if (resultado.erro) {
+        return res.status(400).json({ error: 'Dados inválidos', details: resultado.erro });
       }
+      cursoId = resultado.cursoId;
     }
 
     console.log('📝 Dados válidados, criando desafio...');
@@ -5184,6 +8728,7 @@ app.post('/api/desafios', async (req, res) => {
           maxTentativas: maxTentativas ? parseInt(maxTentativas) : 1,
           dataInicio: dataInicio ? new Date(dataInicio) : null,
           dataFim: dataFim ? new Date(dataFim) : null,
+          cursoId: cursoId,
           criadoEm: new Date(),
           atualizadoEm: new Date()
         }
@@ -5191,24 +8736,9 @@ app.post('/api/desafios', async (req, res) => {
 
       console.log(`✅ Desafio criado com ID: ${desafio.id}`);
 
-      for (let i = 0; i < perguntas.length; i++) {
-        const perguntaData = perguntas[i];
-        
-        await tx.perguntaDesafio.create({
-          data: {
-            pergunta: perguntaData.pergunta.trim(),
-            alternativaA: perguntaData.alternativas[0].trim(),
-            alternativaB: perguntaData.alternativas[1].trim(),
-            alternativaC: perguntaData.alternativas[2].trim(),
-            alternativaD: perguntaData.alternativas[3].trim(),
-            correta: parseInt(perguntaData.correta),
-            explicacao: perguntaData.explicacao ? perguntaData.explicacao.trim() : null,
-            ordem: perguntaData.ordem || i + 1,
-            desafioId: desafio.id,
-            ativo: true
-          }
-        });
-      }
+      await tx.perguntaDesafio.createMany({
+        data: dadosPerguntasDesafio(perguntas, desafio.id)
+      });
 
       console.log(`✅ ${perguntas.length} perguntas criadas`);
 
@@ -5237,7 +8767,7 @@ app.post('/api/desafios', async (req, res) => {
 });
 
 // ✅ PUT ATUALIZAR DESAFIO (ADMIN)
-app.put('/api/desafios/:id', async (req, res) => {
+app.put('/api/desafios/:id', requirePermission('desafios:editar'), async (req, res) => {
   try {
     const desafioId = validateId(req.params.id);
     if (!desafioId) {
@@ -5296,6 +8826,14 @@ app.put('/api/desafios/:id', async (req, res) => {
       }
     }
 
+    let cursoDesafio = null;
+    if (req.body.cursoId !== undefined) {
+      cursoDesafio = await resolverCursoDesafio(req.body.cursoId);
+      if (cursoDesafio.erro) {
+        return res.status(400).json({ error: 'Dados inválidos', details: cursoDesafio.erro });
+      }
+    }
+
     const desafioAtualizado = await prisma.$transaction(async (tx) => {
       const updateData = { 
         atualizadoEm: new Date()
@@ -5311,6 +8849,7 @@ app.put('/api/desafios/:id', async (req, res) => {
       if (maxTentativas !== undefined) updateData.maxTentativas = parseInt(maxTentativas);
       if (dataInicio !== undefined) updateData.dataInicio = dataInicio ? new Date(dataInicio) : null;
       if (dataFim !== undefined) updateData.dataFim = dataFim ? new Date(dataFim) : null;
+      if (cursoDesafio) updateData.cursoId = cursoDesafio.cursoId;
 
       const desafio = await tx.desafio.update({
         where: { id: desafioId },
@@ -5323,24 +8862,9 @@ app.put('/api/desafios/:id', async (req, res) => {
           data: { ativo: false }
         });
 
-        for (let i = 0; i < perguntas.length; i++) {
-          const perguntaData = perguntas[i];
-          
-          await tx.perguntaDesafio.create({
-            data: {
-              pergunta: perguntaData.pergunta.trim(),
-              alternativaA: perguntaData.alternativas[0].trim(),
-              alternativaB: perguntaData.alternativas[1].trim(),
-              alternativaC: perguntaData.alternativas[2].trim(),
-              alternativaD: perguntaData.alternativas[3].trim(),
-              correta: parseInt(perguntaData.correta),
-              explicacao: perguntaData.explicacao ? perguntaData.explicacao.trim() : null,
-              ordem: perguntaData.ordem || i + 1,
-              desafioId: desafio.id,
-              ativo: true
-            }
-          });
-        }
+        await tx.perguntaDesafio.createMany({
+          data: dadosPerguntasDesafio(perguntas, desafio.id)
+        });
 
         console.log(`✅ ${perguntas.length} perguntas atualizadas`);
       }
@@ -5370,7 +8894,7 @@ app.put('/api/desafios/:id', async (req, res) => {
 });
 
 // ✅ DELETE DESAFIO (ADMIN)
-app.delete('/api/desafios/:id', async (req, res) => {
+app.delete('/api/desafios/:id', requirePermission('desafios:editar'), async (req, res) => {
   try {
     const desafioId = validateId(req.params.id);
     if (!desafioId) {
@@ -5411,7 +8935,7 @@ app.delete('/api/desafios/:id', async (req, res) => {
 // ========== SISTEMA DE DESAFIOS (USUÁRIO) ========== //
 
 // ✅ GET DESAFIOS ATIVOS PARA USUÁRIOS
-app.get('/api/desafios-ativos', async (req, res) => {
+app.get('/api/desafios-ativos', requireAuth, async (req, res) => {
   try {
     console.log('🎯 Buscando desafios ativos para usuários...');
     
@@ -5461,7 +8985,7 @@ app.get('/api/desafios-ativos', async (req, res) => {
 });
 
 // ✅ GET PERGUNTAS DE UM DESAFIO PARA RESOLUÇÃO
-app.get('/api/desafios/:id/perguntas', async (req, res) => {
+app.get('/api/desafios/:id/perguntas', requireAuth, async (req, res) => {
   try {
     const desafioId = validateId(req.params.id);
     if (!desafioId) {
@@ -5530,14 +9054,15 @@ app.get('/api/desafios/:id/perguntas', async (req, res) => {
 });
 
 // ✅ POST VERIFICAR RESPOSTAS DO DESAFIO
-app.post('/api/desafios/:id/verificar', async (req, res) => {
+app.post('/api/desafios/:id/verificar', requireAuth, async (req, res) => {
   try {
     const desafioId = validateId(req.params.id);
     if (!desafioId) {
       return res.status(400).json({ error: 'ID do desafio inválido' });
     }
 
-    const { usuarioId, respostas } = req.body;
+    const { respostas } = req.body;
+    const usuarioId = req.user.id;
 
     if (!usuarioId || !respostas || !Array.isArray(respostas)) {
       return res.status(400).json({ 
@@ -5630,16 +9155,27 @@ app.post('/api/desafios/:id/verificar', async (req, res) => {
     });
 
     try {
-      await prisma.historicoDesafio.create({
-        data: {
+      await prisma.$transaction(async (tx) => {
+        const historico = await tx.historicoDesafio.create({
+          data: {
+            usuarioId: parseInt(usuarioId),
+            desafioId: desafioId,
+            pontuacaoGanha: pontuacaoGanha,
+            acertos: acertos,
+            totalPerguntas: desafio.perguntas.length,
+            porcentagemAcerto: porcentagemAcerto,
+            dataConclusao: new Date()
+          }
+        });
+
+        await eventBus.publish(tx, 'desafio.finalizado', {
           usuarioId: parseInt(usuarioId),
           desafioId: desafioId,
-          pontuacaoGanha: pontuacaoGanha,
-          acertos: acertos,
-          totalPerguntas: desafio.perguntas.length,
+          cursoId: desafio.cursoId || null,
+          historicoId: historico.id,
           porcentagemAcerto: porcentagemAcerto,
-          dataConclusao: new Date()
-        }
+          pontuacaoGanha: pontuacaoGanha
+        });
       });
     } catch (historyError) {
       console.warn('⚠️ Não foi possível salvar histórico:', historyError.message);
@@ -5673,7 +9209,7 @@ app.post('/api/desafios/:id/verificar', async (req, res) => {
 });
 
 // ✅ GET HISTÓRICO DE DESAFIOS DO USUÁRIO
-app.get('/api/usuarios/:usuarioId/historico-desafios', async (req, res) => {
+app.get('/api/usuarios/:usuarioId/historico-desafios', requireSelfOrPermission('usuarioId'), async (req, res) => {
   try {
     const usuarioId = validateId(req.params.usuarioId);
     if (!usuarioId) {
@@ -5706,6 +9242,103 @@ app.get('/api/usuarios/:usuarioId/historico-desafios', async (req, res) => {
   }
 });
 
+// ========== EVENTOS DE DOMÍNIO ========== //
+// Efeitos de progresso e desafios rodam como assinantes do barramento interno
+// (services/event-bus.service.js): tarefas duráveis em tarefas_evento, com retentativas.
+// Os handlers podem rodar mais de uma vez para o mesmo evento e precisam ser idempotentes.
+
+eventBus.subscribe('aula.concluida', 'progresso.recalcular', async ({ usuarioId, cursoId, moduloId }) => {
+    // curso.concluido é gravado junto com o progresso de 100%: não se perde nem se repete numa retentativa
+    const resultado = await progressService.recomputeCourse(cursoId, {
+        usuarioId,
+        moduloIds: [moduloId],
+        aoConcluirCurso: (tx) => eventBus.publish(tx, 'curso.concluido', { usuarioId, cursoId })
+    });
+    const progresso = resultado.progressos.get(usuarioId);
+
+    console.log(`📊 Progresso atualizado - Usuário ${usuarioId}, Módulo ${moduloId}: ${progresso?.modulos[moduloId] ?? 0}%, Curso ${cursoId}: ${progresso?.curso ?? 0}%`);
+});
+
+eventBus.subscribe('aula.concluida', 'solicitacao.automatica', async ({ usuarioId, cursoId, aulaId, solicitarProxima }) => {
+    if (!solicitarProxima) return;
+
+    // Já existe pendente / próxima já liberada não geram outra solicitação
+    const { status, corpo } = await gerarSolicitacaoAutomatica(usuarioId, cursoId, aulaId);
+    console.log(`🚀 Solicitação automática após aula ${aulaId} (${status}): ${corpo.message || corpo.error}`);
+});
+
+eventBus.subscribe('curso.concluido', 'notificacao.curso_concluido', async ({ usuarioId, cursoId }) => {
+    const curso = await prisma.curso.findUnique({ where: { id: cursoId }, select: { titulo: true } });
+    const mensagem = `🎓 Parabéns! Você concluiu o curso "${curso?.titulo || cursoId}"`;
+
+    // Notificação não tem cursoId: a mensagem (com o título) identifica o curso
+    const existente = await prisma.notificacaoAmizade.findFirst({
+        where: { usuarioId, tipo: 'curso_concluido', mensagem },
+        select: { id: true }
+    });
+    if (existente) return;
+
+    await prisma.notificacaoAmizade.create({
+        data: {
+            tipo: 'curso_concluido',
+            usuarioId: usuarioId,
+            remetenteId: usuarioId,
+            mensagem
+        }
+    });
+});
+
+eventBus.subscribe('desafio.finalizado', 'regras.reavaliar', async ({ cursoId }) => {
+    // Regras pontuacao_desafio podem aprovar pendentes do curso assim que o resultado sai
+    if (!cursoId) return;
+
+    const resultado = await authorizationRequestService.processPending({ origem: 'evento', cursoId });
+    if (resultado.erro) throw new Error(resultado.erro);
+});
+
+// ✅ STATUS DA FILA DE EVENTOS (contagem por status e últimas tarefas)
+app.get('/api/sistema/eventos', requirePermission('sistema:configurar'), async (req, res) => {
+    try {
+        const { status, evento } = req.query;
+        const limite = Math.min(parseInt(req.query.limite) || 50, 200);
+
+        const where = {};
+        if (status) where.status = status;
+        if (evento) where.evento = evento;
+
+        const [fila, tarefas] = await Promise.all([
+            eventBus.status(),
+            prisma.tarefaEvento.findMany({ where, orderBy: { id: 'desc' }, take: limite })
+        ]);
+
+        res.json({ success: true, fila: fila, total: tarefas.length, tarefas: tarefas });
+    } catch (error) {
+        handleError(res, error, 'Erro ao buscar fila de eventos');
+    }
+});
+
+// ✅ REPROCESSAR TAREFA QUE ESGOTOU AS TENTATIVAS
+app.post('/api/sistema/eventos/:id/reprocessar', requirePermission('sistema:configurar'), async (req, res) => {
+    try {
+        const tarefaId = validateId(req.params.id);
+        if (!tarefaId) {
+            return res.status(400).json({ success: false, error: 'ID da tarefa inválido' });
+        }
+
+        if (!(await eventBus.retry(tarefaId))) {
+            const tarefa = await prisma.tarefaEvento.findUnique({ where: { id: tarefaId }, select: { status: true } });
+            return tarefa
+                ? res.status(409).json({ success: false, error: 'Só tarefas com status "falhou" podem ser reprocessadas', status: tarefa.status })
+                : res.status(404).json({ success: false, error: 'Tarefa não encontrada' });
+        }
+
+        console.log(`📨 Tarefa ${tarefaId} devolvida à fila por ${req.user.nome}`);
+        res.json({ success: true, message: 'Tarefa devolvida à fila' });
+    } catch (error) {
+        handleError(res, error, 'Erro ao reprocessar tarefa');
+    }
+});
+
 app.use((error, req, res, next) => {
   console.error('❌ Erro global não tratado:', error);
   
@@ -5781,8 +9414,20 @@ async function startServer() {
           }
         }, 30000);
         
+        // Desativa autorizações vencidas periodicamente (log "expirada" + aviso ao aluno)
+        authorizationExpiryService.start(prisma);
+        
+        // Reavalia pendentes contra as regras de aprovação automática dos cursos
+        authorizationRequestService.start();
+        
+        // Processa tarefas de eventos de domínio (inclusive as deixadas por um processo anterior)
+        eventBus.start();
+        
         server.on('close', () => {
           clearInterval(keepAliveInterval);
+          authorizationExpiryService.stop();
+          authorizationRequestService.stop();
+          eventBus.stop();
           prisma.$disconnect();
         });
         
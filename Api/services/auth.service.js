@@ -0,0 +1,135 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Papel/status da conta relidos do banco no máximo a cada 30s por processo
+const CACHE_CONTA_MS = 30 * 1000;
+
+class AuthService {
+    constructor() {
+        this.secret = this.loadSecret();
+        this.tokenTtlSeconds = parseInt(process.env.AUTH_TOKEN_TTL) || 8 * 60 * 60;
+        this.header = { alg: 'HS256', typ: 'JWT' };
+
+        this.prisma = null;
+        this.contas = new Map();
+    }
+
+    usePrisma(prisma) {
+        this.prisma = prisma;
+    }
+
+    loadSecret() {
+        const secretFromEnv = process.env.AUTH_SECRET;
+
+        if (!secretFromEnv) {
+            throw new Error('AUTH_SECRET não configurada no .env (veja .env.example; gere com AuthService.generateSecret())');
+        }
+
+        // Mesma regra da chave de criptografia: hex de 64 caracteres ou derivação SHA-256
+        if (/^[0-9a-fA-F]{64}$/.test(secretFromEnv)) {
+            return Buffer.from(secretFromEnv, 'hex');
+        }
+
+        return crypto.createHash('sha256').update(secretFromEnv).digest();
+    }
+
+    base64UrlEncode(value) {
+        const buffer = Buffer.isBuffer(value) ? value : Buffer.from(JSON.stringify(value), 'utf8');
+        return buffer.toString('base64url');
+    }
+
+    sign(data) {
+        return crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+    }
+
+    // Gera um token no formato JWT (HS256) com expiração
+    generateToken(payload) {
+        const agora = Math.floor(Date.now() / 1000);
+        const corpo = {
+            ...payload,
+            iat: agora,
+            exp: agora + this.tokenTtlSeconds
+        };
+
+        const conteudo = `${this.base64UrlEncode(this.header)}.${this.base64UrlEncode(corpo)}`;
+
+        return {
+            token: `${conteudo}.${this.sign(conteudo)}`,
+            expiraEm: new Date(corpo.exp * 1000)
+        };
+    }
+
+    // Retorna o payload se o token for válido, senão lança erro
+    verifyToken(token) {
+        if (!token || typeof token !== 'string') {
+            throw new Error('Token ausente');
+        }
+
+        const partes = token.split('.');
+        if (partes.length !== 3) {
+            throw new Error('Token malformado');
+        }
+
+        const [headerParte, payloadParte, assinatura] = partes;
+        const assinaturaEsperada = this.sign(`${headerParte}.${payloadParte}`);
+
+        const recebida = Buffer.from(assinatura);
+        const esperada = Buffer.from(assinaturaEsperada);
+
+        if (recebida.length !== esperada.length || !crypto.timingSafeEqual(recebida, esperada)) {
+            throw new Error('Assinatura inválida');
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(payloadParte, 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('Token malformado');
+        }
+
+        if (!payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) {
+            throw new Error('Token expirado');
+        }
+
+        return payload;
+    }
+
+    // Estado atual da conta dona do token: { id, ra, nome, role, status, versaoToken } ou null
+    async loadAccount(id) {
+        const emCache = this.contas.get(id);
+        if (emCache && emCache.validoAte > Date.now()) return emCache.conta;
+
+        const conta = await this.prisma.usuario.findUnique({
+            where: { id },
+            select: { id: true, ra: true, nome: true, role: true, status: true, versaoToken: true }
+        });
+
+        this.contas.set(id, { conta, validoAte: Date.now() + CACHE_CONTA_MS });
+        return conta;
+    }
+
+    // Chamado após alterar papel, senha, status ou excluir a conta (efeito imediato neste processo)
+    forgetAccount(id) {
+        this.contas.delete(id);
+    }
+
+    extractBearerToken(authorizationHeader) {
+        if (!authorizationHeader || typeof authorizationHeader !== 'string') return null;
+
+        const [tipo, token] = authorizationHeader.trim().split(/\s+/);
+        if (!tipo || tipo.toLowerCase() !== 'bearer' || !token) return null;
+
+        return token;
+    }
+
+    // Gerar novo segredo (use apenas uma vez para criar)
+    static generateSecret() {
+        return crypto.randomBytes(32).toString('hex');
+    }
+}
+
+const authService = new AuthService();
+export { authService, AuthService };
+export default authService;
@@ -0,0 +1,158 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MINUTO = 60 * 1000;
+
+// Desativa autorizações de aula com dataExpiracao vencida, registrando "expirada" em
+// log_autorizacao e avisando o aluno. Roda no próprio processo da API (setInterval);
+// com várias instâncias, o update condicionado a ativo = true evita log duplicado.
+class AuthorizationExpiryService {
+    constructor() {
+        this.prisma = null;
+        this.timer = null;
+
+        // AUTORIZACAO_EXPIRACAO_INTERVALO_MINUTOS=0 desliga o agendamento (execução manual continua)
+        const intervalo = parseInt(process.env.AUTORIZACAO_EXPIRACAO_INTERVALO_MINUTOS);
+        this.intervalo = (isNaN(intervalo) ? 15 : intervalo) * MINUTO;
+        this.tamanhoLote = 100;
+
+        this.execucaoAtual = null;
+        this.ultimaExecucao = null;
+        this.proximaExecucao = null;
+    }
+
+    start(prisma) {
+        this.prisma = prisma;
+        if (this.timer || this.intervalo <= 0) return;
+
+        this.timer = setInterval(() => this.run({ origem: 'agendada' }), this.intervalo);
+        this.timer.unref?.();
+        this.proximaExecucao = new Date(Date.now() + this.intervalo);
+
+        console.log(`⏲️ Expiração de autorizações agendada a cada ${this.intervalo / MINUTO} min`);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        this.proximaExecucao = null;
+    }
+
+    // Execução concorrente (manual durante a agendada) reaproveita a que já está rodando
+    run({ origem = 'manual', executadoPorId = null } = {}) {
+        if (!this.prisma) {
+            return Promise.reject(new Error('Serviço de expiração não iniciado'));
+        }
+
+        if (!this.execucaoAtual) {
+            this.execucaoAtual = this.expire(origem, executadoPorId).finally(() => {
+                this.execucaoAtual = null;
+                if (this.timer) this.proximaExecucao = new Date(Date.now() + this.intervalo);
+            });
+        }
+
+        return this.execucaoAtual;
+    }
+
+    async expire(origem, executadoPorId) {
+        const inicio = new Date();
+        const resultado = { origem, executadoPorId, inicio, fim: null, expiradas: 0, falhas: 0, erro: null };
+        let ultimoId = 0;
+
+        try {
+            while (true) {
+                const vencidas = await this.prisma.autorizacaoAula.findMany({
+                    where: { id: { gt: ultimoId }, ativo: true, dataExpiracao: { lte: inicio } },
+                    include: { curso: { select: { titulo: true } } },
+                    orderBy: { id: 'asc' },
+                    take: this.tamanhoLote
+                });
+
+                if (vencidas.length === 0) break;
+                ultimoId = vencidas[vencidas.length - 1].id;
+
+                for (const autorizacao of vencidas) {
+                    try {
+                        if (await this.expireOne(autorizacao, origem)) resultado.expiradas += 1;
+                    } catch (error) {
+                        resultado.falhas += 1;
+                        console.error(`❌ Erro ao expirar autorização ${autorizacao.id}:`, error.message);
+                    }
+                }
+            }
+        } catch (error) {
+            resultado.erro = error.message;
+            console.error('❌ Erro na expiração de autorizações:', error);
+        }
+
+        resultado.fim = new Date();
+        resultado.duracaoMs = resultado.fim - inicio;
+        this.ultimaExecucao = resultado;
+
+        if (resultado.expiradas > 0 || resultado.falhas > 0) {
+            console.log(`⏲️ Expiração (${origem}): ${resultado.expiradas} autorizações desativadas, ${resultado.falhas} falhas`);
+        }
+
+        return resultado;
+    }
+
+    async expireOne(autorizacao, origem) {
+        return this.prisma.$transaction(async (tx) => {
+            const { count } = await tx.autorizacaoAula.updateMany({
+                where: { id: autorizacao.id, ativo: true },
+                data: { ativo: false }
+            });
+
+            // Já desativada por outra instância ou por um admin
+            if (count === 0) return false;
+
+            await tx.logAutorizacao.create({
+                data: {
+                    tipo: 'expirada',
+                    autorizacaoId: autorizacao.id,
+                    usuarioId: autorizacao.usuarioId,
+                    adminId: null,
+                    detalhes: {
+                        tipoAutorizacao: autorizacao.tipo,
+                        cursoId: autorizacao.cursoId,
+                        moduloId: autorizacao.moduloId,
+                        aulaId: autorizacao.aulaId,
+                        dataExpiracao: autorizacao.dataExpiracao,
+                        origem
+                    }
+                }
+            });
+
+            // Bloqueio de progresso que expira devolve o avanço ao aluno: aviso oposto ao de uma liberação
+            const desbloqueio = autorizacao.tipo === 'bloquear_progresso';
+
+            await tx.notificacaoAmizade.create({
+                data: {
+                    tipo: desbloqueio ? 'progresso_desbloqueado' : 'autorizacao_expirada',
+                    usuarioId: autorizacao.usuarioId,
+                    remetenteId: autorizacao.adminId,
+                    mensagem: desbloqueio
+                        ? `🔓 Seu progresso no curso "${autorizacao.curso.titulo}" foi desbloqueado`
+                        : `⏰ Sua liberação no curso "${autorizacao.curso.titulo}" expirou`
+                }
+            });
+
+            return true;
+        });
+    }
+
+    status() {
+        return {
+            agendado: !!this.timer,
+            intervaloMinutos: this.intervalo / MINUTO,
+            emExecucao: !!this.execucaoAtual,
+            ultimaExecucao: this.ultimaExecucao,
+            proximaExecucao: this.proximaExecucao
+        };
+    }
+}
+
+const authorizationExpiryService = new AuthorizationExpiryService();
+export { authorizationExpiryService, AuthorizationExpiryService };
+export default authorizationExpiryService;
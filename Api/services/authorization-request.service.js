@@ -0,0 +1,321 @@
+import dotenv from 'dotenv';
+import courseVersionService from './course-version.service.js';
+import lessonAccessPolicy from './lesson-access-policy.service.js';
+
+dotenv.config();
+
+const MINUTO = 60 * 1000;
+const HORA = 60 * MINUTO;
+
+const TIPOS_REGRA = ['tempo_aula_anterior', 'serie', 'pontuacao_desafio'];
+
+// Aprovação de solicitações de autorização (manual ou por regra do curso).
+// approve() é o caminho único que cria a AutorizacaoAula, fecha a solicitação e grava o log.
+class AuthorizationRequestService {
+    constructor() {
+        this.prisma = null;
+        this.timer = null;
+        this.tiposRegra = TIPOS_REGRA;
+
+        // Regras por tempo dependem do relógio: pendentes são reavaliadas periodicamente
+        // (AUTO_APROVACAO_INTERVALO_MINUTOS=0 desliga)
+        const intervalo = parseInt(process.env.AUTO_APROVACAO_INTERVALO_MINUTOS);
+        this.intervalo = (isNaN(intervalo) ? 10 : intervalo) * MINUTO;
+
+        this.execucaoAtual = null;
+        this.proximaExecucao = null;
+        this.ultimaExecucao = null;
+    }
+
+    usePrisma(prisma) {
+        this.prisma = prisma;
+    }
+
+    start() {
+        if (this.timer || this.intervalo <= 0) return;
+
+        this.timer = setInterval(() => this.processPending({ origem: 'agendada' }), this.intervalo);
+        this.timer.unref?.();
+
+        console.log(`🤖 Reavaliação de regras de aprovação a cada ${this.intervalo / MINUTO} min`);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Retorna a mensagem de erro ou null
+    validateRule(tipo, parametros) {
+        if (!TIPOS_REGRA.includes(tipo)) {
+            return `Tipo de regra inválido. Use um destes valores: ${TIPOS_REGRA.join(', ')}`;
+        }
+
+        if (!parametros || typeof parametros !== 'object' || Array.isArray(parametros)) {
+            return 'parametros deve ser um objeto';
+        }
+
+        if (tipo === 'tempo_aula_anterior') {
+            if (typeof parametros.horas !== 'number' || parametros.horas < 0) {
+                return 'parametros.horas deve ser um número maior ou igual a zero';
+            }
+        }
+
+        if (tipo === 'serie') {
+            const series = parametros.series;
+            if (!Array.isArray(series) || series.length === 0 || series.some(s => typeof s !== 'string' || s.trim() === '')) {
+                return 'parametros.series deve ser uma lista de séries';
+            }
+        }
+
+        if (tipo === 'pontuacao_desafio') {
+            const minimo = parametros.percentualMinimo;
+            if (typeof minimo !== 'number' || minimo < 0 || minimo > 100) {
+                return 'parametros.percentualMinimo deve estar entre 0 e 100';
+            }
+            if (parametros.desafioId !== undefined && parametros.desafioId !== null && !Number.isInteger(parametros.desafioId)) {
+                return 'parametros.desafioId deve ser um ID válido';
+            }
+        }
+
+        return null;
+    }
+
+    // { atende, detalhe } para uma solicitação pendente
+    async evaluate(db, regra, solicitacao) {
+        const { parametros } = regra;
+
+        if (regra.tipo === 'tempo_aula_anterior') {
+            const aulas = await courseVersionService.listPublishedLessons(db, solicitacao.cursoId);
+            const indice = aulas.findIndex(a => a.id === solicitacao.aulaId);
+            if (indice <= 0) {
+                return { atende: false, detalhe: 'Aula sem aula anterior publicada' };
+            }
+
+            const anterior = aulas[indice - 1];
+            const progresso = await db.progressoAula.findFirst({
+                where: { usuarioId: solicitacao.usuarioId, aulaId: anterior.id, concluida: true },
+                select: { dataConclusao: true }
+            });
+
+            if (!progresso?.dataConclusao) {
+                return { atende: false, detalhe: `Aula anterior "${anterior.titulo}" não concluída` };
+            }
+
+            const horas = (Date.now() - new Date(progresso.dataConclusao).getTime()) / HORA;
+            return {
+                atende: horas >= parametros.horas,
+                detalhe: `Aula anterior concluída há ${Math.floor(horas)}h (mínimo ${parametros.horas}h)`
+            };
+        }
+
+        if (regra.tipo === 'serie') {
+            const usuario = await db.usuario.findUnique({
+                where: { id: solicitacao.usuarioId },
+                select: { serie: true }
+            });
+
+            const serie = (usuario?.serie || '').trim().toLowerCase();
+            const series = parametros.series.map(s => s.trim().toLowerCase());
+            return {
+                atende: series.includes(serie),
+                detalhe: `Série do aluno: ${usuario?.serie || 'não informada'}`
+            };
+        }
+
+        if (regra.tipo === 'pontuacao_desafio') {
+            // Sem desafioId vale qualquer desafio vinculado ao curso
+            const melhor = await db.historicoDesafio.findFirst({
+                where: {
+                    usuarioId: solicitacao.usuarioId,
+                    desafio: parametros.desafioId ? { id: parametros.desafioId } : { cursoId: solicitacao.cursoId }
+                },
+                orderBy: { porcentagemAcerto: 'desc' },
+                select: { porcentagemAcerto: true, desafioId: true }
+            });
+
+            if (!melhor) {
+                return { atende: false, detalhe: 'Nenhum desafio vinculado realizado' };
+            }
+
+            return {
+                atende: melhor.porcentagemAcerto >= parametros.percentualMinimo,
+                detalhe: `Melhor resultado: ${Math.round(melhor.porcentagemAcerto)}% no desafio ${melhor.desafioId} (mínimo ${parametros.percentualMinimo}%)`
+            };
+        }
+
+        return { atende: false, detalhe: `Tipo de regra desconhecido: ${regra.tipo}` };
+    }
+
+    // Primeira regra ativa do curso (por prioridade) que a solicitação atende
+    async findMatchingRule(db, solicitacao) {
+        const regras = await db.regraAprovacao.findMany({
+            where: { cursoId: solicitacao.cursoId, ativo: true },
+            orderBy: [{ prioridade: 'asc' }, { id: 'asc' }]
+        });
+
+        for (const regra of regras) {
+            const resultado = await this.evaluate(db, regra, solicitacao);
+            if (resultado.atende) return { regra, detalhe: resultado.detalhe };
+        }
+
+        return null;
+    }
+
+    // Aprova dentro da transação de quem chama; null se a solicitação já não estava pendente
+    async approve(db, solicitacao, { adminId, motivo, dataExpiracao = null, regra = null, detalhe = null }) {
+        const agora = new Date();
+
+        const { count } = await db.solicitacaoAutorizacao.updateMany({
+            where: { id: solicitacao.id, status: 'pendente' },
+            data: {
+                status: 'aprovado',
+                motivoRejeicao: null,
+                processadoEm: agora,
+                adminId: regra ? null : adminId,
+                regraAprovacaoId: regra ? regra.id : null
+            }
+        });
+
+        if (count === 0) return null;
+
+        const autorizacao = await db.autorizacaoAula.create({
+            data: {
+                tipo: 'liberar_aula',
+                usuarioId: solicitacao.usuarioId,
+                cursoId: solicitacao.cursoId,
+                aulaId: solicitacao.aulaId,
+                moduloId: solicitacao.moduloId,
+                motivo: motivo,
+                dataExpiracao: dataExpiracao,
+                adminId: regra ? regra.criadoPorId : adminId,
+                ativo: true
+            }
+        });
+
+        await db.solicitacaoAutorizacao.update({
+            where: { id: solicitacao.id },
+            data: { autorizacaoId: autorizacao.id }
+        });
+
+        await db.logAutorizacao.create({
+            data: {
+                tipo: 'criada',
+                autorizacaoId: autorizacao.id,
+                usuarioId: solicitacao.usuarioId,
+                adminId: regra ? null : adminId,
+                detalhes: {
+                    solicitacaoId: solicitacao.id,
+                    origem: regra ? 'regra' : 'manual',
+                    regra: regra ? { id: regra.id, nome: regra.nome, tipo: regra.tipo } : null,
+                    detalhe: detalhe
+                }
+            }
+        });
+
+        return autorizacao;
+    }
+
+    // Rejeita dentro da transação de quem chama; false se a solicitação já não estava pendente
+    async reject(db, solicitacao, { adminId, motivoRejeicao }) {
+        const { count } = await db.solicitacaoAutorizacao.updateMany({
+            where: { id: solicitacao.id, status: 'pendente' },
+            data: {
+                status: 'rejeitado',
+                motivoRejeicao: motivoRejeicao || 'Solicitação rejeitada pelo administrador.',
+                processadoEm: new Date(),
+                adminId: adminId
+            }
+        });
+
+        return count > 0;
+    }
+
+    // Tenta aprovar pelas regras do curso: { regra, detalhe, autorizacao } ou null
+    async autoApprove(solicitacao) {
+        // Aluno com progresso bloqueado no curso fica para decisão manual
+        const bloqueio = await lessonAccessPolicy.findProgressBlock(solicitacao.usuarioId, solicitacao.cursoId);
+        if (bloqueio) return null;
+
+        const match = await this.findMatchingRule(this.prisma, solicitacao);
+        if (!match) return null;
+
+        const { regra, detalhe } = match;
+        const autorizacao = await this.prisma.$transaction(tx => this.approve(tx, solicitacao, {
+            motivo: `Aprovação automática pela regra "${regra.nome}": ${detalhe}`,
+            regra,
+            detalhe
+        }));
+
+        if (!autorizacao) return null;
+
+        console.log(`🤖 Solicitação ${solicitacao.id} aprovada pela regra "${regra.nome}" (${detalhe})`);
+        return { regra, detalhe, autorizacao };
+    }
+
+    // Reavalia pendentes dos cursos que têm regras ativas (agendado ou sob demanda).
+    // Uma execução por vez: pedidos feitos durante a execução são juntados em uma próxima,
+    // que cobre todos os escopos pedidos (um curso só, ou todos)
+    processPending({ origem = 'manual', cursoId = null } = {}) {
+        if (!this.prisma) {
+            return Promise.reject(new Error('Serviço de aprovação não iniciado'));
+        }
+
+        if (this.execucaoAtual) {
+            const proxima = this.proximaExecucao ||= {
+                cursoIds: new Set(),
+                promessa: this.execucaoAtual.then(() => {
+                    this.proximaExecucao = null;
+                    const escopo = proxima.cursoIds.size === 1 ? [...proxima.cursoIds][0] : null;
+                    return this.processPending({ origem, cursoId: escopo });
+                })
+            };
+
+            proxima.cursoIds.add(cursoId);
+            return proxima.promessa;
+        }
+
+        this.execucaoAtual = this.runPending(origem, cursoId).finally(() => {
+            this.execucaoAtual = null;
+        });
+
+        return this.execucaoAtual;
+    }
+
+    async runPending(origem, cursoId) {
+        const inicio = new Date();
+        const resultado = { origem, cursoId, inicio, fim: null, avaliadas: 0, aprovadas: 0, falhas: 0, erro: null };
+
+        try {
+            const pendentes = await this.prisma.solicitacaoAutorizacao.findMany({
+                where: {
+                    status: 'pendente',
+                    ...(cursoId ? { cursoId } : {}),
+                    curso: { regrasAprovacao: { some: { ativo: true } } }
+                },
+                orderBy: { criadoEm: 'asc' }
+            });
+
+            for (const solicitacao of pendentes) {
+                resultado.avaliadas += 1;
+                try {
+                    if (await this.autoApprove(solicitacao)) resultado.aprovadas += 1;
+                } catch (error) {
+                    resultado.falhas += 1;
+                    console.error(`❌ Erro ao avaliar regras da solicitação ${solicitacao.id}:`, error.message);
+                }
+            }
+        } catch (error) {
+            resultado.erro = error.message;
+            console.error('❌ Erro ao reavaliar solicitações pendentes:', error);
+        }
+
+        resultado.fim = new Date();
+        this.ultimaExecucao = resultado;
+        return resultado;
+    }
+}
+
+const authorizationRequestService = new AuthorizationRequestService();
+export { authorizationRequestService, AuthorizationRequestService };
+export default authorizationRequestService;
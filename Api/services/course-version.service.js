@@ -0,0 +1,200 @@
+// Publicação de cursos: o conteúdo editado (rascunho) fica nas tabelas cursos/modulos/aulas
+// e cada publicação grava um snapshot numerado em versoes_curso, que é o que os alunos veem.
+// Os métodos recebem o client (prisma ou tx) para rodar dentro da transação de quem chama.
+// O vídeo das aulas fica criptografado (videoUrl/videoIv/videoTag) no rascunho e no snapshot;
+// toda saída para o cliente passa por decryptLesson.
+
+import encryptionService from './encryption.service.js';
+
+const CAMPOS_CURSO = ['titulo', 'descricao', 'materia', 'categoria', 'nivel', 'duracao', 'imagem'];
+const CAMPOS_MODULO = ['id', 'titulo', 'descricao', 'ordem'];
+const CAMPOS_AULA = ['id', 'titulo', 'descricao', 'conteudo', 'videoUrl', 'videoIv', 'videoTag', 'duracao', 'ordem'];
+
+const pick = (obj, campos) => Object.fromEntries(campos.map(c => [c, obj[c] ?? null]));
+
+class CourseVersionService {
+    // Estrutura ativa (rascunho) do curso no formato do snapshot
+    async buildSnapshot(db, cursoId) {
+        const curso = await db.curso.findUnique({
+            where: { id: cursoId },
+            include: {
+                modulos: {
+                    where: { ativo: true },
+                    include: {
+                        aulas: {
+                            where: { ativo: true },
+                            orderBy: [{ ordem: 'asc' }, { id: 'asc' }]
+                        }
+                    },
+                    orderBy: [{ ordem: 'asc' }, { id: 'asc' }]
+                }
+            }
+        });
+
+        if (!curso) return null;
+
+        return {
+            ...pick(curso, CAMPOS_CURSO),
+            modulos: curso.modulos.map(modulo => ({
+                ...pick(modulo, CAMPOS_MODULO),
+                aulas: modulo.aulas.map(aula => pick(aula, CAMPOS_AULA))
+            }))
+        };
+    }
+
+    async nextVersionNumber(db, cursoId) {
+        const ultima = await db.versaoCurso.aggregate({
+            where: { cursoId },
+            _max: { numero: true }
+        });
+
+        return (ultima._max.numero || 0) + 1;
+    }
+
+    // Grava o snapshot como nova versão e marca módulos/aulas que fazem parte dela
+    async publish(db, cursoId, { publicadoPorId = null, observacao = null, origemVersao = null, conteudo = null } = {}) {
+        const snapshot = conteudo || await this.buildSnapshot(db, cursoId);
+        if (!snapshot) return null;
+
+        const numero = await this.nextVersionNumber(db, cursoId);
+
+        const versao = await db.versaoCurso.create({
+            data: {
+                cursoId,
+                numero,
+                conteudo: snapshot,
+                observacao,
+                origemVersao,
+                publicadoPorId
+            }
+        });
+
+        const moduloIds = snapshot.modulos.map(m => m.id);
+        const aulaIds = snapshot.modulos.flatMap(m => m.aulas.map(a => a.id));
+
+        await db.modulo.updateMany({ where: { cursoId }, data: { publicado: false } });
+        await db.modulo.updateMany({ where: { id: { in: moduloIds } }, data: { publicado: true } });
+        await db.aula.updateMany({ where: { modulo: { cursoId } }, data: { publicado: false } });
+        await db.aula.updateMany({ where: { id: { in: aulaIds } }, data: { publicado: true } });
+
+        await db.curso.update({
+            where: { id: cursoId },
+            data: {
+                status: 'publicado',
+                alteracoesPendentes: false,
+                versaoPublicadaId: versao.id,
+                publicadoEm: versao.criadoEm
+            }
+        });
+
+        return versao;
+    }
+
+    // Volta o rascunho para o conteúdo de um snapshot (sem apagar linhas: progresso continua ligado)
+    async restoreDraft(db, cursoId, snapshot) {
+        await db.curso.update({
+            where: { id: cursoId },
+            data: pick(snapshot, CAMPOS_CURSO)
+        });
+
+        const moduloIds = snapshot.modulos.map(m => m.id);
+        const aulaIds = snapshot.modulos.flatMap(m => m.aulas.map(a => a.id));
+
+        for (const modulo of snapshot.modulos) {
+            const { id, ...dadosModulo } = pick(modulo, CAMPOS_MODULO);
+            await db.modulo.update({
+                where: { id },
+                data: { ...dadosModulo, ativo: true }
+            });
+
+            for (const aula of modulo.aulas) {
+                const { id: aulaId, ...dadosAula } = pick(aula, CAMPOS_AULA);
+                await db.aula.update({
+                    where: { id: aulaId },
+                    data: { ...dadosAula, moduloId: id, ativo: true }
+                });
+            }
+        }
+
+        await db.modulo.updateMany({
+            where: { cursoId, ativo: true, id: { notIn: moduloIds } },
+            data: { ativo: false }
+        });
+        await db.aula.updateMany({
+            where: { modulo: { cursoId }, ativo: true, id: { notIn: aulaIds } },
+            data: { ativo: false }
+        });
+    }
+
+    // Aula como sai para o cliente: URL do vídeo descriptografada, sem IV/tag
+    decryptLesson(aula) {
+        if (!aula) return aula;
+
+        const { videoIv, videoTag, ...dados } = aula;
+        return {
+            ...dados,
+            videoUrl: aula.videoUrl && videoIv && videoTag
+                ? encryptionService.decryptYouTubeUrl({ encrypted: aula.videoUrl, iv: videoIv, tag: videoTag })
+                : aula.videoUrl
+        };
+    }
+
+    // Módulos (do rascunho ou de um snapshot) com as aulas prontas para o cliente
+    decryptModules(modulos = []) {
+        return modulos.map(modulo => ({
+            ...modulo,
+            aulas: (modulo.aulas || []).map(aula => this.decryptLesson(aula))
+        }));
+    }
+
+    // Curso como o aluno vê: dados da versão publicada com id/ativo do registro atual
+    toPublishedCourse(curso) {
+        const versao = curso.versaoPublicada;
+        if (!versao) return null;
+
+        const { versaoPublicada, modulos, ...dadosCurso } = curso;
+
+        return {
+            ...dadosCurso,
+            ...pick(versao.conteudo, CAMPOS_CURSO),
+            versao: versao.numero,
+            modulos: versao.conteudo.modulos.map(modulo => ({
+                ...modulo,
+                cursoId: curso.id,
+                aulas: modulo.aulas.map(aula => ({ ...this.decryptLesson(aula), moduloId: modulo.id }))
+            }))
+        };
+    }
+
+    // Aulas da versão publicada na ordem em que o aluno as vê: [{ id, titulo, moduloId, duracao }]
+    async listPublishedLessons(db, cursoId) {
+        const curso = await db.curso.findUnique({
+            where: { id: cursoId },
+            select: { versaoPublicada: { select: { conteudo: true } } }
+        });
+
+        return this.lessonsOf(curso?.versaoPublicada?.conteudo);
+    }
+
+    lessonsOf(conteudo) {
+        const modulos = conteudo?.modulos || [];
+        return modulos.flatMap(modulo => modulo.aulas.map(aula => ({
+            id: aula.id,
+            titulo: aula.titulo,
+            moduloId: modulo.id,
+            duracao: aula.duracao
+        })));
+    }
+
+    summarize(conteudo) {
+        const modulos = conteudo?.modulos || [];
+        return {
+            totalModulos: modulos.length,
+            totalAulas: modulos.reduce((sum, m) => sum + m.aulas.length, 0)
+        };
+    }
+}
+
+const courseVersionService = new CourseVersionService();
+export { courseVersionService, CourseVersionService };
+export default courseVersionService;
@@ -0,0 +1,218 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const SEGUNDO = 1000;
+const MINUTO = 60 * SEGUNDO;
+
+// Barramento interno de eventos de domínio ("aula.concluida", "curso.concluido", "desafio.finalizado").
+// publish() grava uma tarefa por assinante em tarefas_evento — dentro da transação de quem publica,
+// então o evento só existe se a mudança que o gerou foi gravada. As tarefas são processadas
+// logo após a publicação e pelo polling periódico, com retentativa exponencial; por isso os
+// handlers precisam ser idempotentes (entrega pelo menos uma vez).
+class EventBusService {
+    constructor() {
+        this.prisma = null;
+        this.timer = null;
+        this.assinantes = new Map();
+
+        // EVENTOS_INTERVALO_SEGUNDOS=0 desliga o polling (só o disparo após publicar continua)
+        const intervalo = parseInt(process.env.EVENTOS_INTERVALO_SEGUNDOS);
+        this.intervalo = (isNaN(intervalo) ? 5 : intervalo) * SEGUNDO;
+        this.tamanhoLote = 20;
+
+        // Tarefa em "processando" há mais que isso é de um processo que caiu no meio
+        this.tempoTrava = 5 * MINUTO;
+
+        this.execucaoAtual = null;
+        this.executarNovamente = false;
+        this.ultimaExecucao = null;
+    }
+
+    usePrisma(prisma) {
+        this.prisma = prisma;
+    }
+
+    subscribe(evento, nome, handler, { maxTentativas = 5 } = {}) {
+        const lista = this.assinantes.get(evento) || [];
+        if (lista.some(a => a.nome === nome)) {
+            throw new Error(`Assinante "${nome}" já registrado para ${evento}`);
+        }
+
+        lista.push({ nome, handler, maxTentativas });
+        this.assinantes.set(evento, lista);
+    }
+
+    // Grava as tarefas com o client de quem chama (prisma ou tx); retorna quantas foram criadas
+    async publish(db, evento, payload) {
+        const assinantes = this.assinantes.get(evento) || [];
+        if (assinantes.length === 0) return 0;
+
+        await db.tarefaEvento.createMany({
+            data: assinantes.map(a => ({
+                evento,
+                assinante: a.nome,
+                payload,
+                maxTentativas: a.maxTentativas
+            }))
+        });
+
+        // Publicado dentro de uma transação ainda aberta, o disparo pode não enxergar as
+        // tarefas; nesse caso o polling as pega na próxima volta
+        const disparo = setTimeout(() => this.process({ origem: 'publicacao' }), 100);
+        disparo.unref?.();
+
+        return assinantes.length;
+    }
+
+    start() {
+        if (this.timer || this.intervalo <= 0) return;
+
+        this.timer = setInterval(() => this.process({ origem: 'agendada' }), this.intervalo);
+        this.timer.unref?.();
+
+        console.log(`📨 Fila de eventos processada a cada ${this.intervalo / SEGUNDO}s`);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Uma execução por vez; pedido durante a execução roda de novo ao terminar
+    process({ origem = 'manual' } = {}) {
+        if (!this.prisma) {
+            return Promise.reject(new Error('Barramento de eventos não iniciado'));
+        }
+
+        if (this.execucaoAtual) {
+            this.executarNovamente = true;
+            return this.execucaoAtual;
+        }
+
+        this.execucaoAtual = this.runDue(origem).finally(() => {
+            this.execucaoAtual = null;
+            if (this.executarNovamente) {
+                this.executarNovamente = false;
+                this.process({ origem });
+            }
+        });
+
+        return this.execucaoAtual;
+    }
+
+    async runDue(origem) {
+        const inicio = new Date();
+        const resultado = { origem, inicio, fim: null, concluidas: 0, reagendadas: 0, falhas: 0, erro: null };
+
+        try {
+            await this.prisma.tarefaEvento.updateMany({
+                where: { status: 'processando', travadoEm: { lt: new Date(inicio.getTime() - this.tempoTrava) } },
+                data: { status: 'pendente', travadoEm: null }
+            });
+
+            while (true) {
+                const tarefas = await this.prisma.tarefaEvento.findMany({
+                    where: { status: 'pendente', proximaTentativaEm: { lte: new Date() } },
+                    orderBy: { id: 'asc' },
+                    take: this.tamanhoLote
+                });
+
+                if (tarefas.length === 0) break;
+
+                for (const tarefa of tarefas) {
+                    const situacao = await this.runTask(tarefa);
+                    if (situacao === 'concluida') resultado.concluidas += 1;
+                    if (situacao === 'reagendada') resultado.reagendadas += 1;
+                    if (situacao === 'falhou') resultado.falhas += 1;
+                }
+            }
+        } catch (error) {
+            resultado.erro = error.message;
+            console.error('❌ Erro ao processar fila de eventos:', error);
+        }
+
+        resultado.fim = new Date();
+        this.ultimaExecucao = resultado;
+        return resultado;
+    }
+
+    // 'concluida', 'reagendada', 'falhou' ou null se outra instância pegou a tarefa
+    async runTask(tarefa) {
+        const { count } = await this.prisma.tarefaEvento.updateMany({
+            where: { id: tarefa.id, status: 'pendente' },
+            data: { status: 'processando', travadoEm: new Date(), tentativas: { increment: 1 } }
+        });
+
+        if (count === 0) return null;
+
+        const tentativa = tarefa.tentativas + 1;
+        const assinante = (this.assinantes.get(tarefa.evento) || []).find(a => a.nome === tarefa.assinante);
+
+        try {
+            if (!assinante) {
+                throw new Error(`Nenhum assinante "${tarefa.assinante}" registrado para ${tarefa.evento}`);
+            }
+
+            await assinante.handler(tarefa.payload, { tarefaId: tarefa.id, tentativa });
+
+            await this.prisma.tarefaEvento.update({
+                where: { id: tarefa.id },
+                data: { status: 'concluida', concluidaEm: new Date(), travadoEm: null, ultimoErro: null }
+            });
+
+            return 'concluida';
+        } catch (error) {
+            const esgotou = tentativa >= tarefa.maxTentativas;
+
+            await this.prisma.tarefaEvento.update({
+                where: { id: tarefa.id },
+                data: {
+                    status: esgotou ? 'falhou' : 'pendente',
+                    travadoEm: null,
+                    ultimoErro: error.message,
+                    proximaTentativaEm: new Date(Date.now() + this.backoff(tentativa))
+                }
+            });
+
+            console.error(`❌ Tarefa ${tarefa.id} (${tarefa.evento} → ${tarefa.assinante}) falhou na tentativa ${tentativa}:`, error.message);
+            return esgotou ? 'falhou' : 'reagendada';
+        }
+    }
+
+    // 30s, 1min, 2min, 4min... até 1h
+    backoff(tentativa) {
+        return Math.min(30 * SEGUNDO * 2 ** (tentativa - 1), 60 * MINUTO);
+    }
+
+    // Devolve uma tarefa que esgotou as tentativas para a fila; false se ela não estava em "falhou"
+    async retry(id) {
+        const { count } = await this.prisma.tarefaEvento.updateMany({
+            where: { id, status: 'falhou' },
+            data: { status: 'pendente', tentativas: 0, proximaTentativaEm: new Date(), ultimoErro: null }
+        });
+
+        if (count > 0) this.process({ origem: 'reprocessamento' });
+        return count > 0;
+    }
+
+    async status() {
+        const porStatus = await this.prisma.tarefaEvento.groupBy({
+            by: ['status'],
+            _count: { _all: true }
+        });
+
+        return {
+            agendado: !!this.timer,
+            intervaloSegundos: this.intervalo / SEGUNDO,
+            emExecucao: !!this.execucaoAtual,
+            ultimaExecucao: this.ultimaExecucao,
+            tarefas: Object.fromEntries(porStatus.map(s => [s.status, s._count._all])),
+            assinantes: Object.fromEntries([...this.assinantes].map(([evento, lista]) => [evento, lista.map(a => a.nome)]))
+        };
+    }
+}
+
+const eventBusService = new EventBusService();
+export { eventBusService, EventBusService };
+export default eventBusService;
@@ -0,0 +1,330 @@
+import courseVersionService from './course-version.service.js';
+import permissionService from './permission.service.js';
+
+const DIA = 24 * 60 * 60 * 1000;
+
+// Só estes status de matrícula dão acesso ao conteúdo do curso
+const STATUS_MATRICULA_COM_ACESSO = ['ativa', 'concluida'];
+
+// Curso sem registro em configuracaoCurso mantém o comportamento original
+const CONFIGURACAO_CURSO_PADRAO = {
+    modoProgresso: 'controlado',
+    permiteAvancar: false,
+    requerAutorizacao: true,
+    limiteDiasAula: null,
+    percentualMinimoVideo: 0
+};
+
+const SISTEMA_AUTORIZACAO_PADRAO = {
+    id: null,
+    modo: 'progressivo',
+    bloqueioTotal: false,
+    mensagem: null,
+    atualizadoEm: null,
+    atualizadoPor: null
+};
+
+// Decisões possíveis: "codigo" é estável para o frontend, "motivo" é o texto exibido ao aluno
+const DECISOES = {
+    ACESSO_EQUIPE: { autorizada: true, motivo: 'Papel com acesso a todos os cursos' },
+    CURSO_INDISPONIVEL: { autorizada: false, motivo: 'Curso inativo ou sem versão publicada' },
+    AULA_FORA_DO_CURSO: { autorizada: false, motivo: 'Aula não faz parte da versão publicada do curso' },
+    SEM_MATRICULA: { autorizada: false, motivo: 'Sem matrícula vigente no curso' },
+    AULA_CONCLUIDA: { autorizada: true, motivo: 'Aula já concluída' },
+    PROGRESSO_BLOQUEADO: { autorizada: false, motivo: 'Progresso bloqueado' },
+    MODO_LIVRE: { autorizada: true, motivo: 'Sistema em modo livre' },
+    LIBERACAO_CURSO: { autorizada: true, motivo: 'Curso totalmente liberado' },
+    LIBERACAO_MODULO: { autorizada: true, motivo: 'Módulo liberado' },
+    LIBERACAO_AULA: { autorizada: true, motivo: 'Aula específica liberada' },
+    PRIMEIRA_AULA: { autorizada: true, motivo: 'Primeira aula do curso' },
+    AULA_ANTERIOR_CONCLUIDA: { autorizada: true, motivo: 'Aula anterior concluída' },
+    AVANCO_LIVRE_CURSO: { autorizada: true, motivo: 'Avanço livre no curso' },
+    AVANCO_LIVRE_MODULO: { autorizada: true, motivo: 'Avanço livre no módulo' },
+    PRAZO_EXPIRADO: { autorizada: false, motivo: 'Prazo de acesso à aula expirado' },
+    SEM_AUTORIZACAO: { autorizada: false, motivo: 'Sem autorização' }
+};
+
+const CODIGO_POR_TIPO_AUTORIZACAO = {
+    liberar_todas: 'LIBERACAO_CURSO',
+    liberar_modulo: 'LIBERACAO_MODULO',
+    liberar_aula: 'LIBERACAO_AULA'
+};
+
+// Política única de "este aluno pode abrir esta aula". Ordem da decisão:
+//   1. papel com cursos:ver_todos abre tudo
+//   2. curso ativo e publicado, aula na versão publicada, matrícula vigente
+//   3. aula concluída continua aberta para revisão
+//   4. bloquear_progresso congela o aluno (acima do modo global e das liberações)
+//   5. modo global livre abre tudo
+//   6. autorizações explícitas (liberar_todas / liberar_modulo / liberar_aula)
+//   7. liberação pelo modo de progresso do curso (só no modo global progressivo):
+//      controlado - toda aula precisa de autorização explícita
+//      auto       - a próxima aula libera sozinha quando a anterior é concluída
+//      misto      - libera sozinha dentro do módulo; entrar em outro módulo exige autorização
+//      permiteAvancar libera as aulas seguintes sem concluir as anteriores (no curso ou no
+//      módulo) e requerAutorizacao exige autorização para a primeira aula do curso
+// limiteDiasAula faz o acesso de 6 e 7 expirar N dias depois de liberado.
+class LessonAccessPolicyService {
+    constructor() {
+        this.prisma = null;
+        this.decisoes = DECISOES;
+    }
+
+    usePrisma(prisma) {
+        this.prisma = prisma;
+    }
+
+    enrollmentFilter(agora = new Date()) {
+        return {
+            status: { in: STATUS_MATRICULA_COM_ACESSO },
+            dataInicio: { lte: agora },
+            OR: [{ dataFim: null }, { dataFim: { gt: agora } }]
+        };
+    }
+
+    isEnrollmentValid(matricula, agora = new Date()) {
+        return STATUS_MATRICULA_COM_ACESSO.includes(matricula.status)
+            && matricula.dataInicio <= agora
+            && (!matricula.dataFim || matricula.dataFim > agora);
+    }
+
+    async loadSystem() {
+        const sistema = await this.prisma.sistemaAutorizacao.findFirst({ orderBy: { id: 'asc' } });
+        return sistema || { ...SISTEMA_AUTORIZACAO_PADRAO };
+    }
+
+    async loadCourseConfig(cursoId) {
+        const config = await this.prisma.configuracaoCurso.findUnique({ where: { cursoId } });
+        return config || { cursoId, ...CONFIGURACAO_CURSO_PADRAO, padrao: true };
+    }
+
+    // Matrícula vigente ou papel com acesso a todos os cursos
+    async hasCourseAccess(usuario, cursoId) {
+        if (permissionService.can(usuario, 'cursos:ver_todos')) return true;
+
+        const matricula = await this.prisma.matricula.findFirst({
+            where: { usuarioId: usuario.id, cursoId, ...this.enrollmentFilter() },
+            select: { id: true }
+        });
+
+        return !!matricula;
+    }
+
+    // Bloqueio vigente entre autorizações ativas: { autorizacaoId, motivo, ate, desde } ou null
+    progressBlock(autorizacoes) {
+        const bloqueios = autorizacoes.filter(auth => auth.tipo === 'bloquear_progresso');
+        if (bloqueios.length === 0) return null;
+
+        // Sem data vale mais que qualquer prazo; entre prazos, o mais distante
+        const vigente = bloqueios.find(b => !b.dataExpiracao)
+            || bloqueios.reduce((a, b) => (new Date(a.dataExpiracao) > new Date(b.dataExpiracao) ? a : b));
+
+        return {
+            autorizacaoId: vigente.id,
+            motivo: vigente.motivo,
+            ate: vigente.dataExpiracao || null,
+            desde: vigente.criadoEm
+        };
+    }
+
+    async findProgressBlock(usuarioId, cursoId) {
+        const bloqueios = await this.prisma.autorizacaoAula.findMany({
+            where: { usuarioId, cursoId, tipo: 'bloquear_progresso', ...this.activeFilter() }
+        });
+
+        return this.progressBlock(bloqueios);
+    }
+
+    describeBlock(bloqueio) {
+        const prazo = bloqueio.ate
+            ? `até ${new Date(bloqueio.ate).toLocaleString('pt-BR')}`
+            : 'até ser liberado pelo professor';
+        return `Seu progresso neste curso está bloqueado ${prazo}${bloqueio.motivo ? ` (${bloqueio.motivo})` : ''}`;
+    }
+
+    activeFilter(agora = new Date()) {
+        return {
+            ativo: true,
+            OR: [{ dataExpiracao: null }, { dataExpiracao: { gt: agora } }]
+        };
+    }
+
+    covers(auth, aula) {
+        return auth.tipo === 'liberar_todas'
+            || (auth.tipo === 'liberar_modulo' && auth.moduloId === aula.moduloId)
+            || (auth.tipo === 'liberar_aula' && auth.aulaId === aula.id);
+    }
+
+    accessDeadline(liberadaEm, limiteDiasAula) {
+        if (!limiteDiasAula || !liberadaEm) return null;
+        return new Date(new Date(liberadaEm).getTime() + limiteDiasAula * DIA);
+    }
+
+    // Tudo que a decisão precisa para um aluno em um curso, num único conjunto de consultas
+    async loadContext(usuario, cursoId) {
+        const agora = new Date();
+
+        const [curso, matricula, autorizacoes, progressos, config, sistema] = await Promise.all([
+            this.prisma.curso.findUnique({
+                where: { id: cursoId },
+                select: { id: true, ativo: true, versaoPublicada: { select: { conteudo: true } } }
+            }),
+            this.prisma.matricula.findFirst({
+                where: { usuarioId: usuario.id, cursoId, ...this.enrollmentFilter(agora) },
+                select: { id: true, dataInicio: true }
+            }),
+            this.prisma.autorizacaoAula.findMany({
+                where: { usuarioId: usuario.id, cursoId, ...this.activeFilter(agora) },
+                orderBy: { id: 'asc' }
+            }),
+            this.prisma.progressoAula.findMany({
+                where: { usuarioId: usuario.id, concluida: true, aula: { modulo: { cursoId } } },
+                select: { aulaId: true, dataConclusao: true }
+            }),
+            this.loadCourseConfig(cursoId),
+            this.loadSystem()
+        ]);
+
+        return {
+            usuarioId: usuario.id,
+            cursoId,
+            agora,
+            acessoTotal: permissionService.can(usuario, 'cursos:ver_todos'),
+            cursoDisponivel: !!curso?.ativo && !!curso.versaoPublicada,
+            matriculado: !!matricula,
+            inicio: matricula?.dataInicio || null,
+            aulas: courseVersionService.lessonsOf(curso?.versaoPublicada?.conteudo),
+            concluidas: new Map(progressos.map(p => [p.aulaId, p.dataConclusao])),
+            autorizacoes,
+            bloqueio: this.progressBlock(autorizacoes),
+            config,
+            sistema
+        };
+    }
+
+    // Decisão para uma aula: { autorizada, codigo, motivo, expiraEm, expiradaEm, permiteRevisao, bloqueio, ... }
+    decide(contexto, aulaId) {
+        const { config, sistema, agora } = contexto;
+        const indice = contexto.aulas.findIndex(a => a.id === aulaId);
+        const aula = contexto.aulas[indice] || null;
+
+        const base = {
+            aulaId,
+            moduloId: aula ? aula.moduloId : null,
+            modoSistema: sistema.modo,
+            modoProgresso: config.modoProgresso,
+            expiraEm: null,
+            expiradaEm: null,
+            permiteRevisao: false,
+            bloqueio: null
+        };
+        const resultado = (codigo, extra = {}) => ({ ...base, codigo, ...DECISOES[codigo], ...extra });
+
+        if (contexto.acessoTotal) return resultado('ACESSO_EQUIPE');
+        if (!contexto.cursoDisponivel) return resultado('CURSO_INDISPONIVEL');
+        if (!aula) return resultado('AULA_FORA_DO_CURSO');
+        if (!contexto.matriculado) return resultado('SEM_MATRICULA');
+        if (contexto.concluidas.has(aulaId)) return resultado('AULA_CONCLUIDA', { permiteRevisao: true });
+        if (contexto.bloqueio) return resultado('PROGRESSO_BLOQUEADO', { bloqueio: contexto.bloqueio });
+        if (sistema.modo === 'livre') return resultado('MODO_LIVRE');
+
+        let expiradaEm = null;
+
+        for (const auth of contexto.autorizacoes) {
+            if (!this.covers(auth, aula)) continue;
+
+            // limiteDiasAula conta a partir da criação da autorização
+            const limite = this.accessDeadline(auth.criadoEm, config.limiteDiasAula);
+            if (limite && limite <= agora) {
+                expiradaEm = limite;
+                continue;
+            }
+
+            const expiraEm = [auth.dataExpiracao, limite].filter(Boolean).sort((a, b) => a - b)[0] || null;
+            return resultado(CODIGO_POR_TIPO_AUTORIZACAO[auth.tipo], { expiraEm, autorizacaoId: auth.id });
+        }
+
+        if (sistema.modo === 'progressivo' && config.modoProgresso !== 'controlado') {
+            const liberacao = this.automaticRelease(contexto, indice);
+
+            if (liberacao) {
+                const expiraEm = this.accessDeadline(liberacao.liberadaEm, config.limiteDiasAula);
+                if (!expiraEm || expiraEm > agora) {
+                    return resultado(liberacao.codigo, { expiraEm });
+                }
+                expiradaEm = expiraEm;
+            }
+        }
+
+        return expiradaEm ? resultado('PRAZO_EXPIRADO', { expiradaEm }) : resultado('SEM_AUTORIZACAO');
+    }
+
+    // Liberação pelo modo do curso (sem autorização explícita): { codigo, liberadaEm } ou null
+    automaticRelease(contexto, indice) {
+        const { aulas, config, concluidas, inicio } = contexto;
+        const aula = aulas[indice];
+
+        // Aula "aberta" por conclusão ou autorização explícita (usada como porta de entrada)
+        const aberta = (a) => concluidas.has(a.id) || contexto.autorizacoes.some(auth => this.covers(auth, a));
+
+        if (indice === 0) {
+            return config.requerAutorizacao ? null : { codigo: 'PRIMEIRA_AULA', liberadaEm: inicio };
+        }
+
+        const anterior = aulas[indice - 1];
+        const porAulaAnterior = concluidas.has(anterior.id)
+            ? { codigo: 'AULA_ANTERIOR_CONCLUIDA', liberadaEm: concluidas.get(anterior.id) }
+            : null;
+
+        if (config.modoProgresso === 'auto') {
+            if (config.permiteAvancar) {
+                const cursoIniciado = !config.requerAutorizacao || aberta(aulas[0]);
+                return cursoIniciado ? { codigo: 'AVANCO_LIVRE_CURSO', liberadaEm: inicio } : null;
+            }
+            return porAulaAnterior;
+        }
+
+        if (config.modoProgresso === 'misto') {
+            // Primeira aula de um módulo depende de autorização
+            if (anterior.moduloId !== aula.moduloId) return null;
+
+            if (config.permiteAvancar) {
+                const primeiraDoModulo = aulas.find(a => a.moduloId === aula.moduloId);
+                const moduloIniciado = aberta(primeiraDoModulo)
+                    || (aulas[0].id === primeiraDoModulo.id && !config.requerAutorizacao);
+                return moduloIniciado ? { codigo: 'AVANCO_LIVRE_MODULO', liberadaEm: inicio } : null;
+            }
+            return porAulaAnterior;
+        }
+
+        return null;
+    }
+
+    async evaluateLesson(usuario, cursoId, aulaId) {
+        const contexto = await this.loadContext(usuario, cursoId);
+        return this.decide(contexto, aulaId);
+    }
+
+    // Forma em lote: todas as aulas publicadas do curso com as mesmas consultas de uma aula
+    async evaluateCourse(usuario, cursoId) {
+        const contexto = await this.loadContext(usuario, cursoId);
+        const decisoes = new Map(contexto.aulas.map(aula => [aula.id, this.decide(contexto, aula.id)]));
+        return { contexto, decisoes };
+    }
+
+    // Versão enxuta da decisão para anexar a cada aula nas respostas
+    summarize(decisao) {
+        return {
+            autorizada: decisao.autorizada,
+            codigo: decisao.codigo,
+            motivo: decisao.motivo,
+            expiraEm: decisao.expiraEm,
+            expiradaEm: decisao.expiradaEm,
+            permiteRevisao: decisao.permiteRevisao
+        };
+    }
+}
+
+const lessonAccessPolicyService = new LessonAccessPolicyService();
+export { lessonAccessPolicyService, LessonAccessPolicyService };
+export default lessonAccessPolicyService;
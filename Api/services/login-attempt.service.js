@@ -0,0 +1,267 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MINUTO = 60 * 1000;
+
+// Armazenamento em memória do processo (padrão)
+class MemoryAttemptStore {
+    constructor() {
+        this.registros = new Map();
+    }
+
+    async get(chave) {
+        return this.registros.get(chave) || null;
+    }
+
+    // Leitura e escrita sem await no meio: atômico dentro do processo
+    async increment(chave, { tipo, valor }, agora, inicioJanela) {
+        const atual = this.registros.get(chave);
+        const bloqueado = atual?.bloqueadoAte && atual.bloqueadoAte > agora;
+        const expirado = atual && !bloqueado && (!atual.ultimaFalha || atual.ultimaFalha < inicioJanela);
+
+        const registro = {
+            chave,
+            tipo,
+            valor,
+            bloqueios: atual?.bloqueios || 0,
+            bloqueadoAte: atual?.bloqueadoAte || null,
+            falhas: (atual && !expirado ? atual.falhas : 0) + 1,
+            ultimaFalha: agora
+        };
+
+        this.registros.set(chave, registro);
+        return { ...registro };
+    }
+
+    // Bloqueia só se ninguém bloqueou desde a leitura (mesmo número de bloqueios)
+    async lock(chave, { bloqueiosAnteriores, limite, bloqueadoAte }) {
+        const atual = this.registros.get(chave);
+        if (!atual || atual.bloqueios !== bloqueiosAnteriores || atual.falhas < limite) return false;
+
+        Object.assign(atual, { falhas: 0, bloqueios: atual.bloqueios + 1, bloqueadoAte });
+        return true;
+    }
+
+    async delete(chave) {
+        return this.registros.delete(chave);
+    }
+
+    async listLocked(agora) {
+        return [...this.registros.values()].filter(r => r.bloqueadoAte && r.bloqueadoAte > agora);
+    }
+
+    async purge(antesDe) {
+        for (const [chave, registro] of this.registros) {
+            const ativo = registro.bloqueadoAte && registro.bloqueadoAte > antesDe;
+            if (!ativo && (!registro.ultimaFalha || registro.ultimaFalha < antesDe)) {
+                this.registros.delete(chave);
+            }
+        }
+    }
+}
+
+// Armazenamento persistente na tabela tentativas_login (sobrevive a reinícios)
+class PrismaAttemptStore {
+    constructor(prisma) {
+        this.prisma = prisma;
+    }
+
+    async get(chave) {
+        return this.prisma.tentativaLogin.findUnique({ where: { chave } });
+    }
+
+    // Incremento atômico no banco; contador fora da janela (e sem bloqueio ativo) volta a zero antes
+    async increment(chave, { tipo, valor }, agora, inicioJanela) {
+        await this.prisma.tentativaLogin.updateMany({
+            where: {
+                chave,
+                OR: [{ ultimaFalha: null }, { ultimaFalha: { lt: inicioJanela } }],
+                AND: [{ OR: [{ bloqueadoAte: null }, { bloqueadoAte: { lte: agora } }] }]
+            },
+            data: { falhas: 0 }
+        });
+
+        return this.prisma.tentativaLogin.upsert({
+            where: { chave },
+            create: { chave, tipo, valor, falhas: 1, ultimaFalha: agora },
+            update: { falhas: { increment: 1 }, ultimaFalha: agora }
+        });
+    }
+
+    // Bloqueia só se ninguém bloqueou desde a leitura (mesmo número de bloqueios)
+    async lock(chave, { bloqueiosAnteriores, limite, bloqueadoAte }) {
+        const { count } = await this.prisma.tentativaLogin.updateMany({
+            where: { chave, bloqueios: bloqueiosAnteriores, falhas: { gte: limite } },
+            data: { falhas: 0, bloqueios: { increment: 1 }, bloqueadoAte }
+        });
+
+        return count > 0;
+    }
+
+    async delete(chave) {
+        const { count } = await this.prisma.tentativaLogin.deleteMany({ where: { chave } });
+        return count > 0;
+    }
+
+    async listLocked(agora) {
+        return this.prisma.tentativaLogin.findMany({
+            where: { bloqueadoAte: { gt: agora } },
+            orderBy: { bloqueadoAte: 'desc' }
+        });
+    }
+
+    async purge(antesDe) {
+        await this.prisma.tentativaLogin.deleteMany({
+            where: {
+                ultimaFalha: { lt: antesDe },
+                OR: [{ bloqueadoAte: null }, { bloqueadoAte: { lt: antesDe } }]
+            }
+        });
+    }
+}
+
+class LoginAttemptService {
+    constructor() {
+        this.store = new MemoryAttemptStore();
+        this.storeType = 'memoria';
+
+        // Limites por chave: o IP tolera mais falhas (vários alunos atrás do mesmo NAT da escola)
+        this.limites = {
+            ra: parseInt(process.env.LOGIN_MAX_FALHAS_RA) || 5,
+            ip: parseInt(process.env.LOGIN_MAX_FALHAS_IP) || 30
+        };
+        this.janela = (parseInt(process.env.LOGIN_JANELA_MINUTOS) || 15) * MINUTO;
+        this.bloqueioBase = (parseInt(process.env.LOGIN_BLOQUEIO_MINUTOS) || 15) * MINUTO;
+        this.bloqueioMaximo = 24 * 60 * MINUTO;
+
+        // Atraso progressivo (500ms, 1s, 2s... até 8s) a partir da 3ª falha do RA
+        // ou da metade do limite do IP
+        this.atrasoInicial = 500;
+        this.atrasoMaximo = 8000;
+        this.falhasSemAtraso = {
+            ra: 2,
+            ip: Math.floor(this.limites.ip / 2)
+        };
+    }
+
+    // Ativa a persistência em Postgres (LOGIN_ATTEMPTS_STORE=postgres)
+    usePrisma(prisma) {
+        this.store = new PrismaAttemptStore(prisma);
+        this.storeType = 'postgres';
+    }
+
+    keysFor(ra, ip) {
+        const chaves = [];
+        if (ra) chaves.push({ chave: `ra:${ra}`, tipo: 'ra', valor: String(ra) });
+        if (ip) chaves.push({ chave: `ip:${ip}`, tipo: 'ip', valor: String(ip) });
+        return chaves;
+    }
+
+    // Registro expirado (sem bloqueio ativo e fora da janela) volta a contar do zero
+    normalize(registro, agora) {
+        if (!registro) return null;
+
+        const bloqueado = registro.bloqueadoAte && new Date(registro.bloqueadoAte) > agora;
+        const foraDaJanela = !registro.ultimaFalha || agora - new Date(registro.ultimaFalha) > this.janela;
+
+        if (!bloqueado && foraDaJanela) {
+            return { ...registro, falhas: 0, bloqueadoAte: null };
+        }
+
+        return registro;
+    }
+
+    delayFor(tipo, falhas) {
+        const semAtraso = this.falhasSemAtraso[tipo];
+        if (falhas <= semAtraso) return 0;
+        return Math.min(this.atrasoInicial * 2 ** (falhas - semAtraso - 1), this.atrasoMaximo);
+    }
+
+    // Verifica antes de validar a senha: { bloqueado, retryAfter (s), atraso (ms) }
+    async check(ra, ip) {
+        const agora = new Date();
+        let retryAfter = 0;
+        let atraso = 0;
+
+        for (const { chave, tipo } of this.keysFor(ra, ip)) {
+            const registro = this.normalize(await this.store.get(chave), agora);
+            if (!registro) continue;
+
+            if (registro.bloqueadoAte && new Date(registro.bloqueadoAte) > agora) {
+                retryAfter = Math.max(retryAfter, Math.ceil((new Date(registro.bloqueadoAte) - agora) / 1000));
+            }
+
+            atraso = Math.max(atraso, this.delayFor(tipo, registro.falhas));
+        }
+
+        return { bloqueado: retryAfter > 0, retryAfter, atraso };
+    }
+
+    async registerFailure(ra, ip) {
+        const agora = new Date();
+        let bloqueadoAte = null;
+
+        for (const { chave, tipo, valor } of this.keysFor(ra, ip)) {
+            // O valor devolvido pelo incremento decide o bloqueio: tentativas paralelas não se sobrescrevem
+            let registro = await this.store.increment(chave, { tipo, valor }, agora, new Date(agora.getTime() - this.janela));
+
+            // Cada novo bloqueio da mesma chave dobra a duração (15min, 30min, 1h... até 24h)
+            if (registro.falhas >= this.limites[tipo]) {
+                const duracao = Math.min(this.bloqueioBase * 2 ** registro.bloqueios, this.bloqueioMaximo);
+                const ate = new Date(agora.getTime() + duracao);
+
+                const bloqueou = await this.store.lock(chave, {
+                    bloqueiosAnteriores: registro.bloqueios,
+                    limite: this.limites[tipo],
+                    bloqueadoAte: ate
+                });
+
+                if (bloqueou) {
+                    registro = { ...registro, bloqueadoAte: ate };
+                    console.warn(`🚫 Login bloqueado para ${chave} até ${ate.toISOString()}`);
+                } else {
+                    // Outra tentativa simultânea já aplicou o bloqueio
+                    registro = (await this.store.get(chave)) || registro;
+                }
+            }
+
+            const ativo = registro.bloqueadoAte && new Date(registro.bloqueadoAte) > agora;
+            if (ativo && (!bloqueadoAte || registro.bloqueadoAte > bloqueadoAte)) {
+                bloqueadoAte = registro.bloqueadoAte;
+            }
+        }
+
+        return { bloqueadoAte };
+    }
+
+    // Login correto zera o contador do RA; o do IP continua valendo para os demais RAs
+    async registerSuccess(ra) {
+        if (!ra) return;
+        await this.store.delete(`ra:${ra}`);
+    }
+
+    async listLocked() {
+        const agora = new Date();
+        await this.store.purge(new Date(agora.getTime() - this.bloqueioMaximo));
+
+        const registros = await this.store.listLocked(agora);
+        return registros.map(r => ({
+            chave: r.chave,
+            tipo: r.tipo,
+            valor: r.valor,
+            bloqueios: r.bloqueios,
+            bloqueadoAte: r.bloqueadoAte,
+            ultimaFalha: r.ultimaFalha,
+            segundosRestantes: Math.ceil((new Date(r.bloqueadoAte) - agora) / 1000)
+        }));
+    }
+
+    async clear(tipo, valor) {
+        return this.store.delete(`${tipo}:${valor}`);
+    }
+}
+
+const loginAttemptService = new LoginAttemptService();
+export { loginAttemptService, LoginAttemptService, MemoryAttemptStore, PrismaAttemptStore };
+export default loginAttemptService;
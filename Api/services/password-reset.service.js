@@ -0,0 +1,43 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Sem caracteres ambíguos (0/O, 1/I/L) para facilitar o ditado em sala
+const ALFABETO = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+class PasswordResetService {
+    constructor() {
+        this.codeLength = 8;
+        this.ttlMinutos = parseInt(process.env.RESET_CODE_TTL_MINUTOS) || 30;
+        this.maxTentativas = 5;
+    }
+
+    // Código no formato XXXX-XXXX
+    generateCode() {
+        const caracteres = Array.from({ length: this.codeLength }, () => ALFABETO[crypto.randomInt(ALFABETO.length)]).join('');
+        return `${caracteres.slice(0, 4)}-${caracteres.slice(4)}`;
+    }
+
+    normalizeCode(codigo) {
+        return (codigo || '').toString().toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    hashCode(codigo) {
+        return crypto.createHash('sha256').update(this.normalizeCode(codigo)).digest('hex');
+    }
+
+    matches(codigo, codigoHash) {
+        const a = Buffer.from(this.hashCode(codigo), 'hex');
+        const b = Buffer.from(codigoHash || '', 'hex');
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
+    expirationDate(agora = new Date()) {
+        return new Date(agora.getTime() + this.ttlMinutos * 60 * 1000);
+    }
+}
+
+const passwordResetService = new PasswordResetService();
+export { passwordResetService, PasswordResetService };
+export default passwordResetService;
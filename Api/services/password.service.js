@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(crypto.scrypt);
+
+class PasswordService {
+    constructor() {
+        this.prefix = 'scrypt';
+        this.cost = 16384;
+        this.blockSize = 8;
+        this.parallelization = 1;
+        this.keyLength = 64;
+        this.saltLength = 16;
+    }
+
+    // Formato armazenado: scrypt$N$r$p$salt$hash (salt e hash em base64)
+    isHashed(valor) {
+        return typeof valor === 'string' && valor.startsWith(`${this.prefix}$`) && valor.split('$').length === 6;
+    }
+
+    async hash(senha) {
+        if (!senha || typeof senha !== 'string') {
+            throw new Error('Senha inválida para hash');
+        }
+
+        const salt = crypto.randomBytes(this.saltLength);
+        const derivada = await this.derive(senha, salt, this.cost, this.blockSize, this.parallelization, this.keyLength);
+
+        return [
+            this.prefix,
+            this.cost,
+            this.blockSize,
+            this.parallelization,
+            salt.toString('base64'),
+            derivada.toString('base64')
+        ].join('$');
+    }
+
+    async verify(senha, armazenada) {
+        if (!senha || typeof senha !== 'string' || !armazenada) return false;
+
+        // Senhas legadas em texto puro (antes da migração)
+        if (!this.isHashed(armazenada)) {
+            return this.safeEqual(Buffer.from(senha), Buffer.from(armazenada));
+        }
+
+        const [, cost, blockSize, parallelization, saltB64, hashB64] = armazenada.split('$');
+        const esperada = Buffer.from(hashB64, 'base64');
+        const derivada = await this.derive(
+            senha,
+            Buffer.from(saltB64, 'base64'),
+            parseInt(cost),
+            parseInt(blockSize),
+            parseInt(parallelization),
+            esperada.length
+        );
+
+        return this.safeEqual(derivada, esperada);
+    }
+
+    // Mesmo custo de uma verificação real, para que RAs inexistentes não respondam mais rápido
+    async verifyDummy(senha) {
+        if (!this.dummyHash) {
+            this.dummyHash = await this.hash(crypto.randomBytes(16).toString('hex'));
+        }
+
+        await this.verify(typeof senha === 'string' ? senha : '', this.dummyHash);
+        return false;
+    }
+
+    // Indica se a senha armazenada deve ser regravada com os parâmetros atuais
+    needsRehash(armazenada) {
+        if (!this.isHashed(armazenada)) return true;
+
+        const [, cost, blockSize, parallelization] = armazenada.split('$');
+        return parseInt(cost) !== this.cost ||
+            parseInt(blockSize) !== this.blockSize ||
+            parseInt(parallelization) !== this.parallelization;
+    }
+
+    derive(senha, salt, cost, blockSize, parallelization, keyLength) {
+        return scryptAsync(senha, salt, keyLength, {
+            N: cost,
+            r: blockSize,
+            p: parallelization,
+            maxmem: 128 * cost * blockSize * 2
+        });
+    }
+
+    safeEqual(a, b) {
+        if (a.length !== b.length) return false;
+        return crypto.timingSafeEqual(a, b);
+    }
+}
+
+const passwordService = new PasswordService();
+export { passwordService, PasswordService };
+export default passwordService;
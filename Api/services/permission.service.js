@@ -0,0 +1,98 @@
+const ROLES = ['aluno', 'professor', 'coordenador', 'admin'];
+
+const PERMISSOES = [
+    'usuarios:listar',
+    'usuarios:gerenciar',
+    'usuarios:redefinir_senha',
+    'alunos:acompanhar',
+    'cursos:ver_todos',
+    'cursos:editar',
+    'matriculas:gerenciar',
+    'videos:editar',
+    'desafios:editar',
+    'autorizacoes:gerenciar',
+    'chat:moderar',
+    'sistema:configurar'
+];
+
+const PERMISSOES_PROFESSOR = [
+    'usuarios:listar',
+    'usuarios:redefinir_senha',
+    'alunos:acompanhar',
+    'cursos:ver_todos',
+    'cursos:editar',
+    'matriculas:gerenciar',
+    'videos:editar',
+    'desafios:editar',
+    'autorizacoes:gerenciar',
+    'chat:moderar'
+];
+
+// Tabela de permissões por papel
+const TABELA_PERMISSOES = {
+    aluno: [],
+    professor: PERMISSOES_PROFESSOR,
+    coordenador: [...PERMISSOES_PROFESSOR, 'usuarios:gerenciar'],
+    admin: PERMISSOES
+};
+
+class PermissionService {
+    constructor() {
+        this.roles = ROLES;
+        this.permissoes = PERMISSOES;
+        this.tabela = TABELA_PERMISSOES;
+        this.defaultRole = 'aluno';
+    }
+
+    isValidRole(role) {
+        return this.roles.includes(role);
+    }
+
+    normalizeRole(role) {
+        return this.isValidRole(role) ? role : this.defaultRole;
+    }
+
+    getPermissions(role) {
+        return this.tabela[this.normalizeRole(role)];
+    }
+
+    hasPermission(role, permissao) {
+        return this.getPermissions(role).includes(permissao);
+    }
+
+    // Atalho para objetos de usuário (req.user ou registro do banco)
+    can(usuario, permissao) {
+        if (!usuario) return false;
+        return this.hasPermission(usuario.role, permissao);
+    }
+
+    rolesWithPermission(permissao) {
+        return this.roles.filter(role => this.hasPermission(role, permissao));
+    }
+
+    // Deriva o papel a partir dos valores legados de Usuario.curso / Usuario.status
+    deriveLegacyRole(cursos = [], status = null) {
+        const marcadores = (cursos || []).map(c => c.toLowerCase().trim());
+
+        if (status === 'admin' || marcadores.includes('admin') || marcadores.includes('administrador')) {
+            return 'admin';
+        }
+        if (marcadores.includes('coordenador') || marcadores.includes('coordenacao')) {
+            return 'coordenador';
+        }
+        if (marcadores.includes('professor')) {
+            return 'professor';
+        }
+
+        return this.defaultRole;
+    }
+
+    isLegacyRoleMarker(curso) {
+        return ['admin', 'administrador', 'coordenador', 'coordenacao', 'professor']
+            .includes((curso || '').toLowerCase().trim());
+    }
+}
+
+const permissionService = new PermissionService();
+export { permissionService, PermissionService };
+export default permissionService;
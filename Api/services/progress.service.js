@@ -0,0 +1,252 @@
+const percentual = (concluidas, total) => total > 0 ? Math.round((concluidas / total) * 100) : 0;
+
+// Progresso agregado (progresso_modulos / progresso_cursos) a partir das aulas concluídas.
+// A estrutura vem da versão publicada do curso; as conclusões do curso inteiro vêm de uma
+// consulta só e são agrupadas por módulo em memória. A gravação usa upsert nas chaves únicas,
+// só nas linhas cujo valor mudou.
+class ProgressService {
+    constructor() {
+        this.prisma = null;
+    }
+
+    usePrisma(prisma) {
+        this.prisma = prisma;
+    }
+
+    // Módulos da versão publicada: [{ id, aulaIds }]
+    async publishedModules(cursoId) {
+        const curso = await this.prisma.curso.findUnique({
+            where: { id: cursoId },
+            select: { versaoPublicada: { select: { conteudo: true } } }
+        });
+
+        const modulos = curso?.versaoPublicada?.conteudo?.modulos || [];
+        return modulos.map(modulo => ({ id: modulo.id, aulaIds: modulo.aulas.map(a => a.id) }));
+    }
+
+    // Map(usuarioId → Set das aulas concluídas entre as informadas), em uma consulta
+    async loadCompletions(aulaIds, usuarioId = null) {
+        if (aulaIds.length === 0) return new Map();
+
+        const concluidas = await this.prisma.progressoAula.findMany({
+            where: {
+                concluida: true,
+                aulaId: { in: aulaIds },
+                ...(usuarioId ? { usuarioId } : {})
+            },
+            select: { usuarioId: true, aulaId: true }
+        });
+
+        const porUsuario = new Map();
+        for (const { usuarioId: uid, aulaId } of concluidas) {
+            if (!porUsuario.has(uid)) porUsuario.set(uid, new Set());
+            porUsuario.get(uid).add(aulaId);
+        }
+
+        return porUsuario;
+    }
+
+    // Recalcula um curso para um aluno ou para todos que têm conclusões ou linhas de progresso nele.
+    // moduloIds restringe os módulos recalculados (o percentual do curso é sempre recalculado).
+    // aoConcluirCurso(tx, usuarioIds) roda na mesma transação das gravações quando alguém chegou a 100%.
+    async recomputeCourse(cursoId, { usuarioId = null, moduloIds = null, dryRun = false, aoConcluirCurso = null } = {}) {
+        const modulos = await this.publishedModules(cursoId);
+        const alvos = moduloIds ? modulos.filter(m => moduloIds.includes(m.id)) : modulos;
+        const aulasCurso = modulos.flatMap(m => m.aulaIds);
+        const filtroUsuario = usuarioId ? { usuarioId } : {};
+
+        const [conclusoes, linhasModulo, linhasCurso] = await Promise.all([
+            this.loadCompletions(aulasCurso, usuarioId),
+            this.prisma.progressoModulo.findMany({
+                where: { moduloId: { in: alvos.map(m => m.id) }, ...filtroUsuario },
+                select: { usuarioId: true, moduloId: true, progresso: true }
+            }),
+            this.prisma.progressoCurso.findMany({
+                where: { cursoId, ...filtroUsuario },
+                select: { usuarioId: true, progresso: true }
+            })
+        ]);
+
+        const anteriorModulo = new Map(linhasModulo.map(l => [`${l.usuarioId}:${l.moduloId}`, l.progresso]));
+        const anteriorCurso = new Map(linhasCurso.map(l => [l.usuarioId, l.progresso]));
+
+        const usuarios = new Set([
+            ...(usuarioId ? [usuarioId] : []),
+            ...conclusoes.keys(),
+            ...linhasModulo.map(l => l.usuarioId),
+            ...linhasCurso.map(l => l.usuarioId)
+        ]);
+
+        const correcoes = [];
+        const operacoes = [];
+        const concluiramCurso = [];
+        const progressos = new Map();
+
+        for (const uid of usuarios) {
+            const progressoModulos = {};
+            const concluidas = conclusoes.get(uid) || new Set();
+
+            alvos.forEach(modulo => {
+                const novo = percentual(modulo.aulaIds.filter(id => concluidas.has(id)).length, modulo.aulaIds.length);
+                const anterior = anteriorModulo.get(`${uid}:${modulo.id}`) ?? null;
+                progressoModulos[modulo.id] = novo;
+
+                // Sem linha e sem conclusões no módulo não precisa criar nada
+                if (anterior === novo || (anterior === null && novo === 0)) return;
+
+                correcoes.push({ tipo: 'modulo', usuarioId: uid, cursoId, moduloId: modulo.id, anterior, novo });
+                operacoes.push(tx => tx.progressoModulo.upsert({
+                    where: { usuarioId_moduloId: { usuarioId: uid, moduloId: modulo.id } },
+                    create: { usuarioId: uid, moduloId: modulo.id, progresso: novo },
+                    update: { progresso: novo }
+                }));
+            });
+
+            const novo = percentual(concluidas.size, aulasCurso.length);
+            const anterior = anteriorCurso.get(uid) ?? null;
+            progressos.set(uid, { curso: novo, modulos: progressoModulos });
+
+            if (anterior === novo || (anterior === null && novo === 0)) continue;
+
+            correcoes.push({ tipo: 'curso', usuarioId: uid, cursoId, moduloId: null, anterior, novo });
+            operacoes.push(tx => tx.progressoCurso.upsert({
+                where: { usuarioId_cursoId: { usuarioId: uid, cursoId } },
+                create: { usuarioId: uid, cursoId, progresso: novo },
+                update: { progresso: novo }
+            }));
+
+            if (novo === 100 && (anterior || 0) < 100) concluiramCurso.push(uid);
+        }
+
+        // Transação interativa só quando há efeito a gravar junto; o recálculo em massa segue em lote
+        if (!dryRun && operacoes.length > 0) {
+            if (aoConcluirCurso && concluiramCurso.length > 0) {
+                await this.prisma.$transaction(async (tx) => {
+                    for (const operacao of operacoes) {
+                        await operacao(tx);
+                    }
+
+                    await aoConcluirCurso(tx, concluiramCurso);
+                });
+            } else {
+                await this.prisma.$transaction(operacoes.map(operacao => operacao(this.prisma)));
+            }
+        }
+
+        return {
+            cursoId,
+            usuarios: usuarios.size,
+            modulos: alvos.length,
+            correcoes,
+            concluiramCurso,
+            progressos
+        };
+    }
+
+    // Colunas do relatório de turma: módulos e aulas da versão publicada, na ordem do aluno
+    matrixColumns(conteudo) {
+        const modulos = (conteudo?.modulos || []).map(modulo => ({
+            id: modulo.id,
+            titulo: modulo.titulo,
+            aulas: modulo.aulas.map(aula => ({ id: aula.id, titulo: aula.titulo }))
+        }));
+
+        return {
+            modulos,
+            aulas: modulos.flatMap(modulo => modulo.aulas.map(aula => ({ ...aula, moduloId: modulo.id })))
+        };
+    }
+
+    // Linhas aluno × aulas para uma página de matrículas (matricula.usuario já carregado):
+    // conclusões e solicitações pendentes vêm em uma consulta cada, para todos os alunos da página
+    async matrixRows(cursoId, colunas, matriculas) {
+        const usuarioIds = matriculas.map(m => m.usuarioId);
+
+        const [progressos, solicitacoes] = await Promise.all([
+            this.prisma.progressoAula.findMany({
+                where: {
+                    usuarioId: { in: usuarioIds },
+                    aulaId: { in: colunas.aulas.map(a => a.id) },
+                    concluida: true
+                },
+                select: { usuarioId: true, aulaId: true, dataConclusao: true }
+            }),
+            this.prisma.solicitacaoAutorizacao.findMany({
+                where: { usuarioId: { in: usuarioIds }, cursoId, status: 'pendente' },
+                select: { id: true, usuarioId: true, aulaId: true, criadoEm: true },
+                orderBy: { criadoEm: 'asc' }
+            })
+        ]);
+
+        const conclusoes = new Map(progressos.map(p => [`${p.usuarioId}:${p.aulaId}`, p.dataConclusao]));
+        const pendentes = new Map();
+        for (const { usuarioId, ...solicitacao } of solicitacoes) {
+            pendentes.set(usuarioId, [...(pendentes.get(usuarioId) || []), solicitacao]);
+        }
+
+        return matriculas.map(matricula => {
+            const concluida = (aulaId) => conclusoes.has(`${matricula.usuarioId}:${aulaId}`);
+
+            const modulos = colunas.modulos.map(modulo => {
+                const concluidas = modulo.aulas.filter(a => concluida(a.id)).length;
+                return {
+                    moduloId: modulo.id,
+                    concluidas,
+                    total: modulo.aulas.length,
+                    progresso: percentual(concluidas, modulo.aulas.length)
+                };
+            });
+
+            const aulasConcluidas = modulos.reduce((total, m) => total + m.concluidas, 0);
+
+            return {
+                usuario: matricula.usuario,
+                matricula: {
+                    id: matricula.id,
+                    status: matricula.status,
+                    dataInicio: matricula.dataInicio,
+                    dataFim: matricula.dataFim
+                },
+                progresso: percentual(aulasConcluidas, colunas.aulas.length),
+                aulasConcluidas,
+                modulos,
+                aulas: colunas.aulas.map(aula => ({
+                    aulaId: aula.id,
+                    concluida: concluida(aula.id),
+                    dataConclusao: conclusoes.get(`${matricula.usuarioId}:${aula.id}`) || null
+                })),
+                solicitacoesPendentes: pendentes.get(matricula.usuarioId) || []
+            };
+        });
+    }
+
+    // Recalcula um curso, um aluno (em todos os cursos publicados) ou todos
+    async recompute({ cursoId = null, usuarioId = null, dryRun = false } = {}) {
+        const cursoIds = cursoId
+            ? [cursoId]
+            : (await this.prisma.curso.findMany({
+                where: { versaoPublicadaId: { not: null } },
+                select: { id: true },
+                orderBy: { id: 'asc' }
+            })).map(c => c.id);
+
+        const cursos = [];
+        const correcoes = [];
+
+        for (const id of cursoIds) {
+            const resultado = await this.recomputeCourse(id, { usuarioId, dryRun });
+            if (resultado.usuarios === 0) continue;
+
+            cursos.push({ cursoId: id, usuarios: resultado.usuarios, correcoes: resultado.correcoes.length });
+            correcoes.push(...resultado.correcoes);
+        }
+
+        console.log(`📊 Progresso recalculado${dryRun ? ' (simulação)' : ''} - ${cursos.length} curso(s), ${correcoes.length} linha(s) corrigida(s)`);
+
+        return { cursoId, usuarioId, dryRun, cursos, correcoes };
+    }
+}
+
+const progressService = new ProgressService();
+export { progressService, ProgressService };
+export default progressService;
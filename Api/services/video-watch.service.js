@@ -0,0 +1,176 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Até 2x de velocidade no player, com folga para a latência entre heartbeats
+const VELOCIDADE_MAXIMA = 2;
+const TOLERANCIA_SEGUNDOS = 5;
+
+// Duração informada pelo player só vale se estiver a até 25% de Aula.duracao
+const TOLERANCIA_DURACAO = 0.25;
+
+// Heartbeats simultâneos da mesma aula: quantas vezes reler o registro antes de desistir
+const TENTATIVAS_GRAVACAO = 3;
+
+// Tempo assistido de vídeo por aluno e aula. O player envia heartbeats com o trecho
+// reproduzido ([inicio, fim] em segundos); cada trecho é limitado pelo tempo real
+// decorrido desde o heartbeat anterior, para que o cliente não declare o vídeo inteiro de uma vez.
+// A duração de referência é Aula.duracao; o player só a ajusta dentro de uma tolerância.
+class VideoWatchService {
+    constructor() {
+        this.prisma = null;
+
+        // Maior trecho aceito em um único heartbeat (VIDEO_HEARTBEAT_MAX_SEGUNDOS)
+        this.maxSegmento = parseInt(process.env.VIDEO_HEARTBEAT_MAX_SEGUNDOS) || 60;
+    }
+
+    usePrisma(prisma) {
+        this.prisma = prisma;
+    }
+
+    // Ordena e junta trechos sobrepostos ou encostados
+    mergeSegments(segmentos) {
+        const ordenados = segmentos
+            .filter(s => Array.isArray(s) && s[1] > s[0])
+            .map(([inicio, fim]) => [inicio, fim])
+            .sort((a, b) => a[0] - b[0]);
+
+        const mesclados = [];
+        for (const trecho of ordenados) {
+            const ultimo = mesclados[mesclados.length - 1];
+            if (ultimo && trecho[0] <= ultimo[1]) {
+                ultimo[1] = Math.max(ultimo[1], trecho[1]);
+            } else {
+                mesclados.push(trecho);
+            }
+        }
+
+        return mesclados;
+    }
+
+    totalSeconds(segmentos) {
+        return Math.round(segmentos.reduce((total, [inicio, fim]) => total + (fim - inicio), 0));
+    }
+
+    // Duração do player em segundos se for compatível com Aula.duracao, senão null
+    plausibleLength(duracaoVideo, aula) {
+        const referencia = (aula.duracao || 0) * 60;
+        if (!duracaoVideo || referencia <= 0) return null;
+
+        return Math.abs(duracaoVideo - referencia) <= referencia * TOLERANCIA_DURACAO
+            ? Math.round(duracaoVideo)
+            : null;
+    }
+
+    // Duração em segundos: a do player quando compatível com a aula, senão Aula.duracao (minutos)
+    lessonLength(visualizacao, aula) {
+        const player = this.plausibleLength(visualizacao?.duracaoVideo, aula);
+        if (player) return { segundos: player, fonte: 'player' };
+        return { segundos: (aula.duracao || 0) * 60, fonte: 'aula' };
+    }
+
+    // Retorna a mensagem de erro ou null
+    validateHeartbeat({ inicio, fim, duracaoVideo }) {
+        if (typeof inicio !== 'number' || typeof fim !== 'number' || !isFinite(inicio) || !isFinite(fim)) {
+            return 'inicio e fim devem ser números (segundos do vídeo)';
+        }
+        if (inicio < 0 || fim <= inicio) {
+            return 'fim deve ser maior que inicio e inicio não pode ser negativo';
+        }
+        if (duracaoVideo !== undefined && duracaoVideo !== null && (typeof duracaoVideo !== 'number' || duracaoVideo <= 0)) {
+            return 'duracaoVideo deve ser um número positivo';
+        }
+        return null;
+    }
+
+    // Gravação otimista: a atualização só vale se ultimoHeartbeatEm não mudou desde a leitura,
+    // então heartbeats paralelos não recebem cada um a folga inteira de tempo decorrido
+    async record(usuarioId, aula, { inicio, fim, duracaoVideo = null }) {
+        const chave = { usuarioId_aulaId: { usuarioId, aulaId: aula.id } };
+
+        for (let tentativa = 1; tentativa <= TENTATIVAS_GRAVACAO; tentativa++) {
+            const atual = await this.prisma.visualizacaoAula.findUnique({ where: chave });
+            const agora = new Date();
+
+            const decorrido = atual ? (agora - atual.ultimoHeartbeatEm) / 1000 : this.maxSegmento;
+            const permitido = Math.min(this.maxSegmento, decorrido * VELOCIDADE_MAXIMA + TOLERANCIA_SEGUNDOS);
+
+            // A duração aceita nunca diminui
+            const duracao = Math.max(this.plausibleLength(duracaoVideo, aula) || 0, atual?.duracaoVideo || 0) || null;
+            const { segundos: limiteVideo } = this.lessonLength({ duracaoVideo: duracao }, aula);
+
+            const fimAceito = Math.min(fim, inicio + permitido, limiteVideo || fim);
+            const segmentos = fimAceito > inicio
+                ? this.mergeSegments([...(atual?.segmentos || []), [inicio, fimAceito]])
+                : this.mergeSegments(atual?.segmentos || []);
+
+            const dados = {
+                segmentos,
+                segundosAssistidos: this.totalSeconds(segmentos),
+                duracaoVideo: duracao,
+                ultimaPosicao: Math.round(fim),
+                ultimoHeartbeatEm: agora
+            };
+
+            const gravado = atual
+                ? await this.updateIfUnchanged(atual, dados)
+                : await this.createIfMissing(usuarioId, aula.id, dados);
+
+            if (gravado) {
+                return { visualizacao: gravado, trechoAceito: fimAceito > inicio ? [inicio, fimAceito] : null };
+            }
+        }
+
+        // Outro heartbeat sempre chegou antes: devolve o estado atual sem contar este trecho
+        return { visualizacao: await this.find(usuarioId, aula.id), trechoAceito: null };
+    }
+
+    async updateIfUnchanged(atual, dados) {
+        const { count } = await this.prisma.visualizacaoAula.updateMany({
+            where: { id: atual.id, ultimoHeartbeatEm: atual.ultimoHeartbeatEm },
+            data: dados
+        });
+
+        return count > 0 ? { ...atual, ...dados } : null;
+    }
+
+    async createIfMissing(usuarioId, aulaId, dados) {
+        try {
+            return await this.prisma.visualizacaoAula.create({
+                data: { usuarioId, aulaId, ...dados }
+            });
+        } catch (error) {
+            // Primeiro heartbeat criado em paralelo por outra requisição
+            if (error.code === 'P2002') return null;
+            throw error;
+        }
+    }
+
+    async find(usuarioId, aulaId) {
+        return this.prisma.visualizacaoAula.findUnique({
+            where: { usuarioId_aulaId: { usuarioId, aulaId } }
+        });
+    }
+
+    // Quanto falta para atingir o mínimo do curso
+    status(visualizacao, aula, percentualMinimo = 0) {
+        const { segundos: duracao, fonte } = this.lessonLength(visualizacao, aula);
+        const assistidos = visualizacao?.segundosAssistidos || 0;
+        const necessarios = Math.ceil(duracao * percentualMinimo / 100);
+
+        return {
+            segundosAssistidos: assistidos,
+            duracaoSegundos: duracao,
+            fonteDuracao: fonte,
+            percentualAssistido: duracao > 0 ? Math.min(100, Math.floor(assistidos / duracao * 100)) : 0,
+            percentualMinimo,
+            atingido: assistidos >= necessarios,
+            segundosRestantes: Math.max(0, necessarios - assistidos),
+            ultimaPosicao: visualizacao?.ultimaPosicao || 0
+        };
+    }
+}
+
+const videoWatchService = new VideoWatchService();
+export { videoWatchService, VideoWatchService };
+export default videoWatchService;